@@ -0,0 +1,155 @@
+/**
+ * @file Exports a function for writing an access log entry for each request
+ * answered by a server.
+ */
+
+
+/**
+ * Abbreviated month names of the Common Log Format.
+ * @type {Array.<String>}
+ * @private
+ */
+const MONTHS = [ 'Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec' ];
+
+
+/**
+ * Pads a number with leading zeroes to two digits.
+ * @param  {Number} n
+ * @return {String}
+ * @private
+ */
+function pad(n) {
+  return (n < 10) ? `0${n}` : String(n);
+};
+
+
+/**
+ * Formats a date as in the Common Log Format, in UTC, e.g.,
+ * `10/Oct/2000:13:55:36 +0000`.
+ * @param  {Date} date
+ * @return {String}
+ * @private
+ */
+function clfDate(date) {
+  return `${pad(date.getUTCDate())}/${MONTHS[date.getUTCMonth()]}/${date.getUTCFullYear()}:` +
+    `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} +0000`;
+};
+
+
+/**
+ * Formats access log entries as lines, by name.
+ * @type {Object.<String, Function>}
+ * @private
+ */
+const formats = {
+  common: (entry) => {
+    return `${entry.remoteAddress || '-'} - - [${clfDate(entry.time)}] "${entry.method} ${entry.url} HTTP/${entry.httpVersion}" ` +
+      `${entry.status} ${entry.bytes || '-'}`;
+  },
+  combined: (entry) => {
+    return `${formats.common(entry)} "${entry.referrer || '-'}" "${entry.userAgent || '-'}"`;
+  },
+  json: (entry) => {
+    return JSON.stringify(Object.assign({}, entry, { time: entry.time.toISOString() }));
+  }
+};
+
+
+/**
+ * Counts the bytes of the body of a response as it is written.
+ * @param  {http.ServerResponse} response
+ * @return {Function}                     Returns the number of bytes written so far
+ * @private
+ */
+function countBytes(response) {
+  const write = response.write;
+  const end = response.end;
+  let bytes = 0;
+
+  /**
+   * Adds the length of a chunk of the body to the count.
+   * @param {(String|Buffer)} [chunk]
+   * @param {String}          [encoding]
+   * @private
+   */
+  function count(chunk, encoding) {
+    if (chunk && typeof chunk !== 'function') {
+      bytes += (Buffer.isBuffer(chunk)) ? chunk.length : Buffer.byteLength(String(chunk), (typeof encoding === 'string') ? encoding : 'utf8');
+    }
+  };
+
+  response.write = function(chunk, encoding) {
+    count(chunk, encoding);
+    return write.apply(this, arguments);
+  };
+
+  response.end = function(chunk, encoding) {
+    count(chunk, encoding);
+    return end.apply(this, arguments);
+  };
+
+  return () => bytes;
+};
+
+
+/**
+ * Writes an entry to the stream of the `accessLog` option for each request
+ * the server answers, once its response is done, e.g., in the `combined`
+ * Apache format. Each entry records the method, URL, status, bytes of the
+ * body, duration in milliseconds, and remote address of a request, along with
+ * its ID if the `requestId` option is set and the UUID of the socket it was
+ * made on. Entries are formatted by name, i.e., `combined`, `common`, or
+ * `json`, or by a custom function returning a line, or a falsy value to skip
+ * the entry. If `sample` is set, only that fraction of requests are logged.
+ * @param  {ServerObject} server The server to log requests of
+ * @throws {TypeError}
+ */
+module.exports = function logAccess(server) {
+  const options = Object.assign({ format: 'combined', sample: 1, stream: process.stdout }, (server.config.accessLog === true) ? {} : server.config.accessLog);
+  const format = (typeof options.format === 'function') ? options.format : formats[options.format];
+
+  if (typeof format !== 'function') {
+    throw new TypeError(`unknown access log format: ${options.format}`);
+  }
+
+  server.on('request', (request, response) => {
+    if (options.sample < 1 && Math.random() >= options.sample) {
+      return;
+    }
+
+    const start = process.hrtime();
+    const time = new Date;
+    const bytes = countBytes(response);
+    let done = false;
+
+    [ 'close', 'finish' ].forEach((e) => {
+      response.once(e, () => {
+        if (done) {
+          return;
+        }
+
+        done = true;
+
+        const elapsed = process.hrtime(start);
+        const line = format({
+          bytes:         bytes(),
+          duration:      Math.round((elapsed[0] * 1e3 + elapsed[1] / 1e6) * 1e3) / 1e3,
+          httpVersion:   request.httpVersion,
+          id:            request.id,
+          method:        request.method,
+          referrer:      request.headers.referer,
+          remoteAddress: request.ip || request.socket.remoteAddress,
+          status:        response.statusCode,
+          time,
+          url:           request.url,
+          userAgent:     request.headers['user-agent'],
+          uuid:          request.socket.uuid
+        });
+
+        if (line) {
+          options.stream.write(`${line}\n`);
+        }
+      });
+    });
+  });
+};
@@ -0,0 +1,110 @@
+/**
+ * @file Exports functions for reading and watching SSL certificate files on
+ * behalf of a server.
+ */
+
+
+const fs = require('fs');
+
+
+/**
+ * Lists the file paths in a map of SSL option names to file paths, including
+ * those in nested maps of hostnames to such maps.
+ * @param  {Object} files Maps SSL options or hostnames to file paths
+ * @return {Array.<String>}
+ * @private
+ */
+function listFiles(files) {
+  return Object.keys(files).reduce((paths, key) => {
+    return paths.concat((typeof files[key] === 'string') ? files[key] : listFiles(files[key]));
+  }, []);
+};
+
+
+/**
+ * Synchronously reads a map of SSL option names to file paths into a map of
+ * SSL option names to file contents. Nested maps, e.g., of hostnames to SSL
+ * option names to file paths, are read recursively.
+ * @param  {Object} files Maps SSL options or hostnames to file paths
+ * @return {Object}
+ */
+function readCertificates(files) {
+  return Object.keys(files).reduce((ssl, key) => {
+    ssl[key] = (typeof files[key] === 'string') ? fs.readFileSync(files[key]) : readCertificates(files[key]);
+    return ssl;
+  }, {});
+};
+
+
+/**
+ * Watches the files named by the `sslFiles` option of a server, reloading
+ * the server's certificates via `#reloadCertificates` whenever any of them
+ * change. Failed reloads are logged, and leave the previous certificates in
+ * place.
+ * @param  {ServerObject} server The server to watch files for
+ * @param  {Function}     logger Internal debugging function
+ * @return {Function}            Stops watching the files
+ */
+function watchCertificates(server, logger) {
+  const files = server.config.sslFiles;
+  const options = { interval: server.config.sslWatchInterval, persistent: false };
+
+  /**
+   * Asynchronously reads a map of SSL option names or hostnames to file
+   * paths, as `readCertificates` does.
+   * @param  {Object} map Maps SSL options or hostnames to file paths
+   * @return {Promise.<Object>}
+   * @private
+   */
+  function read(map) {
+    return server.config.Promise.all(Object.keys(map).map((key) => {
+      if (typeof map[key] !== 'string') {
+        return read(map[key]).then((data) => [ key, data ]);
+      }
+
+      return new server.config.Promise((resolve, reject) => {
+        fs.readFile(map[key], (error, data) => {
+          return (error) ? reject(error) : resolve([ key, data ]);
+        });
+      });
+    })).then((entries) => {
+      return entries.reduce((ssl, entry) => {
+        ssl[entry[0]] = entry[1];
+        return ssl;
+      }, {});
+    });
+  };
+
+  /**
+   * Reloads certificates if a watched file was modified.
+   * @param {fs.Stats} current
+   * @param {fs.Stats} previous
+   * @private
+   */
+  function onChange(current, previous) {
+    if (current.mtime.getTime() !== previous.mtime.getTime()) {
+      logger('certificate files changed, reloading');
+
+      read(files).then((ssl) => {
+        return server.reloadCertificates(ssl);
+      }).then(() => {
+        logger('reloaded certificates');
+      }, (error) => {
+        logger(`failed to reload certificates: ${error.message}`);
+      });
+    }
+  };
+
+  listFiles(files).forEach((file) => {
+    fs.watchFile(file, options, onChange);
+  });
+
+  return function unwatchCertificates() {
+    listFiles(files).forEach((file) => {
+      fs.unwatchFile(file, onChange);
+    });
+  };
+};
+
+
+module.exports = { readCertificates, watchCertificates };
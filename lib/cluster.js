@@ -0,0 +1,370 @@
+/**
+ * @file Exports functions for running a server in several worker processes
+ * via the `cluster` module: a primary process that forks and supervises the
+ * workers, and the workers that listen on its behalf.
+ * @see {@link https://nodejs.org/api/cluster.html}
+ */
+
+
+const cluster = require('cluster');
+const os      = require('os');
+
+
+/**
+ * The property of IPC messages between the primary and its workers naming
+ * their type, so that they are not confused with messages of the
+ * application.
+ * @type {String}
+ * @private
+ */
+const MESSAGE = 'nicer-server';
+
+
+/**
+ * The number of milliseconds a worker may take to exit after `shutdownTimeout`
+ * has elapsed before the primary kills it.
+ * @type {Number}
+ * @private
+ */
+const EXIT_GRACE = 1000;
+
+
+/**
+ * Determines whether this process is the primary of a cluster, rather than
+ * one of its workers.
+ * @return {Boolean}
+ */
+function isPrimary() {
+  return ('isPrimary' in cluster) ? cluster.isPrimary : cluster.isMaster;
+};
+
+
+/**
+ * Creates the methods of a server run by the primary of a cluster in place
+ * of listening itself. `#listen` forks a worker for each of the `workers` of
+ * the `cluster` option, defaulting to one per CPU, and resolves to the
+ * addresses of the first once all report listening. Workers that exit
+ * unexpectedly are replaced after `restartDelay` milliseconds, doubling for
+ * each consecutive crash up to `maxRestartDelay`. `#restart` replaces the
+ * workers one at a time, waiting for each new worker to report listening
+ * before gracefully closing the old one, and `#close` gracefully closes all
+ * of them, resolving to the sum of their shutdown summaries.
+ * @param  {ServerObject} server The server to run workers for
+ * @param  {Function}     logger Internal debugging function
+ * @return {Object}
+ */
+function createPrimary(server, logger) {
+  const options = Object.assign({
+    maxRestartDelay: 10000,
+    restartDelay:    100,
+    workers:         (typeof server.config.cluster === 'number') ? server.config.cluster : os.cpus().length
+  }, (typeof server.config.cluster === 'object') ? server.config.cluster : {});
+  const slots = Array.from({ length: options.workers }, () => ({ crashes: 0, timer: null, worker: null }));
+  const stopping = new Map;
+  let active = false;
+
+  /**
+   * Forks a worker, resolving to it once it reports listening. Rejects if it
+   * fails to listen or exits first.
+   * @return {Promise.<Worker>}
+   * @private
+   */
+  function fork() {
+    const worker = cluster.fork();
+
+    worker.started = Date.now();
+
+    return new server.config.Promise((resolve, reject) => {
+      /**
+       * Settles once the worker reports whether it is listening.
+       * @param {Object} message
+       * @private
+       */
+      function onMessage(message) {
+        const type = message && message[MESSAGE];
+
+        if (type === 'listening') {
+          worker.removeListener('exit', onExit);
+          worker.removeListener('message', onMessage);
+          worker.addresses = message.addresses;
+          resolve(worker);
+        } else if (type === 'error') {
+          worker.removeListener('message', onMessage);
+          reject(Object.assign(new Error(`worker ${worker.id} failed to listen: ${message.message}`), { code: message.code }));
+          kill(worker);
+        }
+      };
+
+      /**
+       * Rejects if the worker exits before it is listening.
+       * @param {?Number} code
+       * @param {?String} signal
+       * @private
+       */
+      function onExit(code, signal) {
+        worker.removeListener('message', onMessage);
+        reject(new Error(`worker ${worker.id} exited with ${signal || code} before listening`));
+      };
+
+      worker.on('message', onMessage);
+      worker.once('exit', onExit);
+    });
+  };
+
+  /**
+   * Kills a worker that is not needed, without waiting for it to close.
+   * @param {Worker} worker
+   * @private
+   */
+  function kill(worker) {
+    worker.expected = true;
+    worker.kill('SIGKILL');
+  };
+
+  /**
+   * Asks a worker to close its server, resolving to its shutdown summary
+   * once it exits. Workers still running once `shutdownTimeout` and a grace
+   * period have elapsed are killed.
+   * @param  {Worker} worker
+   * @return {Promise.<ShutdownSummary>}
+   * @private
+   */
+  function stop(worker) {
+    if (stopping.has(worker)) {
+      return stopping.get(worker);
+    }
+
+    const stopped = new server.config.Promise((resolve) => {
+      let summary = { drained: 0, destroyed: 0 };
+
+      worker.expected = true;
+
+      if (worker.isDead()) {
+        return resolve(summary);
+      }
+
+      const timeout = setTimeout(() => {
+        logger(`killing worker ${worker.id} after shutdown timeout`);
+        worker.kill('SIGKILL');
+      }, server.config.shutdownTimeout + EXIT_GRACE);
+
+      worker.on('message', (message) => {
+        if (message && message[MESSAGE] === 'closed') {
+          summary = message.summary;
+        }
+      });
+
+      worker.once('exit', () => {
+        clearTimeout(timeout);
+        stopping.delete(worker);
+        resolve(summary);
+      });
+
+      worker.send({ [MESSAGE]: 'close' });
+    });
+
+    stopping.set(worker, stopped);
+    return stopped;
+  };
+
+  /**
+   * Replaces the worker of a slot after it crashed, once a delay doubling
+   * with each consecutive crash has elapsed.
+   * @param {Object} slot
+   * @private
+   */
+  function respawn(slot) {
+    const delay = Math.min(options.restartDelay * Math.pow(2, slot.crashes), options.maxRestartDelay);
+
+    slot.crashes++;
+    logger(`replacing worker in ${delay}ms`);
+    slot.timer = setTimeout(() => {
+      slot.timer = null;
+      fork().then((worker) => {
+        if (!active) {
+          return stop(worker);
+        }
+
+        supervise(slot, worker);
+      }, (error) => {
+        logger(error.message);
+
+        if (active) {
+          respawn(slot);
+        }
+      });
+    }, delay);
+  };
+
+  /**
+   * Makes a listening worker the one of a slot, replacing it if it exits
+   * without being asked to. The consecutive crashes of the slot are reset
+   * once a worker has run for `maxRestartDelay` milliseconds.
+   * @param {Object} slot
+   * @param {Worker} worker
+   * @private
+   */
+  function supervise(slot, worker) {
+    slot.worker = worker;
+    worker.once('exit', (code, signal) => {
+      if (worker.expected || slot.worker !== worker || !active) {
+        return;
+      }
+
+      logger(`worker ${worker.id} exited with ${signal || code}`);
+      slot.worker = null;
+
+      if (Date.now() - worker.started >= options.maxRestartDelay) {
+        slot.crashes = 0;
+      }
+
+      respawn(slot);
+    });
+  };
+
+  /**
+   * Forks the workers, resolving to the addresses of the first once all are
+   * listening. If any fail to, closes the others and rejects with the first
+   * error.
+   * @return {Promise.<Array.<Object>>}
+   */
+  function listen() {
+    logger(`forking ${slots.length} workers`);
+    active = true;
+
+    return server.config.Promise.all(slots.map((slot) => {
+      return fork().then((worker) => {
+        supervise(slot, worker);
+        return null;
+      }, (error) => error);
+    })).then((errors) => {
+      const error = errors.filter(Boolean)[0];
+
+      if (!error) {
+        const first = slots.filter((slot) => slot.worker)[0];
+
+        return (first) ? first.worker.addresses : [];
+      }
+
+      logger(error.message);
+      active = false;
+      return server.config.Promise.all(slots.filter((slot) => slot.worker).map((slot) => {
+        const worker = slot.worker;
+
+        slot.worker = null;
+        return stop(worker);
+      })).then(() => {
+        throw error;
+      });
+    });
+  };
+
+  /**
+   * Replaces the workers one at a time, waiting for each new worker to
+   * report listening before gracefully closing the old one in the
+   * background. Rejects if a new worker fails to listen, keeping the old
+   * workers not yet replaced.
+   * @return {Promise}
+   */
+  function restart() {
+    const previous = slots.map((slot) => slot.worker).filter(Boolean);
+
+    logger('restarting workers');
+    server.emit('restarting', previous);
+
+    return slots.reduce((rolling, slot) => {
+      return rolling.then(() => {
+        // Stop rolling if the primary started closing in the meantime
+        return (active) ? fork() : null;
+      }).then((worker) => {
+        const old = slot.worker;
+
+        if (!worker) {
+          return;
+        }
+
+        if (!active) {
+          return stop(worker);
+        }
+
+        supervise(slot, worker);
+
+        if (old) {
+          stop(old);
+        }
+      });
+    }, server.config.Promise.resolve());
+  };
+
+  /**
+   * Stops replacing crashed workers and gracefully closes every worker,
+   * including those being closed after a restart, resolving to the sum of
+   * their shutdown summaries.
+   * @return {Promise.<ShutdownSummary>}
+   */
+  function close() {
+    active = false;
+    slots.forEach((slot) => {
+      clearTimeout(slot.timer);
+      slot.timer = null;
+    });
+
+    const workers = slots.map((slot) => slot.worker).filter(Boolean).concat(Array.from(stopping.keys()));
+
+    slots.forEach((slot) => {
+      slot.worker = null;
+    });
+
+    return server.config.Promise.all(workers.map(stop)).then((summaries) => {
+      return summaries.reduce((total, s) => {
+        return { drained: total.drained + s.drained, destroyed: total.destroyed + s.destroyed };
+      }, { drained: 0, destroyed: 0 });
+    });
+  };
+
+  return { close, listen, restart };
+};
+
+
+/**
+ * Creates the functions a server run by a worker of a cluster uses to report
+ * to the primary whether it is listening, and closes the server when the
+ * primary asks it to, disconnecting from the primary once it is closed so
+ * that the worker can exit.
+ * @param  {ServerObject} server The server run by this worker
+ * @param  {Function}     logger Internal debugging function
+ * @return {Object}
+ */
+function createWorker(server, logger) {
+  process.on('message', (message) => {
+    if (!message || message[MESSAGE] !== 'close') {
+      return;
+    }
+
+    logger('closing at the request of the primary');
+    server.close().then((summary) => {
+      process.send({ [MESSAGE]: 'closed', summary }, () => cluster.worker.disconnect());
+    });
+  });
+
+  /**
+   * Reports that the server failed to listen.
+   * @param {Error} error
+   */
+  function failed(error) {
+    process.send({ [MESSAGE]: 'error', code: error.code, message: error.message });
+  };
+
+  /**
+   * Reports that the server is listening.
+   * @param {Array.<Object>} addresses The addresses of the underlying servers
+   */
+  function listening(addresses) {
+    process.send({ [MESSAGE]: 'listening', addresses });
+  };
+
+  return { failed, listening };
+};
+
+
+module.exports = { createPrimary, createWorker, isPrimary };
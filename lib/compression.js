@@ -0,0 +1,248 @@
+/**
+ * @file Exports functions for transparently compressing the responses of a
+ * server with gzip, deflate, or Brotli, as negotiated with each client.
+ */
+
+
+const zlib = require('zlib');
+
+
+/**
+ * The functions creating a compressing stream for each content coding, at
+ * the `level` or `quality` of the `compression` option. Brotli is only
+ * available from Node.js 11.7.
+ * @type {Object.<String, Function>}
+ * @private
+ */
+const codings = {
+  br:      (zlib.createBrotliCompress) ? (options) => zlib.createBrotliCompress({ params: { [zlib.constants.BROTLI_PARAM_QUALITY]: options.quality } }) : null,
+  deflate: (options) => zlib.createDeflate({ level: options.level }),
+  gzip:    (options) => zlib.createGzip({ level: options.level })
+};
+
+
+/**
+ * Determines whether the content type of a response is worth compressing,
+ * i.e., text, JSON, XML, JavaScript, or SVG.
+ * @param  {http.IncomingMessage} request
+ * @param  {http.ServerResponse}  response
+ * @return {Boolean}
+ * @private
+ */
+function compressible(request, response) {
+  const type = String(response.getHeader('Content-Type') || '').split(';')[0].trim().toLowerCase();
+
+  return /^text\/|[/+](?:json|xml|javascript|ecmascript)$|^image\/svg\+xml$|^application\/x-www-form-urlencoded$/.test(type);
+};
+
+
+/**
+ * Selects the content coding to use from the `Accept-Encoding` header of a
+ * request, preferring those the client gives the highest quality value,
+ * and among them, those listed first. Returns `null` if the client accepts
+ * none of them.
+ * @param  {String}         [header]  The `Accept-Encoding` header
+ * @param  {Array.<String>} encodings The content codings available, in order of preference
+ * @return {?String}
+ */
+function negotiate(header, encodings) {
+  const accepted = String(header || '').split(',').map((part) => {
+    const params = part.split(';').map((param) => param.trim().toLowerCase());
+    const q = params.slice(1).filter((param) => /^q=/.test(param)).map((param) => Number(param.slice(2)))[0];
+
+    return { name: params[0], q: (q === undefined || isNaN(q)) ? 1 : q };
+  });
+
+  /**
+   * Returns the quality value the client gives a content coding.
+   * @param  {String} encoding
+   * @return {Number}
+   * @private
+   */
+  function quality(encoding) {
+    const match = accepted.filter((a) => a.name === encoding)[0] || accepted.filter((a) => a.name === '*')[0];
+
+    return (match) ? match.q : 0;
+  };
+
+  const best = encodings.map((encoding, i) => ({ encoding, i, q: quality(encoding) })).filter((e) => e.q > 0).sort((a, b) => {
+    return b.q - a.q || a.i - b.i;
+  })[0];
+
+  return (best) ? best.encoding : null;
+};
+
+
+/**
+ * Adds a value to the `Vary` header of a response, unless already listed.
+ * @param {http.ServerResponse} response
+ * @param {String}              field
+ * @private
+ */
+function vary(response, field) {
+  const current = String(response.getHeader('Vary') || '');
+  const fields = current.split(',').map((f) => f.trim().toLowerCase());
+
+  if (fields.indexOf('*') === -1 && fields.indexOf(field.toLowerCase()) === -1) {
+    response.setHeader('Vary', (current) ? `${current}, ${field}` : field);
+  }
+};
+
+
+/**
+ * Creates a function that wraps the `write`, `end`, and `writeHead` methods
+ * of a response to compress its body, once its headers are known, if:
+ *
+ * - its content type passes the `filter` of the `compression` option,
+ * - it is not already encoded, i.e., has no `Content-Encoding` header,
+ * - it is not a partial response, nor has a `Cache-Control: no-transform`
+ *   header, nor a status without a body,
+ * - its body is at least `threshold` bytes, as known from its
+ *   `Content-Length` header or the body passed to `end`, or is streamed
+ *   with several calls to `write`, and
+ * - the client accepts one of the `encodings`, preferring Brotli, then gzip,
+ *   then deflate.
+ *
+ * gzip and deflate compress at zlib's default `level`. Brotli compresses at
+ * a `quality` of 4, as its default of 11 takes far longer than gzip on
+ * dynamic responses.
+ *
+ * `Accept-Encoding` is added to the `Vary` header of responses passing the
+ * `filter`, whether compressed or not. Responses gain a `flush` method
+ * flushing any data compressed so far, e.g., for server-sent events.
+ * @param  {ServerObject} server The server to compress responses of
+ * @return {Function}
+ */
+function compressor(server) {
+  const options = Object.assign({
+    encodings: [ 'br', 'gzip', 'deflate' ],
+    filter:    compressible,
+    level:     zlib.constants.Z_DEFAULT_COMPRESSION,
+    quality:   4,
+    threshold: 1024
+  }, (server.config.compression === true) ? {} : server.config.compression);
+  const encodings = options.encodings.filter((encoding) => typeof codings[encoding] === 'function');
+
+  return function compress(request, response) {
+    const end = response.end;
+    const write = response.write;
+    const writeHead = response.writeHead;
+    let decided = false;
+    let length = null;
+    let stream = null;
+
+    /**
+     * Decides whether to compress the response, just before its headers are
+     * sent, and if so, starts compressing its body into the original
+     * methods of the response.
+     * @private
+     */
+    function decide() {
+      decided = true;
+
+      if (response.getHeader('Content-Encoding') || !options.filter(request, response)) {
+        return;
+      }
+
+      vary(response, 'Accept-Encoding');
+
+      const status = response.statusCode;
+      const declared = response.getHeader('Content-Length');
+      const size = (declared === undefined) ? length : Number(declared);
+
+      if (request.method === 'HEAD' || status < 200 || status === 204 || status === 206 || status === 304 ||
+        /(?:^|,)\s*no-transform\s*(?:,|$)/i.test(String(response.getHeader('Cache-Control') || '')) ||
+        (size !== null && size < options.threshold)) {
+        return;
+      }
+
+      const encoding = negotiate(request.headers['accept-encoding'], encodings);
+
+      if (!encoding) {
+        return;
+      }
+
+      response.setHeader('Content-Encoding', encoding);
+      response.removeHeader('Content-Length');
+
+      stream = codings[encoding](options);
+      stream.on('data', (chunk) => {
+        if (write.call(response, chunk) === false) {
+          stream.pause();
+        }
+      });
+      stream.on('end', () => end.call(response));
+
+      // Writers waiting on the compressing stream are woken by the response
+      stream.on('drain', () => response.emit('drain'));
+      response.on('drain', () => stream.resume());
+      response.once('close', () => stream.close());
+    };
+
+    response.writeHead = function(statusCode, reason, headers) {
+      const fields = (typeof reason === 'string') ? headers : reason;
+      const plain = Boolean(fields) && typeof fields === 'object' && !Array.isArray(fields);
+
+      if (decided) {
+        return writeHead.apply(this, arguments);
+      }
+
+      // Headers given here are not visible to `getHeader` otherwise
+      if (plain) {
+        Object.keys(fields).forEach((name) => response.setHeader(name, fields[name]));
+      }
+
+      response.statusCode = statusCode;
+      decide();
+
+      if (!plain) {
+        return writeHead.apply(this, arguments);
+      }
+
+      return (typeof reason === 'string') ? writeHead.call(this, statusCode, reason) : writeHead.call(this, statusCode);
+    };
+
+    response.write = function() {
+      if (!decided && !response.headersSent) {
+        decide();
+      }
+
+      return (stream) ? stream.write.apply(stream, arguments) : write.apply(this, arguments);
+    };
+
+    response.end = function(chunk, encoding, callback) {
+      const cb = [ chunk, encoding, callback ].filter((arg) => typeof arg === 'function')[0];
+      const data = (typeof chunk === 'function') ? null : chunk;
+
+      if (!decided && !response.headersSent) {
+        length = (data) ? Buffer.byteLength(data, (typeof encoding === 'string') ? encoding : undefined) : 0;
+        decide();
+      }
+
+      if (!stream) {
+        return end.apply(this, arguments);
+      }
+
+      if (cb) {
+        response.once('finish', cb);
+      }
+
+      if (data) {
+        stream.end(data, (typeof encoding === 'string') ? encoding : undefined);
+      } else {
+        stream.end();
+      }
+
+      return this;
+    };
+
+    response.flush = function() {
+      if (stream) {
+        stream.flush();
+      }
+    };
+  };
+};
+
+
+module.exports = { compressor, negotiate };
@@ -0,0 +1,114 @@
+/**
+ * @file Exports a function for answering health, readiness, and liveness
+ * probes on behalf of a server.
+ */
+
+
+/**
+ * The paths answered when the `health` option is `true`, or when it is an
+ * object that does not specify them.
+ * @type {Object.<String, String>}
+ * @private
+ */
+const defaults = {
+  health:    '/healthz',
+  liveness:  '/livez',
+  readiness: '/readyz'
+};
+
+
+/**
+ * Runs custom health checks, each a function returning a value or a Promise.
+ * A check fails if it throws, rejects, or resolves to `false`. Resolves to
+ * whether all checks passed, along with the result of each by name.
+ * @param  {Object.<String, Function>} checks  The checks to run
+ * @param  {Function}                  Promise The constructor function to create Promises from
+ * @return {Promise.<Object>}
+ * @private
+ */
+function runChecks(checks, Promise) {
+  const names = Object.keys(checks);
+
+  return Promise.all(names.map((name) => {
+    return new Promise((resolve) => resolve(checks[name]())).then((result) => {
+      return (result === false) ? { status: 'fail' } : { status: 'ok' };
+    }, (error) => {
+      return { status: 'fail', error: (error && error.message) || String(error) };
+    });
+  })).then((results) => {
+    return {
+      ok:     results.every((result) => result.status === 'ok'),
+      checks: names.reduce((all, name, i) => Object.assign(all, { [name]: results[i] }), {})
+    };
+  });
+};
+
+
+/**
+ * Sends a JSON response to a probe, without a body if its method is `HEAD`.
+ * @param {http.IncomingMessage} request
+ * @param {http.ServerResponse}  response
+ * @param {Number}               status   The status code to send
+ * @param {Object}               body     The report to send
+ * @private
+ */
+function send(request, response, status, body) {
+  response.statusCode = status;
+  response.setHeader('Content-Type', 'application/json');
+  response.setHeader('Cache-Control', 'no-store');
+  response.end((request.method === 'HEAD') ? undefined : JSON.stringify(body));
+};
+
+
+/**
+ * Creates a function that answers `GET` and `HEAD` requests for the paths of
+ * the `health` option with a JSON report of the server's state, and returns
+ * whether it did. The liveness path always answers `200 OK`. The readiness
+ * path answers `503 Service Unavailable` unless the server is listening and
+ * all custom checks pass, so it turns unready as soon as `#close` starts
+ * draining. The health path reports the number of active sockets, sessions,
+ * and upgraded connections as well, answering `503` if any custom check
+ * fails. Paths set to `null` are not answered.
+ * @param  {ServerObject} server The server to answer probes for
+ * @return {Function}
+ */
+module.exports = function healthEndpoints(server) {
+  const options = Object.assign({ checks: {} }, defaults, (server.config.health === true) ? {} : server.config.health);
+
+  return function answer(request, response) {
+    const path = request.url.split('?')[0];
+
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+      return false;
+    }
+
+    if (path === options.liveness) {
+      send(request, response, 200, { status: 'ok', state: server.state });
+      return true;
+    }
+
+    if (path !== options.readiness && path !== options.health) {
+      return false;
+    }
+
+    const state = server.state;
+
+    // Skip the checks once unready, as resources they use may be closing
+    if (path === options.readiness && state !== 'listening') {
+      send(request, response, 503, { status: 'fail', state });
+      return true;
+    }
+
+    runChecks(options.checks, server.config.Promise).then((result) => {
+      const report = { status: (result.ok) ? 'ok' : 'fail', state, checks: result.checks };
+
+      if (path === options.health) {
+        Object.assign(report, { sessions: server.sessions.size, sockets: server.sockets.size, upgrades: server.upgrades.size });
+      }
+
+      send(request, response, (result.ok) ? 200 : 503, report);
+    });
+
+    return true;
+  };
+};
@@ -0,0 +1,97 @@
+/**
+ * @file Exports a function for assigning IDs to the requests of a server and
+ * making them available to the code handling each request.
+ */
+
+
+const asyncHooks = require('async_hooks');
+const uuid       = require('uuid');
+
+
+/**
+ * The format of incoming request IDs that may be reused: up to 128 letters,
+ * digits, and common punctuation, so that IDs are safe to log and echo.
+ * @type {RegExp}
+ * @private
+ */
+const VALID_ID = /^[\w\-.:+=/@]{1,128}$/;
+
+
+/**
+ * Assigns an ID to each request of a server as its `id` property, echoing
+ * it in the response header named by the `requestId` option. IDs are made
+ * of the UUID of the socket or HTTP/2 session a request was made on and the
+ * number of the request on it, e.g., `<uuid>-3`, so requests on the same
+ * keep-alive connection can be told apart and grouped together. An ID sent
+ * by the client in that header is reused instead if the `trust` property of
+ * the option is `true`, or a function returning `true` for the request, and
+ * the ID is well-formed. Returns functions for assigning IDs, for running
+ * the callback function with the ID of a request, and for retrieving the
+ * ID of the request being handled across asynchronous calls, which relies on
+ * `AsyncLocalStorage` where available.
+ * @param  {ServerObject} server The server to assign request IDs for
+ * @return {Object}
+ */
+module.exports = function createRequestIds(server) {
+  const options = Object.assign({ header: 'X-Request-Id', trust: false }, (server.config.requestId === true) ? {} : server.config.requestId);
+  const storage = (asyncHooks.AsyncLocalStorage) ? new asyncHooks.AsyncLocalStorage : null;
+  const counts = new WeakMap;
+
+  /**
+   * Determines whether to reuse the ID sent by the client of a request.
+   * @param  {http.IncomingMessage} request
+   * @param  {String}               [id]    The ID sent by the client
+   * @return {Boolean}
+   * @private
+   */
+  function trusted(request, id) {
+    if (typeof id !== 'string' || !VALID_ID.test(id)) {
+      return false;
+    }
+
+    return (typeof options.trust === 'function') ? options.trust(request) === true : options.trust === true;
+  };
+
+  /**
+   * Assigns an ID to a request and echoes it in a header of its response.
+   * @param {http.IncomingMessage} request
+   * @param {http.ServerResponse}  response
+   */
+  function assign(request, response) {
+    const incoming = request.headers[options.header.toLowerCase()];
+
+    if (trusted(request, incoming)) {
+      request.id = incoming;
+    } else {
+      const connection = (request.stream) ? request.stream.session : request.socket;
+      const count = (counts.get(connection) || 0) + 1;
+
+      counts.set(connection, count);
+      request.id = `${connection.uuid || uuid.v4()}-${count}`;
+    }
+
+    response.setHeader(options.header, request.id);
+  };
+
+  /**
+   * Calls a function so that the ID of a request is available to it, and to
+   * any asynchronous calls it makes, via `#current`. Returns the return value
+   * of the function.
+   * @param  {http.IncomingMessage} request
+   * @param  {Function}             fn
+   * @return {*}
+   */
+  function run(request, fn) {
+    return (storage) ? storage.run(request.id, fn) : fn();
+  };
+
+  /**
+   * Returns the ID of the request being handled, if any.
+   * @return {(String|undefined)}
+   */
+  function current() {
+    return (storage) ? storage.getStore() : undefined;
+  };
+
+  return { assign, current, run };
+};
@@ -3,31 +3,93 @@
  */
 
 
-const debug = require('debug');
-const http  = require('http');
-const https = require('https');
-const uuid  = require('uuid');
+const debug        = require('debug');
+const EventEmitter = require('events');
+const fs           = require('fs');
+const http         = require('http');
+const https        = require('https');
+const tls          = require('tls');
+const uuid         = require('uuid');
+
+
+const certificates     = require('./certificates.js');
+const clustering       = require('./cluster.js');
+const compression      = require('./compression.js');
+const createMetrics    = require('./metrics.js');
+const createRequestIds = require('./ids.js');
+const handleSignals    = require('./signals.js');
+const healthEndpoints  = require('./health.js');
+const logAccess        = require('./access.js');
+const mtls             = require('./mtls.js');
+const proxy            = require('./proxy.js');
+const reapIdleSockets  = require('./reaper.js');
+const redirect         = require('./redirect.js');
+const requestLimits    = require('./limits.js');
+const sni              = require('./sni.js');
+const throttling       = require('./ratelimit.js');
+const unix             = require('./unix.js');
+const websocket        = require('./websocket.js');
 
 
 /**
- * An object literal encompassing an HTTP(S) server created from a specified
+ * An EventEmitter encompassing an HTTP(S) server created from a specified
  * callback function, a map of active Socket connections to the server, and
  * methods for starting, stopping, and restarting the base HTTP(S) server.
+ * Emits `listening`, `closing`, `closed`, `restarting`, `connection`,
+ * `request`, `upgrade`, `socketDestroyed`, `drainTimeout`, `tlsClientError`,
+ * and `error` events.
  * @typedef ServerObject
+ * @type {EventEmitter}
+ * @property {?(Object|String)}                             address            - The address of the first underlying server
+ * @property {Function}                                     close              - Closes the server
+ * @property {Object}                                       config             - Server configuration
+ * @property {Map.<String, Number>}                         connectionsPerIp   - Maps IP addresses to open connections
+ * @property {http.Server|https.Server|Http2Server}         instance           - The first underlying server
+ * @property {Array.<http.Server|https.Server|Http2Server>} instances          - The underlying servers
+ * @property {Function}                                     listen             - Starts the server
+ * @property {?Function}                                    metrics            - Renders metrics in the Prometheus text format
+ * @property {Function}                                     reloadCertificates - Replaces SSL certificates
+ * @property {?Function}                                    requestId          - Returns the ID of the request being handled
+ * @property {Function}                                     restart            - Restarts the server
+ * @property {Map.<String, Http2Session>}                   sessions           - Maps UUIDs to HTTP/2 sessions
+ * @property {Function}                                     setHandler         - Replaces the callback
+ * @property {Map.<String, Socket>}                         sockets            - Maps UUIDs to Sockets
+ * @property {String}                                       state              - `listening`, `closing`, or `closed`
+ * @property {Map.<String, Socket>}                         upgrades           - Maps UUIDs to upgraded Sockets
+ */
+
+
+/**
+ * The result of closing a server, counting the sockets that were allowed to
+ * finish their responses and those destroyed once the shutdown timed out.
+ * @typedef ShutdownSummary
+ * @type {Object}
+ * @property {Number} destroyed - Sockets forcibly destroyed
+ * @property {Number} drained   - Sockets closed cleanly
+ */
+
+
+/**
+ * An address for the server to listen on, with its own underlying server:
+ * a port, a Unix domain socket path, or an inherited file descriptor.
+ * @typedef Binding
  * @type {Object}
- * @property {Function}                 close    - Closes the server
- * @property {Object}                   config   - Server configuration
- * @property {http.Server|https.Server} instance - The underlying server
- * @property {Function}                 listen   - Starts the server
- * @property {Function}                 restart  - Restarts the server
- * @property {Map.<String, Socket>}     sockets  - Maps UUIDs to Sockets
+ * @property {Number}         [fd]       - The file descriptor to listen on
+ * @property {String}         [host]     - The interface to bind to
+ * @property {Boolean}        [http2]    - Whether to use HTTP/2
+ * @property {Number}         [mode]     - The file mode of the Unix domain socket
+ * @property {String}         [path]     - The Unix domain socket path to bind to
+ * @property {Number}         [port]     - The port to bind to
+ * @property {Boolean}        [redirect] - Whether to redirect requests to HTTPS
+ * @property {Boolean|Object} [ssl]      - Whether to use the `ssl` option, or SSL options of its own
  */
 
 
 /**
  * Creates an HTTP(S) server based on a specified callback function that will
  * gracefully terminate active connections when it closes. All methods return
- * Promises that resolve to the wrapper upon success.
+ * Promises; `#close` resolves to a summary of the shutdown, and all others
+ * resolve to the wrapper upon success.
  * @param  {Function} cb  The callback function to use
  * @param  {Object}   [c] Server configuration
  * @return {ServerObject}
@@ -42,19 +104,99 @@ module.exports = function createServer(cb, c) {
   /**
    * Server configuration options.
    * @type {Object}
-   * @property {String}   logger  -
-   * @property {Number}   port    -
-   * @property {Function} Promise -
-   * @property {Object}   ssl     -
+   * @property {Boolean|Object}        accessLog           -
+   * @property {Boolean|Object}        clientAuth          -
+   * @property {Boolean|Number|Object} cluster             -
+   * @property {Boolean|Object}        compression         -
+   * @property {Number}                fd                  -
+   * @property {Number}                headersTimeout      -
+   * @property {Boolean|Object}        health              -
+   * @property {Boolean|Number|Object} hsts                -
+   * @property {Boolean}               http2               -
+   * @property {Number}                idleTimeout         -
+   * @property {Number}                keepAliveTimeout    -
+   * @property {Array.<Binding>}       listen              -
+   * @property {Number}                listenRetries       -
+   * @property {Number}                listenRetryDelay    -
+   * @property {String}                logger              -
+   * @property {Number}                maxBodySize         -
+   * @property {Number}                maxConnections      -
+   * @property {Number}                maxConnectionsPerIp -
+   * @property {Number}                maxHeadersCount     -
+   * @property {Number}                maxHeaderSize       -
+   * @property {Number}                maxUrlLength        -
+   * @property {Boolean|Object}        metrics             -
+   * @property {Function}              onUpgrade           -
+   * @property {String}                path                -
+   * @property {Number}                port                -
+   * @property {Boolean|String}        portFallback        -
+   * @property {Function}              Promise             -
+   * @property {Boolean}               proxyProtocol       -
+   * @property {Boolean|Number|Object} rateLimit           -
+   * @property {Boolean|Number|Object} redirectHttp        -
+   * @property {Boolean|Object}        requestId           -
+   * @property {Number}                requestTimeout      -
+   * @property {Number}                retryAfter          -
+   * @property {Number}                shutdownTimeout     -
+   * @property {Boolean|Object}        signals             -
+   * @property {Boolean}               socketActivation    -
+   * @property {Number}                socketMode          -
+   * @property {Object}                ssl                 -
+   * @property {Object}                sslFiles            -
+   * @property {Number}                sslWatchInterval    -
+   * @property {*}                     trustProxy          -
+   * @property {Number}                upgradeGracePeriod  -
    * @private
    */
   const config = Object.assign({
-    logger:  'server',
-    port:    3000,
-    Promise: Promise,
-    ssl:     null
+    accessLog:           false,
+    clientAuth:          false,
+    cluster:             false,
+    compression:         false,
+    fd:                  null,
+    headersTimeout:      null,
+    health:              false,
+    hsts:                false,
+    http2:               false,
+    idleTimeout:         null,
+    keepAliveTimeout:    null,
+    listen:              null,
+    listenRetries:       0,
+    listenRetryDelay:    100,
+    logger:              'server',
+    maxBodySize:         null,
+    maxConnections:      null,
+    maxConnectionsPerIp: null,
+    maxHeadersCount:     null,
+    maxHeaderSize:       null,
+    maxUrlLength:        null,
+    metrics:             false,
+    onUpgrade:           null,
+    path:                null,
+    port:                3000,
+    portFallback:        false,
+    Promise:             Promise,
+    proxyProtocol:       false,
+    rateLimit:           false,
+    redirectHttp:        false,
+    requestId:           false,
+    requestTimeout:      null,
+    retryAfter:          null,
+    shutdownTimeout:     10000,
+    signals:             false,
+    socketActivation:    false,
+    socketMode:          null,
+    ssl:                 null,
+    sslFiles:            null,
+    sslWatchInterval:    5000,
+    trustProxy:          false,
+    upgradeGracePeriod:  1000
   }, c);
 
+  if (config.sslFiles) {
+    config.ssl = Object.assign({}, config.ssl, certificates.readCertificates(config.sslFiles));
+  }
+
 
   /**
    * Internal debugging function.
@@ -65,14 +207,131 @@ module.exports = function createServer(cb, c) {
 
 
   /**
-   * The underlying server. Will be created with the `https` module if the
-   * configuration specifies SSL information, and with `http` otherwise.
-   * @type {http.Server|https.Server}
+   * The callback function currently handling requests. May be replaced at
+   * runtime by `#setHandler`.
+   * @type {Function}
+   * @private
+   */
+  let handler = cb;
+
+
+  /**
+   * The `request` and `connection` event handlers added to each underlying
+   * server by `#track`, so that they are not carried over by `#restart`.
+   * @type {WeakSet.<Function>}
+   * @private
+   */
+  const handlers = new WeakSet;
+
+
+  /**
+   * The underlying servers that `#track` has already added handlers to.
+   * @type {WeakSet.<http.Server|https.Server>}
+   * @private
+   */
+  const tracked = new WeakSet;
+
+
+  /**
+   * Maps tracked sockets and HTTP/2 sessions to the underlying servers that
+   * accepted them, so that `#restart` only drains those of the servers it
+   * replaces.
+   * @type {WeakMap.<(Socket|Http2Session), (http.Server|https.Server|Http2Server)>}
+   * @private
+   */
+  const owners = new WeakMap;
+
+
+  /**
+   * Maps sockets to the responses they are currently sending, so that
+   * shutting down can ask clients not to reuse the sockets afterwards.
+   * @type {WeakMap.<Socket, http.ServerResponse>}
+   * @private
+   */
+  const responses = new WeakMap;
+
+
+  /**
+   * Events whose listeners are carried over to the new underlying server by
+   * `#restart`, so that request handlers and WebSocket servers attached to
+   * the old one keep working.
+   * @type {Array.<String>}
+   * @private
+   */
+  const inherited = [ 'checkContinue', 'checkExpectation', 'clientError', 'request', 'stream', 'upgrade' ];
+
+
+  /**
+   * Maps hostnames to secure contexts if the `ssl` option is a map of
+   * hostnames to SSL options, for use in Server Name Indication.
+   * @type {?Map.<String, SecureContext>}
+   * @private
+   */
+  let contexts = (sni.isHostMap(config.ssl)) ? sni.createContexts(config.ssl) : null;
+
+
+  /**
+   * The value of the `Strict-Transport-Security` header added to responses
+   * sent over SSL if the `hsts` option is set.
+   * @type {?String}
+   * @private
+   */
+  const hsts = (config.hsts) ? redirect.hstsHeader(config.hsts) : null;
+
+
+  /**
+   * The addresses to listen on: those of the `listen` option if specified,
+   * then any file descriptors passed via systemd socket activation if the
+   * `socketActivation` option is set, and otherwise the `path`, `fd`, or
+   * `port` option, using SSL if the `ssl` option is set. Bindings that set
+   * `ssl` to `true` use the `ssl` option.
+   * @type {Array.<Binding>}
+   * @private
+   */
+  const bindings = (config.listen || defaultBindings()).map((binding) => {
+    if (binding.ssl === true && !config.ssl) {
+      throw new TypeError('bindings using SSL require the `ssl` option');
+    }
+
+    return Object.assign({ http2: config.http2, mode: config.socketMode }, binding);
+  });
+
+  if (bindings.length === 0) {
+    throw new TypeError('the `listen` option must specify at least one binding');
+  }
+
+  if (config.clientAuth && !config.ssl && !bindings.some((binding) => binding.ssl)) {
+    throw new TypeError('the `clientAuth` option requires SSL');
+  }
+
+  if (config.redirectHttp) {
+    if (!config.ssl) {
+      throw new TypeError('the `redirectHttp` option requires the `ssl` option');
+    }
+
+    bindings.push(redirectBinding());
+  }
+
+
+  /**
+   * The underlying servers, one for each binding. Each will be created with
+   * the `https` module if its binding uses SSL, and with `http` otherwise,
+   * or with the `http2` module if its binding uses HTTP/2.
+   * @type {Array.<http.Server|https.Server|Http2Server>}
    * @see {@link https://nodejs.org/api/http.html#http_class_http_server}
    * @see {@link https://nodejs.org/api/https.html#https_class_https_server}
+   * @see {@link https://nodejs.org/api/http2.html#http2_class_http2server}
    * @private
    */
-  const instance = (config.ssl) ? https.createServer(config.ssl, cb) : http.createServer(cb);
+  const instances = bindings.map((binding) => {
+    const instance = createInstance(binding, (binding.redirect) ? redirect.redirectHandler(httpsPort()) : dispatch);
+
+    if (config.onUpgrade && !binding.redirect) {
+      instance.on('upgrade', upgrade);
+    }
+
+    return instance;
+  });
 
 
   /**
@@ -85,104 +344,1524 @@ module.exports = function createServer(cb, c) {
 
 
   /**
-   * The above properties and below functions aggregated into a single object.
-   * All Promises returned by the functions resolve to this; all internal
-   * references to any of the properties or functions must use the
+   * A map of active HTTP/2 sessions. The sockets of these sessions are not
+   * also kept in `sockets`.
+   * @type {Map.<String, Http2Session>}
+   * @see {@link https://nodejs.org/api/http2.html#http2_class_http2session}
+   * @private
+   */
+  const sessions = new Map;
+
+
+  /**
+   * A map of active connections upgraded to another protocol, e.g.,
+   * WebSockets. The sockets of these connections are not also kept in
+   * `sockets`.
+   * @type {Map.<String, Socket>}
+   * @private
+   */
+  const upgrades = new Map;
+
+
+  /**
+   * A map of IP addresses to the number of connections open from each that
+   * count towards the `maxConnections` and `maxConnectionsPerIp` options.
+   * @type {Map.<String, Number>}
+   * @private
+   */
+  const connectionsPerIp = new Map;
+
+
+  /**
+   * The number of open connections counting towards `maxConnections`,
+   * including those without an IP address, e.g., over Unix domain sockets.
+   * @type {Number}
+   * @private
+   */
+  let connections = 0;
+
+
+  /**
+   * Pending shutdown summaries of previous underlying servers still being
+   * drained in the background after a `#restart`.
+   * @type {Set.<Promise.<ShutdownSummary>>}
+   * @private
+   */
+  const draining = new Set;
+
+
+  /**
+   * The pending shutdown summary of a `#close` in progress, returned to
+   * callers of `#close` until it resolves.
+   * @type {?Promise.<ShutdownSummary>}
+   * @private
+   */
+  let closing = null;
+
+
+  /**
+   * Removes the process signal handlers registered by `#listen`, if any.
+   * @type {?Function}
+   * @private
+   */
+  let removeSignalHandlers = null;
+
+
+  /**
+   * Stops destroying idle sockets, if the `idleTimeout` option is set.
+   * @type {?Function}
+   * @private
+   */
+  let stopReaping = null;
+
+
+  /**
+   * Closes the standalone listener for metrics, if the `metrics` option
+   * specifies a `port` and `#listen` started it.
+   * @type {?Function}
+   * @private
+   */
+  let stopMetrics = null;
+
+
+  /**
+   * Stops watching the files named by the `sslFiles` option, if `#listen`
+   * started watching them.
+   * @type {?Function}
+   * @private
+   */
+  let unwatchCertificates = null;
+
+
+  /**
+   * The above properties and below functions aggregated into a single
+   * EventEmitter. All Promises returned by the functions resolve to this; all
+   * internal references to any of the properties or functions must use the
    * fully-qualified identifier name, i.e., `server.config.port`.
    * @type {ServerObject}
    * @public
    */
-  const server = { close, config, instance, listen, restart, sockets };
+  const server = Object.assign(new EventEmitter, {
+    address:   null,
+    close,
+    config,
+    connectionsPerIp,
+    instance:  instances[0],
+    instances,
+    listen,
+    metrics:   null,
+    reloadCertificates,
+    requestId: null,
+    restart,
+    sessions,
+    setHandler,
+    sockets,
+    state:     'closed',
+    upgrades
+  });
 
 
   /**
-   * Destroys remaining sockets to terminate active connections, then closes
-   * the underlying HTTP(S) server.
-   * @return {Promise.<ServerObject>}
+   * Answers requests for the paths of the `health` option before they reach
+   * the callback function, returning whether it did.
+   * @type {?Function}
    * @private
    */
-  function close() {
-    return new config.Promise((resolve) => {
-      if (!server.instance.listening) {
-        logger('already closed');
-        resolve(server);
+  const health = (config.health) ? healthEndpoints(server) : null;
+
+
+  /**
+   * Collects metrics from the events of the server if the `metrics` option
+   * is set, and answers requests for them.
+   * @type {?Object}
+   * @private
+   */
+  const metrics = (config.metrics) ? createMetrics(server, logger) : null;
+
+  if (metrics) {
+    server.metrics = metrics.metrics;
+  }
+
+
+  /**
+   * Assigns IDs to requests if the `requestId` option is set, making them
+   * available to the callback function across asynchronous calls.
+   * @type {?Object}
+   * @private
+   */
+  const ids = (config.requestId) ? createRequestIds(server) : null;
+
+  if (ids) {
+    server.requestId = ids.current;
+  }
+
+  if (config.accessLog) {
+    logAccess(server);
+  }
+
+
+  /**
+   * Sets the `client` property of requests to the identity of their client
+   * if the `clientAuth` option is set, returning whether it may make them.
+   * @type {?Function}
+   * @private
+   */
+  const authorize = (config.clientAuth) ? mtls.clientAuthorizer(server) : null;
+
+
+  /**
+   * Determines whether to trust the proxy at an address if the `trustProxy`
+   * option is set, so that the client address, protocol, and hostname of
+   * requests are taken from the headers it forwards.
+   * @type {?Function}
+   * @private
+   */
+  const trust = (config.trustProxy) ? proxy.createTrust(config.trustProxy) : null;
+
+
+  /**
+   * Answers requests over the limits of the `maxUrlLength`,
+   * `maxHeadersCount`, and `maxBodySize` options if any are set, returning
+   * whether it did.
+   * @type {?Function}
+   * @private
+   */
+  const limit = ([ 'maxBodySize', 'maxHeadersCount', 'maxUrlLength' ].some((option) => typeof config[option] === 'number')) ? requestLimits(server) : null;
+
+
+  /**
+   * Limits the rate of requests of each client if the `rateLimit` option is
+   * set, calling back for those allowed.
+   * @type {?Function}
+   * @private
+   */
+  const rateLimit = (config.rateLimit) ? throttling.rateLimiter(server, logger) : null;
+
+
+  /**
+   * Wraps responses to compress their bodies if the `compression` option is
+   * set.
+   * @type {?Function}
+   * @private
+   */
+  const compress = (config.compression) ? compression.compressor(server) : null;
+
+
+  /**
+   * Forks and supervises worker processes in place of listening if the
+   * `cluster` option is set and this is the primary process.
+   * @type {?Object}
+   * @private
+   */
+  const primary = (config.cluster && clustering.isPrimary()) ? clustering.createPrimary(server, logger) : null;
+
+
+  /**
+   * Reports to the primary process whether the server is listening if the
+   * `cluster` option is set and this is a worker process.
+   * @type {?Object}
+   * @private
+   */
+  const worker = (config.cluster && !primary) ? clustering.createWorker(server, logger) : null;
+
+
+  /**
+   * Creates an underlying server for a binding from the current
+   * configuration: with the `https` module if the binding uses SSL, selecting
+   * certificates by hostname if the `ssl` option is a map of hostnames to SSL
+   * options, and with the `http` module otherwise. If the binding uses
+   * HTTP/2, creates the server with the `http2` module instead, allowing
+   * HTTP/1 clients to connect over SSL. Servers using SSL ask clients for
+   * certificates if the `clientAuth` option is set. Applies the
+   * `headersTimeout`, `keepAliveTimeout`, `maxHeaderSize`, `maxHeadersCount`,
+   * and `requestTimeout` options if specified.
+   * @param  {Binding}  binding    The binding to create a server for
+   * @param  {Function} [listener] A `request` event listener
+   * @return {http.Server|https.Server|Http2Server}
+   * @private
+   */
+  function createInstance(binding, listener) {
+    let ssl = (binding.ssl === true) ? sharedSsl() : binding.ssl;
+    let instance;
+
+    // HTTP/2 servers take the limit as a setting sent to clients instead.
+    // Options are only passed if needed, as `http#createServer` only takes
+    // them from Node.js 9.6
+    const headerSize = (typeof config.maxHeaderSize !== 'number') ? null :
+      (binding.http2) ? { settings: { maxHeaderListSize: config.maxHeaderSize } } : { maxHeaderSize: config.maxHeaderSize };
+
+    if (ssl && config.clientAuth) {
+      ssl = Object.assign({}, ssl, mtls.tlsOptions(config.clientAuth));
+    }
+
+    if (binding.http2) {
+      // Required here rather than above, as merely requiring `http2` emits an
+      // experimental warning on older versions of Node.js
+      const http2 = require('http2');
+
+      if (ssl) {
+        instance = http2.createSecureServer(Object.assign({ allowHTTP1: true }, ssl, headerSize), listener);
       } else {
-        logger('closing');
-        logger('destroying leftover sockets');
-        server.sockets.forEach((socket, uuid) => {
-          socket.destroy();
-          server.sockets.delete(uuid);
-        });
+        instance = (headerSize) ? http2.createServer(headerSize, listener) : http2.createServer(listener);
+      }
+    } else if (ssl) {
+      instance = https.createServer((headerSize) ? Object.assign({}, ssl, headerSize) : ssl, listener);
+    } else {
+      instance = (headerSize) ? http.createServer(headerSize, listener) : http.createServer(listener);
+    }
 
-        server.instance.close(() => {
-          logger('closed');
-          resolve(server);
-        });
+    [ 'headersTimeout', 'keepAliveTimeout', 'requestTimeout' ].forEach((option) => {
+      if (typeof config[option] === 'number') {
+        instance[option] = config[option];
       }
     });
+
+    // Headers past the limit are dropped rather than refused, so one more is
+    // kept for requests over it to be answered with `431`
+    if (typeof config.maxHeadersCount === 'number') {
+      instance.maxHeadersCount = config.maxHeadersCount + 1;
+    }
+
+    return instance;
   };
 
 
   /**
-   * Creates a new HTTP(S) server, adding event handlers to the `request` and
-   * `connection` events to toggle an `idle` flag on incoming Sockets and
-   * destroy them if necessary. Resolves once the server is listening.
-   * @return {Promise.<ServerObject>}
+   * Returns the bindings to use if the `listen` option is not specified.
+   * @return {Array.<Binding>}
    * @private
    */
-  function listen() {
-    return new config.Promise((resolve) => {
-      if (server.instance.listening) {
-        logger('already listening');
-        resolve(server);
-      } else {
-        logger('creating server instance');
+  function defaultBindings() {
+    const ssl = Boolean(config.ssl);
+    const fds = (config.socketActivation) ? unix.listenFds() : [];
 
-        server.instance.on('request', (request, response) => {
-          request.server = server;
+    if (fds.length > 0) {
+      return fds.map((fd) => ({ fd, ssl }));
+    }
 
-          request.socket.idle = false;
+    if (config.path) {
+      return [ { path: config.path, ssl } ];
+    }
 
-          [ 'close', 'finish' ].forEach((e) => {
-            response.once(e, () => {
-              request.socket.idle = true;
+    return [ (typeof config.fd === 'number') ? { fd: config.fd, ssl } : { port: config.port, ssl } ];
+  };
 
-              if (!server.instance.listening) {
-                request.socket.destroy();
-                server.sockets.delete(request.socket.uuid);
-              }
-            });
-          });
-        });
 
-        server.instance.on('connection', (socket) => {
-          socket.idle = true;
-          socket.uuid = uuid.v4();
+  /**
+   * Returns the binding of the plain HTTP server redirecting to HTTPS from
+   * the `redirectHttp` option: `true` for port 80, a port number, or an
+   * object with `port` and `host` properties.
+   * @return {Binding}
+   * @private
+   */
+  function redirectBinding() {
+    const options = (typeof config.redirectHttp === 'object') ? config.redirectHttp : {};
+    const port = (typeof config.redirectHttp === 'number') ? config.redirectHttp : options.port;
 
-          server.sockets.set(socket.uuid, socket);
+    return { host: options.host, http2: false, port: (port === undefined) ? 80 : port, redirect: true, ssl: false };
+  };
 
-          socket.once('close', () => {
-            server.sockets.delete(socket.uuid);
-          });
-        });
 
-        server.instance.listen(server.config.port, () => {
-          logger(`listening on port ${server.config.port}`);
-          resolve(server);
-        });
-      }
-    });
+  /**
+   * Returns the port that requests to the redirecting server are sent to:
+   * the `httpsPort` of the `redirectHttp` option if specified, and otherwise
+   * the port of the first binding using SSL, or 443 if it has none.
+   * @return {Number}
+   * @private
+   */
+  function httpsPort() {
+    const secure = bindings.filter((binding) => binding.ssl && typeof binding.port === 'number')[0];
+
+    if (typeof config.redirectHttp === 'object' && config.redirectHttp.httpsPort) {
+      return config.redirectHttp.httpsPort;
+    }
+
+    return (secure) ? secure.port : 443;
   };
 
 
   /**
-   * Restarts the server. Calls `#close`, then `#listen`.
-   * @return {Promise.<ServerObject>}
+   * Returns the options to pass to `Server#listen` for a binding.
+   * @param  {Binding} binding
+   * @return {Object}
    * @private
    */
-  function restart() {
-    logger('restarting server');
-    return server.close().then(server.listen());
+  function address(binding) {
+    if (binding.path) {
+      return { path: binding.path };
+    }
+
+    if (typeof binding.fd === 'number') {
+      return { fd: binding.fd };
+    }
+
+    return { host: binding.host, port: binding.port };
+  };
+
+
+  /**
+   * Describes the address of a binding for debugging messages.
+   * @param  {Binding} binding
+   * @return {String}
+   * @private
+   */
+  function describe(binding) {
+    if (binding.path) {
+      return binding.path;
+    }
+
+    if (typeof binding.fd === 'number') {
+      return `file descriptor ${binding.fd}`;
+    }
+
+    return (binding.host) ? `${binding.host}:${binding.port}` : `port ${binding.port}`;
+  };
+
+
+  /**
+   * Returns the SSL options for bindings that use the `ssl` option.
+   * @return {Object}
+   * @private
+   */
+  function sharedSsl() {
+    return (contexts) ? Object.assign({}, config.ssl.default, { SNICallback }) : config.ssl;
+  };
+
+
+  /**
+   * Supplies the secure context for the hostname requested by a client.
+   * @param {String}   servername The requested hostname
+   * @param {Function} done       Called with the secure context
+   * @private
+   */
+  function SNICallback(servername, done) {
+    done(null, sni.findContext(contexts, servername));
+  };
+
+
+  /**
+   * Passes a request to the current callback function. Registered with the
+   * underlying server in place of the callback itself, so that replacing it
+   * with `#setHandler` also affects any wrappers around the server's
+   * `request` listeners, such as those added by `socket.io`. Requests over
+   * the size limits of the server are answered with `413`, `414`, or `431`,
+   * and requests of clients not allowed by the `clientAuth` option with `403
+   * Forbidden`, and requests for the paths of the `health` and `metrics`
+   * options are answered without it. Requests of clients over the
+   * `rateLimit` option are answered with `429 Too Many Requests`. Requests
+   * made on connections over the limits of the `maxConnections` and
+   * `maxConnectionsPerIp` options are answered with `503 Service
+   * Unavailable` instead.
+   * @param {http.IncomingMessage} request
+   * @param {http.ServerResponse}  response
+   * @private
+   */
+  function dispatch(request, response) {
+    if (!request.socket.limited) {
+      if (limit && limit(request, response)) {
+        return;
+      }
+
+      if (authorize && !authorize(request)) {
+        response.statusCode = 403;
+        response.end();
+        return;
+      }
+
+      if (health && health(request, response)) {
+        return;
+      }
+
+      if (metrics && metrics.answer(request, response)) {
+        return;
+      }
+
+      if (rateLimit) {
+        rateLimit(request, response, () => callHandler.call(this, request, response));
+        return;
+      }
+
+      callHandler.call(this, request, response);
+
+      return;
+    }
+
+    response.statusCode = 503;
+    response.setHeader('Retry-After', String(server.config.retryAfter));
+
+    // HTTP/2 forbids connection-specific headers; its sessions stay open
+    if (request.httpVersionMajor < 2) {
+      response.setHeader('Connection', 'close');
+    }
+
+    response.end();
+  };
+
+
+  /**
+   * Calls the current callback function with a request, making its ID
+   * available across asynchronous calls if the `requestId` option is set,
+   * and compressing its response if the `compression` option is set.
+   * @param {http.IncomingMessage} request
+   * @param {http.ServerResponse}  response
+   * @private
+   */
+  function callHandler(request, response) {
+    if (compress) {
+      compress(request, response);
+    }
+
+    if (ids) {
+      ids.run(request, () => handler.call(this, request, response));
+      return;
+    }
+
+    handler.call(this, request, response);
+  };
+
+
+  /**
+   * Passes an upgrade request to the `onUpgrade` option, e.g., to route it to
+   * one of several WebSocket servers. Registered with the underlying server
+   * in place of the option itself, so that it may be replaced at runtime.
+   * @param {http.IncomingMessage} request
+   * @param {Socket}               socket
+   * @param {Buffer}               head    The first packet of the upgraded stream
+   * @private
+   */
+  function upgrade(request, socket, head) {
+    if (socket.writable) {
+      server.config.onUpgrade.call(this, request, socket, head);
+    }
+  };
+
+
+  /**
+   * Determines whether a new connection would exceed the limit of the
+   * `maxConnections` option.
+   * @return {Boolean}
+   * @private
+   */
+  function overMaxConnections() {
+    const max = server.config.maxConnections;
+
+    return typeof max === 'number' && connections >= max;
+  };
+
+
+  /**
+   * Determines whether a new connection from an IP address would exceed the
+   * limit of the `maxConnectionsPerIp` option.
+   * @param  {String}  [ip] The remote address of the connection
+   * @return {Boolean}
+   * @private
+   */
+  function overMaxConnectionsPerIp(ip) {
+    const maxPerIp = server.config.maxConnectionsPerIp;
+
+    return typeof maxPerIp === 'number' && Boolean(ip) && (server.connectionsPerIp.get(ip) || 0) >= maxPerIp;
+  };
+
+
+  /**
+   * Counts a connection towards the `maxConnections` limit until it closes.
+   * @param {Socket} socket
+   * @private
+   */
+  function count(socket) {
+    connections++;
+
+    socket.once('close', () => {
+      connections--;
+    });
+  };
+
+
+  /**
+   * Counts a connection towards the `maxConnectionsPerIp` limit of its
+   * remote address until it closes.
+   * @param {Socket} socket
+   * @param {String} [ip]   The remote address of the connection
+   * @private
+   */
+  function countIp(socket, ip) {
+    if (!ip) {
+      return;
+    }
+
+    server.connectionsPerIp.set(ip, (server.connectionsPerIp.get(ip) || 0) + 1);
+
+    socket.once('close', () => {
+      if (server.connectionsPerIp.get(ip) > 1) {
+        server.connectionsPerIp.set(ip, server.connectionsPerIp.get(ip) - 1);
+      } else {
+        server.connectionsPerIp.delete(ip);
+      }
+    });
+  };
+
+
+  /**
+   * Refuses a connection over the connection limits by destroying it, or if
+   * the `retryAfter` option is set, by flagging it so that its requests are
+   * answered with `503`.
+   * @param {Socket} socket
+   * @private
+   */
+  function refuseConnection(socket) {
+    if (typeof server.config.retryAfter === 'number') {
+      socket.limited = true;
+      return;
+    }
+
+    logger(`refusing connection from ${socket.remoteAddress || 'local socket'} over connection limits`);
+    socket.destroy();
+    server.emit('socketDestroyed', socket, 'limit');
+  };
+
+
+  /**
+   * Adds event handlers to the `request` and `connection` events of an
+   * underlying server to toggle an `idle` flag on incoming Sockets and
+   * destroy them once the server has stopped listening, to its `session`
+   * event to keep track of HTTP/2 sessions, to its `upgrade` event to keep
+   * track of upgraded connections, and to its `error` event to re-emit errors
+   * from the wrapper. Over SSL, sockets are tracked from the
+   * `secureConnection` event instead, so that they are the same sockets the
+   * server's requests are made on. If the `proxyProtocol` option is set,
+   * connections reach these handlers once their PROXY protocol header has
+   * been read. Connections are counted towards the connection limits as soon
+   * as they are accepted, though. Does nothing if the server is already
+   * tracked.
+   * @param {http.Server|https.Server|Http2Server} target  The server to track
+   * @param {Binding}                              binding The server's binding
+   * @private
+   */
+  function track(target, binding) {
+    if (tracked.has(target)) {
+      return;
+    }
+
+    tracked.add(target);
+
+    /**
+     * Connections waiting for their TLS socket to inherit their flag for
+     * being over the connection limits, or their address read from a PROXY
+     * protocol header, by the address and port they were accepted from.
+     * @type {Map.<String, Array.<Socket>>}
+     * @private
+     */
+    const accepted = new Map;
+
+    /**
+     * Marks the requested socket as active until the response is done. Sets
+     * the `ip`, `protocol`, and `hostname` of the request from the headers
+     * forwarded by trusted proxies if the `trustProxy` option is set.
+     * @param {http.IncomingMessage} request
+     * @param {http.ServerResponse}  response
+     * @private
+     */
+    function onRequest(request, response) {
+      request.server = server;
+
+      if (trust) {
+        Object.assign(request, proxy.forwarded(request, trust));
+      }
+
+      if (ids) {
+        ids.assign(request, response);
+      }
+
+      server.emit('request', request, response);
+
+      if (hsts && binding.ssl) {
+        response.setHeader('Strict-Transport-Security', hsts);
+      }
+
+      // HTTP/2 streams are drained by closing their sessions instead
+      if (request.httpVersionMajor === 2) {
+        return;
+      }
+
+      request.socket.idle = false;
+      responses.set(request.socket, response);
+
+      if (!target.listening) {
+        response.setHeader('Connection', 'close');
+      }
+
+      [ 'close', 'finish' ].forEach((e) => {
+        response.once(e, () => {
+          request.socket.idle = true;
+          request.socket.idleSince = Date.now();
+          request.socket.served = true;
+          responses.delete(request.socket);
+
+          if (!target.listening) {
+            request.socket.destroy();
+            server.sockets.delete(request.socket.uuid);
+            server.emit('socketDestroyed', request.socket, 'idle');
+          }
+        });
+      });
+    };
+
+    /**
+     * Counts a new connection towards the connection limits as soon as it is
+     * accepted, ahead of any TLS handshake or PROXY protocol header, so that
+     * pending connections are limited too, and refuses it if over them. With
+     * the `proxyProtocol` option, the remote address is that of the proxy
+     * until the header has been read, so `maxConnectionsPerIp` is left to
+     * `onConnection`. Over SSL, flagged connections, and those of proxies,
+     * are kept until their TLS socket is ready.
+     * @param {Socket} socket
+     * @private
+     */
+    function onAccept(socket) {
+      const ip = (config.proxyProtocol) ? null : socket.remoteAddress;
+
+      if (overMaxConnections() || overMaxConnectionsPerIp(ip)) {
+        refuseConnection(socket);
+      } else {
+        count(socket);
+        countIp(socket, ip);
+      }
+
+      if (binding.ssl && (socket.limited || config.proxyProtocol)) {
+        const key = `${socket.remoteAddress}:${socket.remotePort}`;
+
+        accepted.set(key, (accepted.get(key) || []).concat(socket));
+
+        socket.once('close', () => {
+          const rest = (accepted.get(key) || []).filter((s) => s !== socket);
+
+          return (rest.length > 0) ? accepted.set(key, rest) : accepted.delete(key);
+        });
+      }
+    };
+
+    /**
+     * Flags a TLS socket so that its requests are answered with `503` if the
+     * connection it wraps was over the connection limits, and sets its remote
+     * address to that read from the connection's PROXY protocol header. TLS
+     * sockets are matched by the address and port they were accepted from,
+     * as they share these with the connection they wrap; connections over
+     * Unix domain sockets, which have neither, are matched in order.
+     * @param {TLSSocket} socket
+     * @private
+     */
+    function onSecureAccept(socket) {
+      const key = `${socket.remoteAddress}:${socket.remotePort}`;
+      const waiting = accepted.get(key);
+
+      if (!waiting) {
+        return;
+      }
+
+      const connection = waiting.shift();
+
+      if (waiting.length === 0) {
+        accepted.delete(key);
+      }
+
+      if (connection.limited) {
+        socket.limited = true;
+      }
+
+      if (connection.proxyAddress) {
+        proxy.inheritAddress(socket, connection);
+      }
+    };
+
+    /**
+     * Adds an incoming socket to the map of active sockets, unless it was
+     * refused by `onAccept`. With the `proxyProtocol` option, sockets from
+     * addresses over `maxConnectionsPerIp` are refused here instead.
+     * @param {Socket} socket
+     * @private
+     */
+    function onConnection(socket) {
+      if (socket.destroyed) {
+        return;
+      }
+
+      if (config.proxyProtocol && !socket.limited) {
+        if (overMaxConnectionsPerIp(socket.remoteAddress)) {
+          refuseConnection(socket);
+        } else {
+          countIp(socket, socket.remoteAddress);
+        }
+
+        if (socket.destroyed) {
+          return;
+        }
+      }
+
+      socket.idle = true;
+      socket.idleSince = Date.now();
+      socket.served = false;
+      socket.uuid = uuid.v4();
+      owners.set(socket, target);
+
+      server.sockets.set(socket.uuid, socket);
+
+      socket.once('close', () => {
+        server.sockets.delete(socket.uuid);
+      });
+
+      server.emit('connection', socket);
+    };
+
+    /**
+     * Moves the socket of a new HTTP/2 session from the map of active sockets
+     * to the map of active sessions, closing the session if the server has
+     * already stopped listening.
+     * @param {Http2Session} session
+     * @private
+     */
+    function onSession(session) {
+      session.uuid = uuid.v4();
+      owners.set(session, target);
+
+      server.sockets.delete(session.socket.uuid);
+      server.sessions.set(session.uuid, session);
+
+      session.once('close', () => {
+        server.sessions.delete(session.uuid);
+      });
+
+      if (!target.listening) {
+        session.close();
+      }
+    };
+
+    /**
+     * Moves an upgraded socket from the map of active sockets to the map of
+     * upgraded connections, as it no longer carries HTTP requests. Upgrades
+     * on connections over the connection limits, or made once the server has
+     * stopped listening, are refused with `503 Service Unavailable`, and
+     * those of clients not allowed by the `clientAuth` option with `403
+     * Forbidden`.
+     * @param {http.IncomingMessage} request
+     * @param {Socket}               socket
+     * @param {Buffer}               head    The first packet of the upgraded stream
+     * @private
+     */
+    function onUpgrade(request, socket, head) {
+      if (socket.limited || !target.listening) {
+        const retryAfter = (socket.limited) ? `Retry-After: ${server.config.retryAfter}\r\n` : '';
+
+        socket.end(`HTTP/1.1 503 Service Unavailable\r\n${retryAfter}Connection: close\r\n\r\n`);
+        return;
+      }
+
+      if (authorize && !authorize(request)) {
+        socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+        return;
+      }
+
+      server.sockets.delete(socket.uuid);
+      server.upgrades.set(socket.uuid, socket);
+      socket.idle = false;
+      socket.webSocket = websocket.isWebSocket(request);
+
+      socket.once('close', () => {
+        server.upgrades.delete(socket.uuid);
+      });
+
+      server.emit('upgrade', request, socket, head);
+    };
+
+    /**
+     * Starts tracking upgraded connections once the underlying server has a
+     * listener for its `upgrade` event. Until then, Node.js answers upgrade
+     * requests as regular requests, so tracking must not be added earlier.
+     * @param {String}   event
+     * @param {Function} [listener]
+     * @private
+     */
+    function onNewListener(event, listener) {
+      if (event === 'upgrade' && listener !== onUpgrade && target.listeners('upgrade').indexOf(onUpgrade) === -1) {
+        target.prependListener('upgrade', onUpgrade);
+      }
+    };
+
+    /**
+     * Re-emits an error of the underlying server from the wrapper, unless
+     * only listeners added to the underlying server itself would handle it.
+     * Errors while starting to listen are left to `#listen` to reject with.
+     * @param {Error} error
+     * @private
+     */
+    function onError(error) {
+      if (!target.listening) {
+        return;
+      }
+
+      if (server.listenerCount('error') > 0 || target.listenerCount('error') === 1) {
+        server.emit('error', error);
+      }
+    };
+
+    /**
+     * Forwards failed TLS handshakes of the underlying server.
+     * @param {Error}  error
+     * @param {Socket} socket
+     * @private
+     */
+    function onTlsClientError(error, socket) {
+      server.emit('tlsClientError', error, socket);
+    };
+
+    handlers.add(onRequest);
+    handlers.add(onAccept);
+    handlers.add(onSecureAccept);
+    handlers.add(onConnection);
+    handlers.add(onSession);
+    handlers.add(onError);
+    handlers.add(onTlsClientError);
+    handlers.add(onUpgrade);
+    handlers.add(onNewListener);
+
+    target.prependListener('request', onRequest);
+    target.prependListener((binding.ssl) ? 'secureConnection' : 'connection', onConnection);
+    target.on('session', onSession);
+    target.on('error', onError);
+    target.on('tlsClientError', onTlsClientError);
+    target.on('newListener', onNewListener);
+
+    // Listeners carried over by `#restart` are added before tracking
+    if (target.listenerCount('upgrade') > 0) {
+      onNewListener('upgrade');
+    }
+
+    // Defers every `connection` listener added above, so must come last
+    if (config.proxyProtocol) {
+      proxy.acceptProxyProtocol(server, target, binding, logger);
+    }
+
+    // Added after the PROXY protocol is set up, so as to run before it
+    target.prependListener('connection', onAccept);
+
+    if (binding.ssl) {
+      target.prependListener('secureConnection', onSecureAccept);
+    }
+  };
+
+
+  /**
+   * Closes underlying servers and destroys the specified idle sockets, then
+   * waits for the active ones to finish their responses. Sockets yet to
+   * finish their first response count as active, as their first request may
+   * still be on its way; it is answered with `Connection: close`. The
+   * specified HTTP/2 sessions are sent GOAWAY frames and closed once their
+   * active streams finish. The specified upgraded connections are sent a
+   * WebSocket close frame with the status `1001 Going Away`, or ended if they
+   * use another protocol, and destroyed if still open once
+   * `upgradeGracePeriod` milliseconds have elapsed. Any sockets or sessions
+   * still open once `shutdownTimeout` milliseconds have elapsed are forcibly
+   * destroyed.
+   * @param  {Array.<http.Server|https.Server|Http2Server>} targets The servers to close
+   * @param  {Map.<String, Socket>}       sockets  The sockets to drain
+   * @param  {Map.<String, Http2Session>} sessions The sessions to drain
+   * @param  {Map.<String, Socket>}       upgrades The upgraded sockets to drain
+   * @return {Promise.<ShutdownSummary>}
+   * @private
+   */
+  function drain(targets, sockets, sessions, upgrades) {
+    return new config.Promise((resolve) => {
+      const summary = { drained: 0, destroyed: 0 };
+      const pending = new Map;
+      let open = targets.length;
+      let closed = false;
+      let grace = null;
+
+      // Sockets still performing a TLS handshake are not tracked, so stop
+      // waiting for the underlying server to close on timeout as well
+      const timeout = setTimeout(() => {
+        logger(`destroying ${pending.size} sockets after shutdown timeout`);
+        server.emit('drainTimeout', Array.from(pending.values()));
+        pending.forEach((socket, uuid) => {
+          socket.destroy();
+          server.sockets.delete(uuid);
+          server.sessions.delete(uuid);
+          server.upgrades.delete(uuid);
+          summary.destroyed++;
+          server.emit('socketDestroyed', socket, 'timeout');
+        });
+        pending.clear();
+        closed = true;
+        finish();
+      }, server.config.shutdownTimeout);
+
+      /**
+       * Resolves once the underlying server has closed and no active sockets
+       * or sessions remain.
+       * @private
+       */
+      function finish() {
+        if (closed && pending.size === 0) {
+          clearTimeout(timeout);
+          clearTimeout(grace);
+          resolve(summary);
+        }
+      };
+
+      logger('destroying idle sockets');
+      sockets.forEach((socket, uuid) => {
+        if (socket.idle === false || !socket.served) {
+          const response = responses.get(socket);
+
+          // Tell keep-alive clients not to reuse the socket after this response
+          if (response && !response.headersSent) {
+            response.setHeader('Connection', 'close');
+          }
+
+          pending.set(uuid, socket);
+          socket.once('close', () => {
+            if (pending.delete(uuid)) {
+              summary.drained++;
+              finish();
+            }
+          });
+        } else {
+          socket.destroy();
+          server.sockets.delete(uuid);
+          summary.drained++;
+          server.emit('socketDestroyed', socket, 'idle');
+        }
+      });
+
+      logger(`closing ${sessions.size} HTTP/2 sessions`);
+      sessions.forEach((session, uuid) => {
+        pending.set(uuid, session);
+        session.once('close', () => {
+          if (pending.delete(uuid)) {
+            summary.drained++;
+            finish();
+          }
+        });
+        session.close();
+      });
+
+      logger(`closing ${upgrades.size} upgraded connections`);
+      upgrades.forEach((socket, uuid) => {
+        pending.set(uuid, socket);
+        socket.once('close', () => {
+          if (pending.delete(uuid)) {
+            summary.drained++;
+            finish();
+          }
+        });
+
+        // WebSocket clients answer with a close frame of their own, which
+        // lets the application's WebSocket server end the connection
+        if (socket.webSocket && socket.writable) {
+          socket.write(websocket.closeFrame(websocket.GOING_AWAY, 'server shutting down'));
+        } else {
+          socket.end();
+        }
+      });
+
+      if (upgrades.size > 0) {
+        grace = setTimeout(() => {
+          upgrades.forEach((socket, uuid) => {
+            if (pending.delete(uuid)) {
+              socket.destroy();
+              server.upgrades.delete(uuid);
+              summary.destroyed++;
+              server.emit('socketDestroyed', socket, 'timeout');
+            }
+          });
+          finish();
+        }, server.config.upgradeGracePeriod);
+      }
+
+      logger(`draining ${pending.size} active sockets and sessions`);
+      targets.forEach((target) => {
+        target.close(() => {
+          closed = (--open === 0);
+          finish();
+        });
+      });
+    });
+  };
+
+
+  /**
+   * Returns the entries of a map of active sockets or sessions that are not
+   * already being drained.
+   * @param  {Map.<String, (Socket|Http2Session)>} map
+   * @return {Map.<String, (Socket|Http2Session)>}
+   * @private
+   */
+  function undrained(map) {
+    return new Map(Array.from(map).filter((entry) => !entry[1].draining));
+  };
+
+
+  /**
+   * Returns the underlying servers that are currently listening.
+   * @return {Array.<http.Server|https.Server|Http2Server>}
+   * @private
+   */
+  function listening() {
+    return server.instances.filter((target) => target.listening);
+  };
+
+
+  /**
+   * Stops accepting new connections and destroys idle sockets, then waits for
+   * active sockets to finish their responses. Any sockets still open once
+   * `shutdownTimeout` milliseconds have elapsed are forcibly destroyed.
+   * Resolves to a summary of how many sockets drained cleanly and how many
+   * had to be destroyed, including those left over from a `#restart`. The
+   * primary of a cluster closes its workers instead. Calls made while
+   * closing return the same Promise.
+   * @return {Promise.<ShutdownSummary>}
+   * @private
+   */
+  function close() {
+    const targets = listening();
+
+    if (closing) {
+      logger('already closing');
+      return closing;
+    }
+
+    if ((primary) ? server.state !== 'listening' : targets.length === 0) {
+      logger('already closed');
+      return config.Promise.resolve({ drained: 0, destroyed: 0 });
+    }
+
+    logger('closing');
+    server.state = 'closing';
+    server.emit('closing', { sessions: server.sessions.size, sockets: server.sockets.size, upgrades: server.upgrades.size });
+    const previous = Array.from(draining);
+    const current = (primary) ? primary.close() : drain(targets, undrained(server.sockets), undrained(server.sessions), undrained(server.upgrades));
+
+    closing = config.Promise.all(previous.concat(current)).then((summaries) => {
+      const summary = summaries.reduce((total, s) => {
+        return { drained: total.drained + s.drained, destroyed: total.destroyed + s.destroyed };
+      });
+
+      if (removeSignalHandlers) {
+        removeSignalHandlers();
+        removeSignalHandlers = null;
+      }
+
+      if (stopReaping) {
+        stopReaping();
+        stopReaping = null;
+      }
+
+      if (stopMetrics) {
+        stopMetrics();
+        stopMetrics = null;
+      }
+
+      if (unwatchCertificates) {
+        unwatchCertificates();
+        unwatchCertificates = null;
+      }
+
+      logger(`closed (${summary.drained} drained, ${summary.destroyed} destroyed)`);
+      closing = null;
+      server.address = null;
+      server.state = 'closed';
+      server.emit('closed', summary);
+      return summary;
+    });
+
+    return closing;
+  };
+
+
+  /**
+   * Starts an underlying server on a binding, with the specified port in
+   * place of the binding's own. Retries with exponential backoff while the
+   * address is in use, up to `listenRetries` times, then falls back to the
+   * next port or an ephemeral one if the `portFallback` option is set.
+   * Rejects with an error describing the address if all attempts fail.
+   * @param  {http.Server|https.Server|Http2Server} target  The server to start
+   * @param  {Binding}                              binding The server's binding
+   * @param  {Number}                               [port]  The port to listen on
+   * @param  {Number}                               [tries] The number of retries so far
+   * @return {Promise}
+   * @private
+   */
+  function attempt(target, binding, port, tries) {
+    const current = Object.assign({}, binding, { port });
+    const retries = tries || 0;
+
+    return new config.Promise((resolve, reject) => {
+      /**
+       * Resolves once the server is listening.
+       * @private
+       */
+      function onListening() {
+        target.removeListener('error', onError);
+        resolve();
+      };
+
+      /**
+       * Rejects if the server fails to listen.
+       * @param {Error} error
+       * @private
+       */
+      function onError(error) {
+        target.removeListener('listening', onListening);
+        reject(error);
+      };
+
+      target.once('listening', onListening);
+      target.once('error', onError);
+      target.listen(address(current));
+    }).catch((error) => {
+      const fallback = server.config.portFallback;
+
+      if (error.code === 'EADDRINUSE' && retries < server.config.listenRetries) {
+        const delay = server.config.listenRetryDelay * Math.pow(2, retries);
+
+        logger(`${describe(current)} is in use, retrying in ${delay}ms`);
+        return new config.Promise((resolve) => setTimeout(resolve, delay)).then(() => {
+          return attempt(target, binding, port, retries + 1);
+        });
+      }
+
+      if (typeof port === 'number' && (error.code === 'EADDRINUSE' || error.code === 'EACCES')) {
+        if (fallback === 'next' && port > 0 && port < 65535) {
+          logger(`cannot listen on ${describe(current)}, trying port ${port + 1}`);
+          return attempt(target, binding, port + 1, server.config.listenRetries);
+        }
+
+        if (fallback === 'ephemeral' && port !== 0) {
+          logger(`cannot listen on ${describe(current)}, trying an ephemeral port`);
+          return attempt(target, binding, 0, server.config.listenRetries);
+        }
+      }
+
+      throw Object.assign(new Error(`failed to listen on ${describe(current)}: ${error.message}`), {
+        address: current.path || current.host,
+        cause:   error,
+        code:    error.code,
+        port:    current.port
+      });
+    });
+  };
+
+
+  /**
+   * Adds event handlers to an underlying server via `#track`, then starts it
+   * on its binding via `#attempt`. A stale socket file left at the binding's
+   * path is removed first, and the file mode of the new one is set once
+   * listening.
+   * @param  {http.Server|https.Server|Http2Server} target  The server to start
+   * @param  {Binding}                              binding The server's binding
+   * @return {Promise}
+   * @private
+   */
+  function bind(target, binding) {
+    const stale = (binding.path) ? unix.removeStaleSocket(binding.path, config.Promise) : config.Promise.resolve(false);
+
+    return stale.then((removed) => {
+      if (removed) {
+        logger(`removed stale socket ${binding.path}`);
+      }
+
+      track(target, binding);
+      return attempt(target, binding, binding.port);
+    }).then(() => {
+      const bound = target.address();
+
+      logger(`listening on ${describe((bound && typeof bound === 'object') ? Object.assign({}, binding, { port: bound.port }) : binding)}`);
+
+      if (!binding.path || typeof binding.mode !== 'number') {
+        return;
+      }
+
+      return new config.Promise((resolve, reject) => {
+        fs.chmod(binding.path, binding.mode, (error) => {
+          return (error) ? reject(error) : resolve();
+        });
+      });
+    });
+  };
+
+
+  /**
+   * Adds event handlers to each underlying server via `#track`, then starts
+   * any that are not already listening on their bindings, along with the
+   * standalone listener for metrics if the `metrics` option specifies a
+   * `port`. Resolves once all of them are listening; if any fail to, closes
+   * those started and rejects with the first error. The primary of a
+   * cluster forks its workers instead.
+   * @return {Promise.<ServerObject>}
+   * @private
+   */
+  function listen() {
+    if ((primary) ? server.state === 'listening' : listening().length === server.instances.length) {
+      logger('already listening');
+      return config.Promise.resolve(server);
+    }
+
+    if (primary) {
+      return primary.listen().then(listened);
+    }
+
+    logger('creating server instances');
+    const started = server.instances.filter((target) => !target.listening);
+
+    return config.Promise.all(started.map((target) => {
+      return bind(target, bindings[server.instances.indexOf(target)]).then(() => null, (error) => error);
+    })).then((errors) => {
+      const error = errors.filter(Boolean)[0];
+
+      if (error) {
+        throw error;
+      }
+
+      if (metrics && !stopMetrics) {
+        return metrics.listen().then((stop) => {
+          stopMetrics = stop;
+        });
+      }
+    }).catch((error) => {
+      logger(error.message);
+      started.filter((target) => target.listening).forEach((target) => target.close());
+
+      if (worker) {
+        worker.failed(error);
+      }
+
+      throw error;
+    }).then(() => {
+      if (server.config.idleTimeout && !stopReaping) {
+        stopReaping = reapIdleSockets(server, logger);
+      }
+
+      if (server.config.sslFiles && !unwatchCertificates) {
+        unwatchCertificates = certificates.watchCertificates(server, logger);
+      }
+
+      return listened(server.instances.map((target) => target.address()));
+    });
+  };
+
+
+  /**
+   * Registers process signal handlers if the `signals` option is set, then
+   * records the address of the first underlying server, or of the first
+   * worker in a cluster, and emits `listening`. Reports to the primary
+   * process if this is a worker.
+   * @param  {Array.<?(Object|String)>} addresses The addresses listened on
+   * @return {ServerObject}
+   * @private
+   */
+  function listened(addresses) {
+    if (server.config.signals && !removeSignalHandlers) {
+      removeSignalHandlers = handleSignals(server, logger);
+    }
+
+    server.address = addresses[0] || null;
+    server.state = 'listening';
+    server.emit('listening', addresses);
+
+    if (worker) {
+      worker.listening(addresses);
+    }
+
+    return server;
+  };
+
+
+  /**
+   * Replaces the SSL certificates of the server without interrupting it.
+   * The specified options are merged into the `ssl` option and validated
+   * before use; if they are invalid, e.g., a malformed PEM or a key that
+   * does not match its certificate, the Promise rejects and the previous
+   * certificates stay in place. Existing TLS connections are unaffected.
+   * If the `ssl` option is a map of hostnames to SSL options, the specified
+   * options must be one too; its entries replace those of the same hostname,
+   * and entries set to `null` are removed. Only bindings using the `ssl`
+   * option are affected. Falls back to `#restart` where
+   * `Server#setSecureContext` is unavailable.
+   * @param  {Object} options SSL options, i.e., `key` and `cert`
+   * @return {Promise.<ServerObject>}
+   * @private
+   */
+  function reloadCertificates(options) {
+    return new config.Promise((resolve, reject) => {
+      if (!server.config.ssl) {
+        return reject(new Error('server is not using SSL'));
+      }
+
+      let ssl, next;
+
+      try {
+        if (contexts) {
+          ssl = sni.mergeHosts(server.config.ssl, options);
+          next = sni.createContexts(ssl);
+        } else {
+          ssl = Object.assign({}, server.config.ssl, options);
+          tls.createSecureContext(ssl);
+        }
+      } catch (error) {
+        logger(`invalid certificates: ${error.message}`);
+        return reject(error);
+      }
+
+      server.config.ssl = ssl;
+      contexts = next || null;
+
+      const targets = server.instances.filter((target, i) => bindings[i].ssl === true);
+
+      if (targets.every((target) => typeof target.setSecureContext === 'function')) {
+        logger('replacing secure context');
+        targets.forEach((target) => {
+          target.setSecureContext((contexts) ? ssl.default : ssl);
+        });
+        resolve(server);
+      } else {
+        resolve(server.restart());
+      }
+    });
+  };
+
+
+  /**
+   * Determines whether the listening handle of an underlying server can be
+   * handed to a new server. Node.js only accepts TCP handles; those of Unix
+   * domain sockets cannot be listened on twice within one process.
+   * @param  {http.Server|https.Server|Http2Server} target
+   * @return {Boolean}
+   * @private
+   */
+  function transferable(target) {
+    const address = target.address();
+
+    return Boolean(address) && typeof address === 'object';
+  };
+
+
+  /**
+   * Detaches the listening handle of an underlying server once it has been
+   * handed to another, so that closing the old server leaves the port open.
+   * Node.js has no public API for this, so the server's internal `_handle`
+   * is cleared, as checked on Node.js 10 to 22.
+   * @param {http.Server|https.Server|Http2Server} target
+   * @private
+   */
+  function detachHandle(target) {
+    target._handle = null;
+  };
+
+
+  /**
+   * Returns the entries of a map of active sockets or sessions that were
+   * accepted by any of the specified underlying servers.
+   * @param  {Map.<String, (Socket|Http2Session)>}          map
+   * @param  {Array.<http.Server|https.Server|Http2Server>} targets
+   * @return {Map.<String, (Socket|Http2Session)>}
+   * @private
+   */
+  function ownedBy(map, targets) {
+    return new Map(Array.from(map).filter((entry) => targets.indexOf(owners.get(entry[1])) !== -1));
+  };
+
+
+  /**
+   * Restarts the server without closing its ports. Creates new underlying
+   * servers from the current configuration and hands each the listening
+   * handle of the old one for the same binding, so that new connections go
+   * to the new servers while the old ones' sockets are drained in the
+   * background. Servers listening on Unix domain sockets are kept as they
+   * are, since their handles cannot be handed over. Calls `#listen` for any
+   * bindings that are not listening. The primary of a cluster replaces its
+   * workers one at a time instead.
+   * @return {Promise.<ServerObject>}
+   * @private
+   */
+  function restart() {
+    if (primary) {
+      return (server.state === 'listening') ? primary.restart().then(() => server) : server.listen();
+    }
+
+    if (listening().length === 0) {
+      return server.listen();
+    }
+
+    const previous = listening().filter(transferable);
+
+    if (previous.length === 0) {
+      logger('no listening handles can be handed over; keeping current servers');
+      return server.listen();
+    }
+
+    logger('restarting server');
+    server.emit('restarting', previous);
+    const targets = ownedBy(undrained(server.sockets), previous);
+    const targetSessions = ownedBy(undrained(server.sessions), previous);
+    const targetUpgrades = ownedBy(undrained(server.upgrades), previous);
+
+    return config.Promise.all(previous.map((target) => {
+      const i = server.instances.indexOf(target);
+      const next = createInstance(bindings[i]);
+
+      inherited.forEach((e) => {
+        target.listeners(e).filter((l) => !handlers.has(l)).forEach((l) => {
+          next.on(e, l);
+        });
+      });
+
+      track(next, bindings[i]);
+
+      return new config.Promise((resolve) => {
+        next.listen(target, () => {
+          detachHandle(target);
+          server.instances[i] = next;
+          resolve();
+        });
+      });
+    })).then(() => {
+      server.instance = server.instances[0];
+
+      [ targets, targetSessions, targetUpgrades ].forEach((map) => {
+        map.forEach((target) => {
+          target.draining = true;
+        });
+      });
+
+      const drained = drain(previous, targets, targetSessions, targetUpgrades).then((summary) => {
+        draining.delete(drained);
+        logger(`previous servers closed (${summary.drained} drained, ${summary.destroyed} destroyed)`);
+        return summary;
+      });
+
+      draining.add(drained);
+      logger('restarted');
+      return server.listen();
+    });
+  };
+
+
+  /**
+   * Replaces the callback function handling requests without interrupting
+   * the server. Requests already in progress finish on the old callback;
+   * new requests are passed to the new one.
+   * @param  {Function} cb The callback function to use
+   * @return {Promise.<ServerObject>}
+   * @throws {TypeError}
+   * @private
+   */
+  function setHandler(cb) {
+    if (typeof cb !== 'function') {
+      throw new TypeError('callback must be a function');
+    }
+
+    logger('replacing request handler');
+    handler = cb;
+    return config.Promise.resolve(server);
   };
 
   return server;
@@ -0,0 +1,148 @@
+/**
+ * @file Exports a function for refusing requests over the size limits of a
+ * server before they reach its callback function.
+ */
+
+
+/**
+ * Counts the headers of a request, leaving out the pseudo-headers of
+ * HTTP/2, e.g., `:path`.
+ * @param  {http.IncomingMessage} request
+ * @return {Number}
+ * @private
+ */
+function countHeaders(request) {
+  return request.rawHeaders.filter((value, i) => i % 2 === 0 && value[0] !== ':').length;
+};
+
+
+/**
+ * Answers a request with an error status, closing its connection so that
+ * any body still being sent is not read. HTTP/2 sessions stay open, as only
+ * the stream of the request is closed.
+ * @param {http.IncomingMessage} request
+ * @param {http.ServerResponse}  response
+ * @param {Number}               status   The status code to send
+ * @private
+ */
+function refuse(request, response, status) {
+  response.statusCode = status;
+
+  // HTTP/2 forbids connection-specific headers
+  if (request.httpVersionMajor < 2) {
+    response.setHeader('Connection', 'close');
+  }
+
+  response.end();
+};
+
+
+/**
+ * Counts the bytes of the body of a request as they arrive, and once more
+ * than `max` have, drops the rest. Callbacks reading the body with error
+ * handling, e.g., body parsers, are left to answer: the request emits an
+ * error with a `status` of `413`, as body parsers do, and its HTTP/1
+ * connection is closed once the response is sent. Whether a request has
+ * `error` listeners is checked once its body grows past `max`, so listeners
+ * added later are not called. Requests without any are answered with `413
+ * Payload Too Large` and `Connection: close` instead, and never end, so that
+ * the callback does not answer them too. Requests whose response was already
+ * sent are destroyed.
+ *
+ * Node.js has no public API for intercepting a body before it reaches the
+ * listeners of the request, so its `push` method is wrapped, as checked on
+ * Node.js 10 to 22.
+ * @param {http.IncomingMessage} request
+ * @param {http.ServerResponse}  response
+ * @param {Number}               max      The most bytes to accept
+ * @private
+ */
+function limitBody(request, response, max) {
+  const push = request.push;
+  let received = 0;
+  let answered = false;
+
+  request.push = function(chunk) {
+    // The rest of a body past the limit is dropped, but still ends the
+    // request if the callback answers it, as body parsers wait for it to
+    if (received > max) {
+      return (chunk === null && !answered) ? push.apply(this, arguments) : false;
+    }
+
+    received += (chunk) ? chunk.length : 0;
+
+    if (received <= max) {
+      return push.apply(this, arguments);
+    }
+
+    if (response.headersSent) {
+      request.destroy();
+      return false;
+    }
+
+    if (request.listenerCount('error') === 0) {
+      answered = true;
+      refuse(request, response, 413);
+      return false;
+    }
+
+    if (request.httpVersionMajor < 2) {
+      response.once('finish', () => request.socket.end());
+    }
+
+    request.emit('error', Object.assign(new Error('request entity too large'), {
+      expose:     true,
+      limit:      max,
+      received,
+      status:     413,
+      statusCode: 413,
+      type:       'entity.too.large'
+    }));
+
+    return false;
+  };
+};
+
+
+/**
+ * Creates a function that answers requests over the limits of the
+ * `maxUrlLength`, `maxHeadersCount`, and `maxBodySize` options with `414 URI
+ * Too Long`, `431 Request Header Fields Too Large`, and `413 Payload Too
+ * Large` respectively, and returns whether it did. Bodies declared larger
+ * than `maxBodySize` by their `Content-Length` header are refused right
+ * away; others are counted as they are read, and fail once they grow past
+ * it. Connections of refused HTTP/1 requests are closed.
+ * @param  {ServerObject} server The server to limit requests of
+ * @return {Function}
+ */
+module.exports = function requestLimits(server) {
+  return function limit(request, response) {
+    const config = server.config;
+
+    if (typeof config.maxUrlLength === 'number' && request.url.length > config.maxUrlLength) {
+      refuse(request, response, 414);
+      return true;
+    }
+
+    if (typeof config.maxHeadersCount === 'number' && countHeaders(request) > config.maxHeadersCount) {
+      refuse(request, response, 431);
+      return true;
+    }
+
+    if (typeof config.maxBodySize !== 'number') {
+      return false;
+    }
+
+    if (request.headers['content-length'] !== undefined) {
+      if (Number(request.headers['content-length']) <= config.maxBodySize) {
+        return false;
+      }
+
+      refuse(request, response, 413);
+      return true;
+    }
+
+    limitBody(request, response, config.maxBodySize);
+    return false;
+  };
+};
@@ -0,0 +1,246 @@
+/**
+ * @file Exports a function for collecting metrics about a server and
+ * exposing them in the Prometheus text format.
+ * @see {@link https://prometheus.io/docs/instrumenting/exposition_formats/}
+ */
+
+
+const http = require('http');
+
+
+/**
+ * The prefix of the name of every metric.
+ * @type {String}
+ * @private
+ */
+const PREFIX = 'nicer_server_';
+
+
+/**
+ * The upper bounds of the request duration histogram's buckets, in seconds,
+ * used unless the `metrics` option specifies its own.
+ * @type {Array.<Number>}
+ * @private
+ */
+const BUCKETS = [ 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10 ];
+
+
+/**
+ * The request methods counted by name; all others are counted as `OTHER`,
+ * so that clients cannot create a label for every method they make up.
+ * @type {Array.<String>}
+ * @private
+ */
+const METHODS = [ 'CONNECT', 'DELETE', 'GET', 'HEAD', 'OPTIONS', 'PATCH', 'POST', 'PUT', 'TRACE' ];
+
+
+/**
+ * The `Content-Type` of the Prometheus text format.
+ * @type {String}
+ * @private
+ */
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+
+/**
+ * Formats the labels of a sample, e.g., `{method="GET",status="2xx"}`.
+ * @param  {Object.<String, String>} labels
+ * @return {String}
+ * @private
+ */
+function format(labels) {
+  const pairs = Object.keys(labels).map((name) => {
+    return `${name}="${String(labels[name]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+  });
+
+  return (pairs.length) ? `{${pairs.join(',')}}` : '';
+};
+
+
+/**
+ * Renders a metric with its `HELP` and `TYPE` lines, followed by a line for
+ * each of its samples.
+ * @param  {String}        name    The name of the metric, without the prefix
+ * @param  {String}        type    `counter`, `gauge`, or `histogram`
+ * @param  {String}        help    A description of the metric
+ * @param  {Array.<Array>} samples Pairs of sample name suffixes and labels with values
+ * @return {String}
+ * @private
+ */
+function render(name, type, help, samples) {
+  return [ `# HELP ${PREFIX}${name} ${help}`, `# TYPE ${PREFIX}${name} ${type}` ].concat(samples.map((sample) => {
+    return `${PREFIX}${name}${sample[0]}${format(sample[1])} ${sample[2]}`;
+  })).join('\n');
+};
+
+
+/**
+ * Collects metrics about a server from its events: requests by method and
+ * status class, request durations, connections accepted, TLS handshake
+ * failures, restarts, and sockets destroyed by reason. Active, idle, and
+ * upgraded connections are counted from its `sockets`, `sessions`, and
+ * `upgrades` Maps whenever metrics are rendered. Returns functions for
+ * rendering the metrics, for answering requests for the path of the `metrics`
+ * option, and for starting a standalone listener for them if the option
+ * specifies a `port`.
+ * @param  {ServerObject} server The server to collect metrics for
+ * @param  {Function}     logger Internal debugging function
+ * @return {Object}
+ */
+module.exports = function createMetrics(server, logger) {
+  const options = Object.assign({ buckets: BUCKETS, host: undefined, path: '/metrics', port: null }, (server.config.metrics === true) ? {} : server.config.metrics);
+  const buckets = options.buckets.slice().sort((a, b) => a - b);
+  const requests = new Map;
+  const destroyed = new Map;
+  const durations = { counts: buckets.map(() => 0), count: 0, sum: 0 };
+  const totals = { connections: 0, restarts: 0, tlsErrors: 0 };
+
+  server.on('request', (request, response) => {
+    const start = process.hrtime();
+    let done = false;
+
+    [ 'close', 'finish' ].forEach((e) => {
+      response.once(e, () => {
+        if (done) {
+          return;
+        }
+
+        const elapsed = process.hrtime(start);
+        const seconds = elapsed[0] + elapsed[1] / 1e9;
+        const method = (METHODS.indexOf(request.method) > -1) ? request.method : 'OTHER';
+        const key = `${method} ${String(response.statusCode).charAt(0)}xx`;
+
+        done = true;
+        requests.set(key, (requests.get(key) || 0) + 1);
+        buckets.forEach((bound, i) => {
+          if (seconds <= bound) {
+            durations.counts[i]++;
+          }
+        });
+        durations.count++;
+        durations.sum += seconds;
+      });
+    });
+  });
+
+  server.on('connection', () => totals.connections++);
+  server.on('restarting', () => totals.restarts++);
+  server.on('tlsClientError', () => totals.tlsErrors++);
+  server.on('socketDestroyed', (socket, reason) => {
+    destroyed.set(reason, (destroyed.get(reason) || 0) + 1);
+  });
+
+  /**
+   * Renders the current metrics in the Prometheus text format.
+   * @return {String}
+   */
+  function metrics() {
+    const sockets = Array.from(server.sockets.values());
+    const idle = sockets.filter((socket) => socket.idle === true).length;
+
+    return [
+      render('requests_total', 'counter', 'Requests answered, by method and status class.', Array.from(requests).map((entry) => {
+        const parts = entry[0].split(' ');
+
+        return [ '', { method: parts[0], status: parts[1] }, entry[1] ];
+      })),
+      render('request_duration_seconds', 'histogram', 'Time taken to answer requests, in seconds.', buckets.map((bound, i) => {
+        return [ '_bucket', { le: String(bound) }, durations.counts[i] ];
+      }).concat([
+        [ '_bucket', { le: '+Inf' }, durations.count ],
+        [ '_sum', {}, durations.sum ],
+        [ '_count', {}, durations.count ]
+      ])),
+      render('connections_active', 'gauge', 'Open connections with a request in progress, including HTTP/2 sessions.', [
+        [ '', {}, sockets.length - idle + server.sessions.size ]
+      ]),
+      render('connections_idle', 'gauge', 'Open connections without a request in progress.', [ [ '', {}, idle ] ]),
+      render('connections_upgraded', 'gauge', 'Open connections upgraded to another protocol, e.g., WebSockets.', [
+        [ '', {}, server.upgrades.size ]
+      ]),
+      render('connections_total', 'counter', 'Connections accepted.', [ [ '', {}, totals.connections ] ]),
+      render('tls_handshake_failures_total', 'counter', 'Connections that failed their TLS handshake.', [ [ '', {}, totals.tlsErrors ] ]),
+      render('restarts_total', 'counter', 'Restarts of the underlying servers.', [ [ '', {}, totals.restarts ] ]),
+      render('sockets_destroyed_total', 'counter', 'Sockets and sessions destroyed, by reason.', Array.from(destroyed).map((entry) => {
+        return [ '', { reason: entry[0] }, entry[1] ];
+      }))
+    ].join('\n') + '\n';
+  };
+
+  /**
+   * Answers `GET` and `HEAD` requests for the path of the `metrics` option
+   * with the current metrics, and returns whether it did. Requests of the
+   * server itself are not answered if the option specifies a `port`.
+   * @param  {http.IncomingMessage} request
+   * @param  {http.ServerResponse}  response
+   * @param  {Boolean}              [standalone] Whether the request was made to the standalone listener
+   * @return {Boolean}
+   */
+  function answer(request, response, standalone) {
+    if ((typeof options.port === 'number') !== Boolean(standalone)) {
+      return false;
+    }
+
+    if (request.url.split('?')[0] !== options.path || (request.method !== 'GET' && request.method !== 'HEAD')) {
+      return false;
+    }
+
+    response.statusCode = 200;
+    response.setHeader('Content-Type', CONTENT_TYPE);
+    response.end((request.method === 'HEAD') ? undefined : metrics());
+    return true;
+  };
+
+  /**
+   * Starts a standalone HTTP server answering requests for metrics on the
+   * port and host of the `metrics` option, and `404 Not Found` otherwise.
+   * Resolves to a function that closes it, destroying any open scrapes, or
+   * to `null` if the option does not specify a `port`.
+   * @return {Promise.<?Function>}
+   */
+  function listen() {
+    if (typeof options.port !== 'number') {
+      return server.config.Promise.resolve(null);
+    }
+
+    const sockets = new Set;
+    const target = http.createServer((request, response) => {
+      if (!answer(request, response, true)) {
+        response.statusCode = 404;
+        response.end();
+      }
+    });
+
+    target.on('connection', (socket) => {
+      sockets.add(socket);
+      socket.once('close', () => sockets.delete(socket));
+    });
+
+    return new server.config.Promise((resolve, reject) => {
+      /**
+       * Rejects with an error naming the port if the server fails to listen.
+       * @param {Error} error
+       * @private
+       */
+      function onError(error) {
+        reject(Object.assign(new Error(`failed to serve metrics on port ${options.port}: ${error.message}`), {
+          cause: error,
+          code:  error.code,
+          port:  options.port
+        }));
+      };
+
+      target.once('error', onError);
+      target.listen({ host: options.host, port: options.port }, () => {
+        target.removeListener('error', onError);
+        logger(`serving metrics on port ${target.address().port}`);
+        resolve(function stopMetrics() {
+          target.close();
+          sockets.forEach((socket) => socket.destroy());
+        });
+      });
+    });
+  };
+
+  return { answer, listen, metrics };
+};
@@ -0,0 +1,108 @@
+/**
+ * @file Exports functions for authenticating the clients of a server by
+ * their TLS certificates, i.e., mutual TLS.
+ */
+
+
+/**
+ * The identity of a client, taken from the certificate it presented and
+ * that was verified against the `ca` of the `ssl` option.
+ * @typedef ClientIdentity
+ * @type {Object}
+ * @property {String}         fingerprint  - The SHA-256 fingerprint of the certificate
+ * @property {Object}         issuer       - The issuer of the certificate, e.g., `{ CN: 'Example CA' }`
+ * @property {Array.<String>} san          - The subject alternative names, e.g., `[ 'DNS:example.com' ]`
+ * @property {String}         serialNumber - The serial number of the certificate
+ * @property {Object}         subject      - The subject of the certificate, e.g., `{ CN: 'client' }`
+ * @property {String}         validTo      - The date the certificate expires
+ */
+
+
+/**
+ * Returns the options to create underlying servers using SSL with, so that
+ * they ask clients for certificates and, unless the `required` property of
+ * the `clientAuth` option is `false`, refuse the TLS handshake of clients
+ * without a certificate signed by the `ca` of the `ssl` option.
+ * @param  {Boolean|Object} clientAuth The `clientAuth` option
+ * @return {Object}
+ */
+function tlsOptions(clientAuth) {
+  return { requestCert: true, rejectUnauthorized: clientAuth.required !== false };
+};
+
+
+/**
+ * Splits the `subjectaltname` of a certificate as given by Node.js, e.g.,
+ * `DNS:example.com, URI:spiffe://example.com/service`, into its names.
+ * @param  {String} [names]
+ * @return {Array.<String>}
+ * @private
+ */
+function splitNames(names) {
+  return (names) ? names.split(/, (?=[A-Za-z ]+:)/) : [];
+};
+
+
+/**
+ * Returns the identity of the client of a TLS socket if it presented a
+ * certificate that was verified, and `null` otherwise, including for
+ * sockets not using TLS.
+ * @param  {Socket}           socket
+ * @return {?ClientIdentity}
+ */
+function identify(socket) {
+  if (!socket.authorized || typeof socket.getPeerCertificate !== 'function') {
+    return null;
+  }
+
+  const certificate = socket.getPeerCertificate();
+
+  if (!certificate || !certificate.subject) {
+    return null;
+  }
+
+  return {
+    fingerprint:  certificate.fingerprint256 || certificate.fingerprint,
+    issuer:       certificate.issuer,
+    san:          splitNames(certificate.subjectaltname),
+    serialNumber: certificate.serialNumber,
+    subject:      certificate.subject,
+    validTo:      certificate.valid_to
+  };
+};
+
+
+/**
+ * Creates a function that sets the `client` property of a request to the
+ * identity of its client, and returns whether the client may make it. If
+ * the `allow` property of the `clientAuth` option is a function, the client
+ * may if it returns `true` for the identity, or `null`, and the request.
+ * Otherwise, clients may if they presented a verified certificate, or if
+ * certificates are not `required`. Identities are looked up once for each
+ * socket or HTTP/2 session.
+ * @param  {ServerObject} server The server to authenticate clients of
+ * @return {Function}
+ */
+function clientAuthorizer(server) {
+  const options = Object.assign({ allow: null, required: true }, (server.config.clientAuth === true) ? {} : server.config.clientAuth);
+  const identities = new WeakMap;
+
+  return function authorize(request) {
+    const socket = (request.stream) ? request.stream.session.socket : request.socket;
+
+    if (!identities.has(socket)) {
+      identities.set(socket, identify(socket));
+    }
+
+    request.client = identities.get(socket);
+
+    if (typeof options.allow === 'function') {
+      return options.allow(request.client, request) === true;
+    }
+
+    return request.client !== null || options.required === false;
+  };
+};
+
+
+module.exports = { clientAuthorizer, identify, tlsOptions };
@@ -0,0 +1,528 @@
+/**
+ * @file Exports functions for finding the addresses of clients connecting
+ * through proxies and load balancers: from the `Forwarded` and
+ * `X-Forwarded-*` headers of requests relayed by trusted proxies, and from
+ * the header of the HAProxy PROXY protocol sent ahead of each connection.
+ * @see {@link https://tools.ietf.org/html/rfc7239}
+ * @see {@link https://www.haproxy.org/download/2.0/doc/proxy-protocol.txt}
+ */
+
+
+const net = require('net');
+
+
+/**
+ * The address ranges the `trustProxy` option may name instead of listing
+ * them.
+ * @type {Object.<String, Array.<String>>}
+ * @private
+ */
+const RANGES = {
+  loopback: [ '127.0.0.0/8', '::1/128' ],
+  private:  [ '10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7' ]
+};
+
+
+/**
+ * The signature starting headers of version 2 of the PROXY protocol.
+ * @type {Buffer}
+ * @private
+ */
+const SIGNATURE = Buffer.from([ 0x0d, 0x0a, 0x0d, 0x0a, 0x00, 0x0d, 0x0a, 0x51, 0x55, 0x49, 0x54, 0x0a ]);
+
+
+/**
+ * The longest header of version 1 of the PROXY protocol, in bytes.
+ * @type {Number}
+ * @private
+ */
+const MAX_V1_LENGTH = 107;
+
+
+/**
+ * The number of milliseconds a connection has to send its PROXY protocol
+ * header before it is destroyed.
+ * @type {Number}
+ * @private
+ */
+const HEADER_TIMEOUT = 5000;
+
+
+/**
+ * Converts an IPv4 or IPv6 address to its 16 bytes, mapping IPv4 addresses
+ * into IPv6, e.g., `::ffff:10.0.0.1`, so that both forms compare equal.
+ * Returns `null` for anything else.
+ * @param  {String}  address
+ * @return {?Buffer}
+ * @private
+ */
+function toBytes(address) {
+  const ip = String(address).replace(/%.*$/, '');
+
+  if (net.isIPv4(ip)) {
+    return Buffer.from([ 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0xff, 0xff ].concat(ip.split('.').map(Number)));
+  }
+
+  if (!net.isIPv6(ip)) {
+    return null;
+  }
+
+  const halves = ip.split('::').map((half) => {
+    return (half) ? half.split(':').reduce((words, group) => {
+      if (group.indexOf('.') === -1) {
+        return words.concat(parseInt(group, 16));
+      }
+
+      const octets = group.split('.').map(Number);
+
+      return words.concat((octets[0] << 8) | octets[1], (octets[2] << 8) | octets[3]);
+    }, []) : [];
+  });
+  const words = (halves.length === 1) ? halves[0] : halves[0].concat(new Array(8 - halves[0].length - halves[1].length).fill(0), halves[1]);
+  const bytes = Buffer.alloc(16);
+
+  words.forEach((word, i) => bytes.writeUInt16BE(word, i * 2));
+  return bytes;
+};
+
+
+/**
+ * Parses an address or CIDR range, e.g., `10.0.0.0/8`, into its bytes and
+ * the number of leading bits that must match.
+ * @param  {String} range
+ * @return {Object}
+ * @throws {TypeError} If the range is invalid
+ * @private
+ */
+function parseRange(range) {
+  const parts = range.split('/');
+  const bytes = toBytes(parts[0]);
+  const ipv4 = net.isIPv4(parts[0]);
+  const size = (ipv4) ? 32 : 128;
+  const bits = (parts.length > 1 && parts[1] !== '') ? Number(parts[1]) : size;
+
+  if (!bytes || parts.length > 2 || !Number.isInteger(bits) || bits < 0 || bits > size) {
+    throw new TypeError(`invalid address range: ${range}`);
+  }
+
+  // IPv4 addresses are mapped into the last 32 bits
+  return { bytes, bits: 128 - size + bits };
+};
+
+
+/**
+ * Determines whether the leading bits of two addresses match.
+ * @param  {Buffer}  a
+ * @param  {Buffer}  b
+ * @param  {Number}  bits
+ * @return {Boolean}
+ * @private
+ */
+function matches(a, b, bits) {
+  for (let i = 0; i < 16 && bits > 0; i++, bits -= 8) {
+    const mask = (bits >= 8) ? 0xff : (0xff << (8 - bits)) & 0xff;
+
+    if ((a[i] & mask) !== (b[i] & mask)) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+
+/**
+ * Creates a function determining whether to trust the proxy at an address
+ * from the `trustProxy` option: `true` to trust every proxy, an address,
+ * CIDR range, or named range, i.e., `loopback` or `private`, or an array of
+ * them, or a function called with the address and the number of proxies
+ * trusted so far.
+ * @param  {Boolean|String|Array.<String>|Function} trustProxy The `trustProxy` option
+ * @return {Function}
+ * @throws {TypeError} If any range is invalid
+ */
+function createTrust(trustProxy) {
+  if (typeof trustProxy === 'function') {
+    return trustProxy;
+  }
+
+  if (trustProxy === true) {
+    return () => true;
+  }
+
+  const ranges = [].concat(trustProxy).reduce((list, range) => list.concat(RANGES[range] || range), []).map(parseRange);
+
+  return function trust(address) {
+    const bytes = toBytes(address);
+
+    return Boolean(bytes) && ranges.some((range) => matches(bytes, range.bytes, range.bits));
+  };
+};
+
+
+/**
+ * Removes the port, and the brackets of IPv6 addresses, from a node of the
+ * `Forwarded` header, e.g., `"[2001:db8::1]:4711"` or `192.0.2.1:80`.
+ * @param  {String} node
+ * @return {String}
+ * @private
+ */
+function stripPort(node) {
+  if (node[0] === '[') {
+    return node.slice(1, node.indexOf(']'));
+  }
+
+  return (node.split(':').length === 2) ? node.split(':')[0] : node;
+};
+
+
+/**
+ * Lists the proxies a request was relayed through from its `Forwarded`
+ * header, or else its `X-Forwarded-For` header, from the client to the
+ * nearest proxy. Each has the address it received the request from, and,
+ * from the `Forwarded` header, the protocol and host the request was made
+ * with.
+ * @param  {Object} headers The headers of the request
+ * @return {Array.<Object>}
+ * @private
+ */
+function listHops(headers) {
+  if (headers.forwarded) {
+    return headers.forwarded.split(/,(?=(?:[^"]*"[^"]*")*[^"]*$)/).map((element) => {
+      return element.split(';').reduce((hop, pair) => {
+        const i = pair.indexOf('=');
+        const key = pair.slice(0, i).trim().toLowerCase();
+        const value = pair.slice(i + 1).trim().replace(/^"(.*)"$/, '$1');
+
+        if (i !== -1 && [ 'for', 'host', 'proto' ].indexOf(key) !== -1) {
+          hop[key] = (key === 'for') ? stripPort(value) : value;
+        }
+
+        return hop;
+      }, {});
+    });
+  }
+
+  return (headers['x-forwarded-for'] || '').split(',').map((node) => node.trim()).filter(Boolean).map((node) => {
+    return { for: stripPort(node) };
+  });
+};
+
+
+/**
+ * Returns the last of the comma-separated values of a header, i.e., the one
+ * set by the nearest proxy.
+ * @param  {String}  [header]
+ * @return {?String}
+ * @private
+ */
+function lastValue(header) {
+  const values = (header || '').split(',').map((value) => value.trim()).filter(Boolean);
+
+  return values[values.length - 1] || null;
+};
+
+
+/**
+ * Finds the address of the client of a request, along with the protocol and
+ * hostname it made the request with. Starting from the address the request
+ * came from, proxies are skipped as long as they are trusted, using the
+ * `Forwarded` header, or else the `X-Forwarded-For` header; the protocol and
+ * hostname are those the first proxy received, or from the
+ * `X-Forwarded-Proto` and `X-Forwarded-Host` headers set by the nearest.
+ * Without trusted proxies, they are those of the request itself.
+ * @param  {http.IncomingMessage} request
+ * @param  {Function}             trust   Determines whether to trust the proxy at an address
+ * @return {Object}
+ */
+function forwarded(request, trust) {
+  const hops = listHops(request.headers);
+  const host = request.headers.host || request.headers[':authority'] || request.authority;
+  const result = {
+    hostname: (host) ? host.replace(/:\d*$/, '') : null,
+    ip:       request.socket.remoteAddress,
+    protocol: (request.socket.encrypted) ? 'https' : 'http'
+  };
+  let trusted = 0;
+
+  if (!trust(result.ip, trusted)) {
+    return result;
+  }
+
+  if (!request.headers.forwarded) {
+    result.protocol = lastValue(request.headers['x-forwarded-proto']) || result.protocol;
+    result.hostname = lastValue(request.headers['x-forwarded-host']) || result.hostname;
+  }
+
+  for (let i = hops.length - 1; i >= 0; i--) {
+    // Obfuscated identifiers, e.g., `unknown`, end the chain
+    if (!toBytes(hops[i].for)) {
+      break;
+    }
+
+    result.ip = hops[i].for;
+    result.protocol = hops[i].proto || result.protocol;
+    result.hostname = (hops[i].host) ? hops[i].host.replace(/:\d*$/, '') : result.hostname;
+
+    if (!trust(result.ip, ++trusted)) {
+      break;
+    }
+  }
+
+  result.protocol = result.protocol.toLowerCase();
+  return result;
+};
+
+
+/**
+ * Parses the PROXY protocol header at the start of the data received on a
+ * connection. Returns `null` if more data is needed, and otherwise the
+ * length of the header and the addresses of the client and the proxy it
+ * connected to, which are `null` for connections the proxy made itself,
+ * e.g., health checks, or of unknown protocols.
+ * @param  {Buffer}  buffer
+ * @return {?Object}
+ * @throws {Error} If the data does not start with a valid header
+ */
+function parseHeader(buffer) {
+  const prefix = buffer.slice(0, Math.min(buffer.length, SIGNATURE.length));
+
+  if (prefix.equals(SIGNATURE.slice(0, prefix.length))) {
+    return parseV2(buffer);
+  }
+
+  if (!Buffer.from('PROXY ').slice(0, Math.min(buffer.length, 6)).equals(buffer.slice(0, 6))) {
+    throw new Error('missing PROXY protocol header');
+  }
+
+  const end = buffer.indexOf('\r\n');
+
+  if ((end === -1) ? buffer.length >= MAX_V1_LENGTH : end + 2 > MAX_V1_LENGTH) {
+    throw new Error('PROXY protocol header too long');
+  }
+
+  if (end === -1) {
+    return null;
+  }
+
+  const fields = buffer.slice(0, end).toString('ascii').split(' ');
+  const family = { TCP4: 4, TCP6: 6 }[fields[1]];
+
+  if (fields[1] === 'UNKNOWN') {
+    return { length: end + 2, source: null, destination: null };
+  }
+
+  if (!family || fields.length !== 6 || net.isIP(fields[2]) !== family || net.isIP(fields[3]) !== family ||
+    !/^\d{1,5}$/.test(fields[4]) || !/^\d{1,5}$/.test(fields[5])) {
+    throw new Error('invalid PROXY protocol header');
+  }
+
+  return {
+    destination: { address: fields[3], family: `IPv${family}`, port: Number(fields[5]) },
+    length:      end + 2,
+    source:      { address: fields[2], family: `IPv${family}`, port: Number(fields[4]) }
+  };
+};
+
+
+/**
+ * Parses a header of version 2 of the PROXY protocol, as `parseHeader`
+ * does. Type-length-value fields following the addresses are skipped.
+ * @param  {Buffer}  buffer
+ * @return {?Object}
+ * @throws {Error} If the header is invalid
+ * @private
+ */
+function parseV2(buffer) {
+  if (buffer.length < 16) {
+    return null;
+  }
+
+  const version = buffer[12] >> 4;
+  const command = buffer[12] & 0x0f;
+  const family = buffer[13] >> 4;
+  const length = 16 + buffer.readUInt16BE(14);
+
+  if (version !== 2 || command > 1) {
+    throw new Error('invalid PROXY protocol header');
+  }
+
+  if (buffer.length < length) {
+    return null;
+  }
+
+  // Connections made by the proxy itself, and those of other families
+  if (command === 0 || (family !== 1 && family !== 2)) {
+    return { length, source: null, destination: null };
+  }
+
+  const size = (family === 1) ? 4 : 16;
+
+  if (length < 16 + size * 2 + 4) {
+    throw new Error('invalid PROXY protocol header');
+  }
+
+  /**
+   * Formats the address at an offset of the header, compressing the longest
+   * run of zeros of IPv6 addresses as Node.js does.
+   * @param  {Number} offset
+   * @return {String}
+   * @private
+   */
+  function address(offset) {
+    const bytes = buffer.slice(offset, offset + size);
+
+    if (family === 1) {
+      return Array.from(bytes).join('.');
+    }
+
+    const groups = Array.from({ length: 8 }, (v, i) => bytes.readUInt16BE(i * 2).toString(16)).join(':');
+    const zeros = (groups.match(/(?:^|:)0(?::0)+(?::|$)/g) || []).sort((a, b) => b.length - a.length)[0];
+
+    return (zeros) ? groups.replace(zeros, '::') : groups;
+  };
+
+  return {
+    destination: { address: address(16 + size), family: (family === 1) ? 'IPv4' : 'IPv6', port: buffer.readUInt16BE(16 + size * 2 + 2) },
+    length,
+    source:      { address: address(16), family: (family === 1) ? 'IPv4' : 'IPv6', port: buffer.readUInt16BE(16 + size * 2) }
+  };
+};
+
+
+/**
+ * Sets the remote address of a socket to that of the client a proxy
+ * connected on behalf of, keeping that of the proxy as `proxyAddress`.
+ * @param  {Socket} socket
+ * @param  {Object} source The address of the client
+ * @private
+ */
+function setRemoteAddress(socket, source) {
+  socket.proxyAddress = socket.remoteAddress;
+
+  Object.defineProperties(socket, {
+    remoteAddress: { configurable: true, value: source.address },
+    remoteFamily:  { configurable: true, value: source.family },
+    remotePort:    { configurable: true, value: source.port }
+  });
+};
+
+
+/**
+ * Sets the remote address of a TLS socket to that of the client a proxy
+ * connected on behalf of, as read from the PROXY protocol header of the
+ * connection it wraps.
+ * @param {TLSSocket} socket
+ * @param {Socket}    connection The connection the TLS socket wraps
+ */
+function inheritAddress(socket, connection) {
+  setRemoteAddress(socket, {
+    address: connection.remoteAddress,
+    family:  connection.remoteFamily,
+    port:    connection.remotePort
+  });
+  socket.proxyAddress = connection.proxyAddress;
+};
+
+
+/**
+ * Makes an underlying server read the PROXY protocol header sent ahead of
+ * each connection before handling it, so that the connection's remote
+ * address is that of the client for its whole lifetime, e.g., for
+ * connection limits and access logs. Must be called after the server's
+ * other `connection` listeners are added, as they are deferred until the
+ * header has been read. Connections that send an invalid header, or none
+ * within five seconds, are destroyed. Over SSL, the TLS sockets of
+ * connections are left to `inheritAddress`.
+ * @param {ServerObject}                         server  The server to emit `socketDestroyed` on
+ * @param {http.Server|https.Server|Http2Server} target  The underlying server
+ * @param {Binding}                              binding The underlying server's binding
+ * @param {Function}                             logger  Internal debugging function
+ */
+function acceptProxyProtocol(server, target, binding, logger) {
+  const listeners = target.listeners('connection');
+  const http1 = !binding.ssl && !binding.http2;
+
+  target.removeAllListeners('connection');
+
+  target.on('connection', function onProxiedConnection(socket) {
+    let received = Buffer.alloc(0);
+
+    const timeout = setTimeout(() => refuse(new Error('timed out waiting for PROXY protocol header')), HEADER_TIMEOUT);
+
+    /**
+     * Destroys a connection that did not send a valid header.
+     * @param {Error} error
+     * @private
+     */
+    function refuse(error) {
+      logger(`refusing connection from ${socket.remoteAddress}: ${error.message}`);
+      clearTimeout(timeout);
+      socket.removeListener('data', onData);
+      socket.destroy();
+      server.emit('socketDestroyed', socket, 'proxy');
+    };
+
+    /**
+     * Closes a connection whose client stopped sending before the header was
+     * complete, as servers allow half-open connections.
+     * @private
+     */
+    function onEnd() {
+      socket.destroy();
+    };
+
+    /**
+     * Collects data until the header is complete, then hands the socket to
+     * the server with the rest of the data.
+     * @param {Buffer} chunk
+     * @private
+     */
+    function onData(chunk) {
+      let header;
+
+      received = Buffer.concat([ received, chunk ]);
+
+      try {
+        header = parseHeader(received);
+      } catch (error) {
+        refuse(error);
+        return;
+      }
+
+      if (!header) {
+        return;
+      }
+
+      clearTimeout(timeout);
+      socket.removeListener('data', onData);
+      socket.removeListener('end', onEnd);
+      socket.removeListener('error', refuse);
+      socket.pause();
+
+      if (header.source) {
+        setRemoteAddress(socket, header.source);
+      }
+
+      socket.unshift(received.slice(header.length));
+      listeners.forEach((listener) => listener.call(target, socket));
+
+      // TLS and HTTP/2 read data already buffered on the socket themselves,
+      // whereas the HTTP/1 parser waits for it to flow again
+      if (http1) {
+        socket.resume();
+      }
+    };
+
+    socket.on('data', onData);
+
+    // The server's own error listener is only added once the socket is
+    // handed over; until then, errors such as resets must not go unhandled
+    socket.on('error', refuse);
+    socket.once('close', () => clearTimeout(timeout));
+    socket.once('end', onEnd);
+  });
+};
+
+
+module.exports = { acceptProxyProtocol, createTrust, forwarded, inheritAddress, parseHeader };
@@ -0,0 +1,166 @@
+/**
+ * @file Exports functions for limiting the rate of requests each client of a
+ * server may make, with a token bucket per client.
+ * @see {@link https://datatracker.ietf.org/doc/draft-ietf-httpapi-ratelimit-headers/}
+ */
+
+
+/**
+ * The result of taking a token from the bucket of a client.
+ * @typedef RateLimitResult
+ * @type {Object}
+ * @property {Boolean} allowed    - Whether a token was taken, i.e., the request may be made
+ * @property {Number}  remaining  - The number of whole tokens left in the bucket
+ * @property {Number}  reset      - The number of milliseconds until the bucket is full again
+ * @property {Number}  retryAfter - The number of milliseconds until a token is available, if none was
+ */
+
+
+/**
+ * Creates a store keeping the token buckets of clients in memory, within a
+ * single process. Each bucket holds up to `limit` tokens and refills
+ * continuously at `limit` tokens per `interval` milliseconds. Full buckets
+ * are pruned at most once per interval, as they are the same as new ones.
+ * @return {Object}
+ */
+function createMemoryStore() {
+  const buckets = new Map;
+  let pruned = Date.now();
+
+  /**
+   * Takes a token from the bucket of a client if one is available.
+   * @param  {String}          key      The key of the client
+   * @param  {Number}          limit    The capacity of the bucket
+   * @param  {Number}          interval The number of milliseconds to refill the bucket over
+   * @return {RateLimitResult}
+   */
+  function take(key, limit, interval) {
+    const now = Date.now();
+    const rate = limit / interval;
+
+    if (now - pruned >= interval) {
+      buckets.forEach((bucket, k) => {
+        if (bucket.tokens + (now - bucket.updated) * rate >= limit) {
+          buckets.delete(k);
+        }
+      });
+      pruned = now;
+    }
+
+    const bucket = buckets.get(key) || { tokens: limit, updated: now };
+    const tokens = Math.min(limit, bucket.tokens + (now - bucket.updated) * rate);
+    const allowed = tokens >= 1;
+
+    bucket.tokens = (allowed) ? tokens - 1 : tokens;
+    bucket.updated = now;
+    buckets.set(key, bucket);
+
+    return {
+      allowed,
+      remaining:  Math.floor(bucket.tokens),
+      reset:      Math.ceil((limit - bucket.tokens) / rate),
+      retryAfter: (allowed) ? 0 : Math.ceil((1 - bucket.tokens) / rate)
+    };
+  };
+
+  return { take };
+};
+
+
+/**
+ * Sets the `RateLimit-*` headers of a response, and answers it with `429 Too
+ * Many Requests` and a `Retry-After` header if the request was not allowed.
+ * @param {http.ServerResponse} response
+ * @param {Number}              limit    The capacity of the bucket
+ * @param {RateLimitResult}     result
+ * @private
+ */
+function setHeaders(response, limit, result) {
+  response.setHeader('RateLimit-Limit', String(limit));
+  response.setHeader('RateLimit-Remaining', String(Math.max(0, result.remaining)));
+  response.setHeader('RateLimit-Reset', String(Math.ceil(result.reset / 1000)));
+
+  if (!result.allowed) {
+    response.statusCode = 429;
+    response.setHeader('Retry-After', String(Math.max(1, Math.ceil(result.retryAfter / 1000))));
+    response.end();
+  }
+};
+
+
+/**
+ * Creates a function that takes a token from the bucket of the client of a
+ * request, calling `next` if one was available and answering `429 Too Many
+ * Requests` otherwise. Clients are keyed by the `ip` of requests, as set by
+ * the `trustProxy` option, or the remote address of their socket, or by the
+ * `key` function of the `rateLimit` option. Requests it returns `null` or
+ * `undefined` for are not limited. Buckets are kept in the `store` of the
+ * option, whose `take` method may return a Promise, e.g., to share buckets
+ * across processes; if it or the `key` function fails, requests are let
+ * through.
+ * @param  {ServerObject} server The server to limit requests to
+ * @param  {Function}     logger Internal debugging function
+ * @return {Function}
+ */
+function rateLimiter(server, logger) {
+  const options = Object.assign({
+    interval: 60000,
+    key:      (request) => request.ip || request.socket.remoteAddress,
+    limit:    (typeof server.config.rateLimit === 'number') ? server.config.rateLimit : 60,
+    store:    null
+  }, (typeof server.config.rateLimit === 'object') ? server.config.rateLimit : {});
+  const store = options.store || createMemoryStore();
+
+  return function limit(request, response, next) {
+    let key;
+    let result;
+
+    try {
+      key = options.key(request);
+    } catch (error) {
+      logger(`letting request through after rate limit key failed: ${error.message}`);
+      next();
+      return;
+    }
+
+    if (key === null || key === undefined) {
+      next();
+      return;
+    }
+
+    try {
+      result = store.take(String(key), options.limit, options.interval);
+    } catch (error) {
+      logger(`letting request through after rate limit store failed: ${error.message}`);
+      next();
+      return;
+    }
+
+    if (typeof result.then !== 'function') {
+      setHeaders(response, options.limit, result);
+
+      if (result.allowed) {
+        next();
+      }
+
+      return;
+    }
+
+    server.config.Promise.resolve(result).then((resolved) => {
+      setHeaders(response, options.limit, resolved);
+      return resolved.allowed;
+    }, (error) => {
+      logger(`letting request through after rate limit store failed: ${error.message}`);
+      return true;
+    }).then((allowed) => {
+      // Outside of the Promise chain, so that errors thrown by the callback
+      // function are not swallowed
+      if (allowed) {
+        process.nextTick(next);
+      }
+    });
+  };
+};
+
+
+module.exports = { createMemoryStore, rateLimiter };
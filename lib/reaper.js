@@ -0,0 +1,46 @@
+/**
+ * @file Exports a function for destroying sockets that have been idle for too
+ * long on behalf of a server.
+ */
+
+
+/**
+ * The longest interval between checks for idle sockets, in milliseconds.
+ * @type {Number}
+ * @private
+ */
+const MAX_INTERVAL = 1000;
+
+
+/**
+ * Periodically destroys sockets of a server that have been idle for longer
+ * than its `idleTimeout` option, e.g., keep-alive connections that clients
+ * never reuse. Sockets are idle from the time they connect or finish their
+ * last response, as recorded in their `idleSince` property. HTTP/2 sessions
+ * are not affected.
+ * @param  {ServerObject} server The server to reap sockets for
+ * @param  {Function}     logger Internal debugging function
+ * @return {Function}            Stops reaping sockets
+ */
+module.exports = function reapIdleSockets(server, logger) {
+  const limit = server.config.idleTimeout;
+
+  const interval = setInterval(() => {
+    const now = Date.now();
+
+    server.sockets.forEach((socket, uuid) => {
+      if (socket.idle === true && now - socket.idleSince >= limit) {
+        logger(`destroying socket idle for over ${limit}ms`);
+        socket.destroy();
+        server.sockets.delete(uuid);
+        server.emit('socketDestroyed', socket, 'idleTimeout');
+      }
+    });
+  }, Math.min(limit, MAX_INTERVAL));
+
+  interval.unref();
+
+  return function stopReaping() {
+    clearInterval(interval);
+  };
+};
@@ -0,0 +1,61 @@
+/**
+ * @file Exports functions for redirecting plain HTTP requests to HTTPS and
+ * asking clients to keep using HTTPS via HTTP Strict Transport Security.
+ */
+
+
+/**
+ * The default `max-age` of the HSTS header, in seconds: one year.
+ * @type {Number}
+ * @private
+ */
+const HSTS_MAX_AGE = 31536000;
+
+
+/**
+ * Creates the value of a `Strict-Transport-Security` header from the `hsts`
+ * option: `true` for the default `max-age`, a number of seconds, or an object
+ * with `maxAge`, `includeSubDomains`, and `preload` properties.
+ * @param  {Boolean|Number|Object} hsts The `hsts` option
+ * @return {String}
+ */
+function hstsHeader(hsts) {
+  const options = (typeof hsts === 'object') ? hsts : { maxAge: (typeof hsts === 'number') ? hsts : HSTS_MAX_AGE };
+  const maxAge = (typeof options.maxAge === 'number') ? options.maxAge : HSTS_MAX_AGE;
+
+  return [ `max-age=${maxAge}` ]
+    .concat((options.includeSubDomains) ? 'includeSubDomains' : [])
+    .concat((options.preload) ? 'preload' : [])
+    .join('; ');
+};
+
+
+/**
+ * Creates a `request` event listener that redirects each request to the same
+ * host, path, and query over HTTPS. `GET` and `HEAD` requests are redirected
+ * with `301 Moved Permanently`, and all others with `308 Permanent Redirect`
+ * so that clients repeat their method and body. Requests without a `Host`
+ * header are answered with `400 Bad Request`.
+ * @param  {Number} port The port HTTPS is served on
+ * @return {Function}
+ */
+function redirectHandler(port) {
+  const suffix = (port === 443) ? '' : `:${port}`;
+
+  return function redirect(request, response) {
+    const host = (request.headers.host || '').replace(/:\d*$/, '');
+
+    if (!host) {
+      response.statusCode = 400;
+      response.end();
+      return;
+    }
+
+    response.statusCode = (request.method === 'GET' || request.method === 'HEAD') ? 301 : 308;
+    response.setHeader('Location', `https://${host}${suffix}${request.url}`);
+    response.end();
+  };
+};
+
+
+module.exports = { hstsHeader, redirectHandler };
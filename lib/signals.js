@@ -0,0 +1,74 @@
+/**
+ * @file Exports a function for handling process signals on behalf of a server.
+ */
+
+
+/**
+ * The server methods called for each process signal when the `signals`
+ * option is `true`.
+ * @type {Object.<String, String>}
+ * @private
+ */
+const defaults = {
+  SIGHUP:  'restart',
+  SIGINT:  'close',
+  SIGTERM: 'close'
+};
+
+
+/**
+ * Registers process signal handlers that call the specified methods of a
+ * server. Calls are made one at a time, in the order their signals arrive; a
+ * second signal received while the server is closing forces the process to
+ * exit immediately.
+ * @param  {ServerObject} server The server to handle signals for
+ * @param  {Function}     logger Internal debugging function
+ * @return {Function}            Removes the registered handlers
+ */
+module.exports = function handleSignals(server, logger) {
+  const signals = (server.config.signals === true) ? defaults : server.config.signals;
+  const handlers = new Map;
+  let pending = server.config.Promise.resolve();
+  let closing = false;
+  let restarting = false;
+
+  Object.keys(signals).forEach((signal) => {
+    const method = signals[signal];
+
+    handlers.set(signal, () => {
+      if (closing) {
+        logger(`received ${signal} while closing, forcing exit`);
+        return process.exit(1);
+      }
+
+      if (method === 'close') {
+        closing = true;
+      } else if (restarting) {
+        logger(`received ${signal} while restarting, ignoring`);
+        return;
+      } else {
+        restarting = true;
+      }
+
+      // Queue the call behind any restart already in progress, so a close
+      // requested mid-restart is not undone by the restart's `#listen`
+      logger(`received ${signal}, calling #${method}`);
+      pending = pending.then(() => server[method]()).then(() => {
+        restarting = false;
+      }, (error) => {
+        logger(`#${method} failed: ${error.message}`);
+        closing = restarting = false;
+      });
+    });
+  });
+
+  handlers.forEach((handler, signal) => {
+    process.on(signal, handler);
+  });
+
+  return function removeSignalHandlers() {
+    handlers.forEach((handler, signal) => {
+      process.removeListener(signal, handler);
+    });
+  };
+};
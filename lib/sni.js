@@ -0,0 +1,85 @@
+/**
+ * @file Exports functions for serving different certificates per hostname
+ * via Server Name Indication.
+ */
+
+
+const tls = require('tls');
+
+
+/**
+ * Determines whether the specified SSL options are a map of hostnames to
+ * SSL options rather than SSL options themselves. Maps are distinguished by
+ * their required `default` entry.
+ * @param  {?Object} ssl SSL options, or a map of hostnames to SSL options
+ * @return {Boolean}
+ */
+function isHostMap(ssl) {
+  return Boolean(ssl && ssl.default && typeof ssl.default === 'object' && !Buffer.isBuffer(ssl.default));
+};
+
+
+/**
+ * Creates a secure context for each entry in a map of hostnames to SSL
+ * options. Hostnames are matched case-insensitively.
+ * @param  {Object.<String, Object>} hosts Maps hostnames to SSL options
+ * @return {Map.<String, SecureContext>}
+ * @throws {Error} If any entry's options are invalid
+ */
+function createContexts(hosts) {
+  return new Map(Object.keys(hosts).map((hostname) => {
+    return [ hostname.toLowerCase(), tls.createSecureContext(hosts[hostname]) ];
+  }));
+};
+
+
+/**
+ * Finds the secure context for a hostname, trying an exact match first,
+ * then a wildcard matching its leftmost label, e.g., `*.example.com` for
+ * `www.example.com`, then the `default` entry.
+ * @param  {Map.<String, SecureContext>} contexts Maps hostnames to contexts
+ * @param  {String}                      [servername] The requested hostname
+ * @return {SecureContext}
+ */
+function findContext(contexts, servername) {
+  const hostname = (servername || '').toLowerCase();
+  const dot = hostname.indexOf('.');
+
+  if (hostname && contexts.has(hostname)) {
+    return contexts.get(hostname);
+  }
+
+  if (dot !== -1 && contexts.has(`*${hostname.slice(dot)}`)) {
+    return contexts.get(`*${hostname.slice(dot)}`);
+  }
+
+  return contexts.get('default');
+};
+
+
+/**
+ * Merges updated entries into a map of hostnames to SSL options. Entries set
+ * to `null` are removed; the `default` entry cannot be.
+ * @param  {Object.<String, Object>}  hosts   Maps hostnames to SSL options
+ * @param  {Object.<String, ?Object>} updates Maps hostnames to SSL options
+ * @return {Object.<String, Object>}
+ * @throws {TypeError} If the `default` entry would be removed
+ */
+function mergeHosts(hosts, updates) {
+  const merged = Object.assign({}, hosts, updates);
+
+  if (!merged.default) {
+    throw new TypeError('SSL host map must have a `default` entry');
+  }
+
+  Object.keys(merged).forEach((hostname) => {
+    if (merged[hostname] === null) {
+      delete merged[hostname];
+    }
+  });
+
+  return merged;
+};
+
+
+module.exports = { createContexts, findContext, isHostMap, mergeHosts };
@@ -0,0 +1,76 @@
+/**
+ * @file Exports functions for listening on Unix domain sockets and on file
+ * descriptors inherited via systemd socket activation.
+ */
+
+
+const fs  = require('fs');
+const net = require('net');
+
+
+/**
+ * The first file descriptor passed by systemd socket activation.
+ * @type {Number}
+ * @see {@link https://www.freedesktop.org/software/systemd/man/sd_listen_fds.html}
+ * @private
+ */
+const SD_LISTEN_FDS_START = 3;
+
+
+/**
+ * Lists the file descriptors passed to this process via systemd socket
+ * activation, as indicated by the `LISTEN_PID` and `LISTEN_FDS` environment
+ * variables. Returns an empty array if none were passed to this process.
+ * @param  {Object} [env] The environment to read, defaulting to `process.env`
+ * @return {Array.<Number>}
+ */
+function listenFds(env) {
+  const vars = env || process.env;
+  const count = parseInt(vars.LISTEN_FDS, 10);
+
+  if (parseInt(vars.LISTEN_PID, 10) !== process.pid || !(count > 0)) {
+    return [];
+  }
+
+  return Array.from({ length: count }, (v, i) => SD_LISTEN_FDS_START + i);
+};
+
+
+/**
+ * Removes a Unix domain socket file left behind by a process that exited
+ * without closing its server, so that the path can be listened on again.
+ * Files that are not sockets, and sockets that still accept connections,
+ * are left in place.
+ * @param  {String}   path    The path of the socket file
+ * @param  {Function} Promise The constructor function to create Promises from
+ * @return {Promise.<Boolean>} Whether a stale socket file was removed
+ */
+function removeStaleSocket(path, Promise) {
+  return new Promise((resolve, reject) => {
+    fs.stat(path, (error, stats) => {
+      if (error || !stats.isSocket()) {
+        return resolve(false);
+      }
+
+      const probe = net.connect(path);
+
+      probe.once('connect', () => {
+        probe.destroy();
+        resolve(false);
+      });
+
+      probe.once('error', (error) => {
+        if (error.code !== 'ECONNREFUSED') {
+          return resolve(false);
+        }
+
+        fs.unlink(path, (error) => {
+          return (error && error.code !== 'ENOENT') ? reject(error) : resolve(true);
+        });
+      });
+    });
+  });
+};
+
+
+module.exports = { listenFds, removeStaleSocket };
@@ -0,0 +1,46 @@
+/**
+ * @file Exports functions for closing connections upgraded to the WebSocket
+ * protocol when a server shuts down.
+ * @see {@link https://tools.ietf.org/html/rfc6455}
+ */
+
+
+/**
+ * The status code of a close frame sent by a server going down.
+ * @type {Number}
+ */
+const GOING_AWAY = 1001;
+
+
+/**
+ * Builds an unmasked WebSocket close frame, as sent by servers, with the
+ * specified status code and reason. The reason is truncated to fit within
+ * the 125 bytes a control frame may carry.
+ * @param  {Number} [code=1001]   The status code
+ * @param  {String} [reason='']   The reason for closing
+ * @return {Buffer}
+ */
+function closeFrame(code, reason) {
+  const text = Buffer.from(reason || '').slice(0, 123);
+  const frame = Buffer.alloc(4 + text.length);
+
+  // FIN bit and the opcode of close frames
+  frame[0] = 0x88;
+  frame[1] = 2 + text.length;
+  frame.writeUInt16BE(code || GOING_AWAY, 2);
+  text.copy(frame, 4);
+  return frame;
+};
+
+
+/**
+ * Determines whether an upgrade request asks for the WebSocket protocol.
+ * @param  {http.IncomingMessage} request
+ * @return {Boolean}
+ */
+function isWebSocket(request) {
+  return typeof request.headers.upgrade === 'string' && request.headers.upgrade.toLowerCase() === 'websocket';
+};
+
+
+module.exports = { closeFrame, GOING_AWAY, isWebSocket };
@@ -0,0 +1,26 @@
+/**
+ * @file A server run by a cluster of two workers handling process signals,
+ * run as a child process by the integration tests for the `cluster` option.
+ */
+
+
+const cluster = require('cluster');
+
+
+const createServer = require('../../../lib/index.js');
+
+
+const server = createServer((req, res) => {
+  res.end(`cluster: ${process.pid}`);
+}, {
+  cluster: { workers: 2 },
+  port:    3002,
+  signals: true
+});
+
+
+server.listen().then(() => {
+  if (!cluster.isWorker) {
+    process.stdout.write('listening\n');
+  }
+});
@@ -0,0 +1,23 @@
+/**
+ * @file A server handling process signals, run as a child process by the
+ * integration tests for the `signals` option.
+ */
+
+
+const createServer = require('../../../lib/index.js');
+
+
+const server = createServer((req, res) => {
+  if (req.url !== '/hang') {
+    res.end('signals: hello, world');
+  }
+}, {
+  port:            3001,
+  shutdownTimeout: 60000,
+  signals:         true
+});
+
+
+server.listen().then(() => {
+  process.stdout.write('listening\n');
+});
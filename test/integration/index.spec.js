@@ -6,6 +6,7 @@
 const chai           = require('chai');
 const chaiAsPromised = require('chai-as-promised');
 const chalk          = require('chalk');
+const childProcess   = require('child_process');
 const request        = require('supertest');
 const sinon          = require('sinon');
 const sinonChai      = require('sinon-chai');
@@ -18,13 +19,20 @@ const should = chai.should();
 
 const bluebird  = require('bluebird');
 const express   = require('express');
+const fs        = require('fs');
 const http      = require('http');
+const http2     = require('http2');
 const https     = require('https');
 const io        = require('socket.io');
 const ioClient  = require('socket.io-client');
 const Koa       = require('koa');
+const net       = require('net');
+const os        = require('os');
+const path      = require('path');
 const pem       = require('pem');
+const tls       = require('tls');
 const WebSocket = require('ws');
+const zlib      = require('zlib');
 
 
 const createServer = require('../../lib/index.js');
@@ -190,6 +198,74 @@ describe('Integration tests: createServer', () => {
       });
     });
 
+    describe('upgraded connections', () => {
+      it('should close WebSocket connections with `1001 Going Away`', (done) => {
+        let server = createServer(() => {});
+        let wss = new WebSocket.Server({ server: server.instance });
+        let ws;
+
+        wss.on('connection', (socket) => {
+          socket.send('open');
+        });
+
+        server.listen().then(() => {
+          return new Promise((resolve, reject) => {
+            ws = new WebSocket('ws://localhost:3000');
+            ws.on('error', reject);
+            ws.on('message', resolve);
+          });
+        }).then(() => {
+          server.upgrades.size.should.equal(1);
+          server.sockets.size.should.equal(0);
+
+          return Promise.all([
+            new Promise((resolve) => ws.on('close', (code, reason) => resolve({ code, reason }))),
+            server.close()
+          ]);
+        }).then((results) => {
+          results[0].should.deep.equal({ code: 1001, reason: 'server shutting down' });
+          results[1].should.deep.equal({ drained: 1, destroyed: 0 });
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should route upgrades with `onUpgrade`', (done) => {
+        let chat = new WebSocket.Server({ noServer: true });
+        let server = createServer(() => {}, {
+          onUpgrade: (request, socket, head) => {
+            if (request.url !== '/chat') {
+              return socket.destroy();
+            }
+
+            chat.handleUpgrade(request, socket, head, (ws) => ws.send('chat'));
+          }
+        });
+
+        /**
+         * Resolves to the first message received over a WebSocket
+         * connection to a path.
+         * @param  {String}          path
+         * @return {Promise.<String>}
+         */
+        function connect(path) {
+          return new Promise((resolve, reject) => {
+            let ws = new WebSocket(`ws://localhost:3000${path}`);
+
+            ws.on('error', reject);
+            ws.on('message', resolve);
+          });
+        }
+
+        server.listen().then(() => {
+          return connect('/chat');
+        }).then((message) => {
+          message.should.equal('chat');
+          return connect('/other').should.be.rejected;
+        }).then(() => {
+          return server.close();
+        }).should.be.fulfilled.notify(done);
+      });
+    });
+
     describe('`socket.io` module via `ws` protocol', () => {
       it('should be compatible with base HTTP module', (done) => {
         let server = createServer(() => {});
@@ -202,10 +278,16 @@ describe('Integration tests: createServer', () => {
 
         server.listen().then(() => {
           return new Promise((resolve, reject) => {
-            let ws = ioClient.connect('ws://localhost:3000');
+            let ws = ioClient.connect('ws://localhost:3000', {
+              forceNode:  true,
+              transports: [ 'websocket' ]
+            });
 
             ws.on('error', reject);
-            ws.on('done', resolve);
+            ws.on('done', (message) => {
+              ws.close();
+              resolve(message);
+            });
           });
         }).then((message) => {
           message.should.equal('done');
@@ -226,10 +308,16 @@ describe('Integration tests: createServer', () => {
 
         server.listen().then(() => {
           return new Promise((resolve, reject) => {
-            let ws = ioClient.connect('ws://localhost:3000');
+            let ws = ioClient.connect('ws://localhost:3000', {
+              forceNode:  true,
+              transports: [ 'websocket' ]
+            });
 
             ws.on('error', reject);
-            ws.on('done', resolve);
+            ws.on('done', (message) => {
+              ws.close();
+              resolve(message);
+            });
           });
         }).then((message) => {
           return server.close();
@@ -249,10 +337,16 @@ describe('Integration tests: createServer', () => {
 
         server.listen().then(() => {
           return new Promise((resolve, reject) => {
-            let ws = ioClient.connect('ws://localhost:3000');
+            let ws = ioClient.connect('ws://localhost:3000', {
+              forceNode:  true,
+              transports: [ 'websocket' ]
+            });
 
             ws.on('error', reject);
-            ws.on('done', resolve);
+            ws.on('done', (message) => {
+              ws.close();
+              resolve(message);
+            });
           });
         }).then((message) => {
           message.should.equal('done');
@@ -271,18 +365,1137 @@ describe('Integration tests: createServer', () => {
           socket.emit('done', 'done');
         });
 
-        server.listen().then(() => {
-          return new Promise((resolve, reject) => {
-            let ws = ioClient.connect('ws://localhost:3000');
+        server.listen().then(() => {
+          return new Promise((resolve, reject) => {
+            let ws = ioClient.connect('ws://localhost:3000', {
+              forceNode:  true,
+              transports: [ 'websocket' ]
+            });
+
+            ws.on('error', reject);
+            ws.on('done', (message) => {
+              ws.close();
+              resolve(message);
+            });
+          });
+        }).then((message) => {
+          message.should.equal('done');
+          return server.close();
+        }).should.be.fulfilled.notify(done);
+      });
+    });
+    describe('`#setHandler`', () => {
+      it('should pass new requests to the new callback', (done) => {
+        let app = express();
+
+        app.get('/', (req, res) => {
+          res.send('Express: hello, world');
+        });
+
+        let server = createServer(() => {});
+
+        server.setHandler(app).then(() => {
+          return server.listen();
+        }).then(() => {
+          return request('http://localhost:3000').get('/').expect(200);
+        }).then((response) => {
+          response.text.should.equal('Express: hello, world');
+          return server.close();
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should let in-flight requests finish on the old callback', (done) => {
+        let koa = new Koa;
+
+        koa.use((ctx) => {
+          ctx.body = 'Koa: hello, world';
+        });
+
+        let server = createServer((req, res) => {
+          server.setHandler(koa.callback()).then(() => {
+            return request('http://localhost:3000').get('/').expect(200);
+          }).then((response) => {
+            response.text.should.equal('Koa: hello, world');
+            res.end('HTTP: hello, world');
+          });
+        });
+
+        server.listen().then(() => {
+          return request('http://localhost:3000').get('/').expect(200);
+        }).then((response) => {
+          response.text.should.equal('HTTP: hello, world');
+          return server.close();
+        }).should.be.fulfilled.notify(done);
+      });
+    });
+
+    describe('zero-downtime restart', () => {
+      it('should keep accepting connections while restarting', (done) => {
+        let server = createServer((req, res) => {
+          res.end('HTTP: hello, world');
+        });
+
+        server.listen().then(() => {
+          let previous = server.instance;
+          let restarting = server.restart();
+          let requests = [ 0, 1, 2, 3, 4 ].map(() => {
+            return request('http://localhost:3000').get('/').expect(200);
+          });
+
+          return Promise.all([ restarting ].concat(requests)).then(() => {
+            server.instance.should.not.equal(previous);
+            server.instance.listening.should.be.true;
+            previous.listening.should.be.false;
+            return server.close();
+          });
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should let in-flight requests finish on the old server', (done) => {
+        let server = createServer((req, res) => {
+          if (req.url === '/slow') {
+            server.restart().then(() => {
+              return request('http://localhost:3000').get('/').expect(200);
+            }).then(() => {
+              res.end('HTTP: slow');
+            });
+          } else {
+            res.end('HTTP: fast');
+          }
+        });
+
+        server.listen().then(() => {
+          return request('http://localhost:3000').get('/slow').expect(200);
+        }).then((response) => {
+          response.text.should.equal('HTTP: slow');
+          return server.close();
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should not reset connections yet to send their first request while restarting', function(done) {
+        let errors = [];
+        let served = 0;
+        let stopped = false;
+        let server = createServer((req, res) => {
+          res.end('HTTP: hello, world');
+        });
+
+        this.timeout(20000);
+
+        /**
+         * Sends requests on fresh connections one after another until stopped.
+         * @return {Promise}
+         */
+        function client() {
+          return new Promise((resolve) => {
+            http.get({ port: 3000, agent: false }, (res) => {
+              res.resume();
+              res.on('end', () => {
+                served++;
+                resolve();
+              });
+            }).on('error', (err) => {
+              errors.push(err);
+              resolve();
+            });
+          }).then(() => stopped || client());
+        }
+
+        /**
+         * Restarts the server the specified number of times, a few
+         * milliseconds apart.
+         * @param  {Number}  times
+         * @return {Promise}
+         */
+        function restart(times) {
+          if (times === 0) {
+            return Promise.resolve();
+          }
+
+          return server.restart().then(() => {
+            return new Promise((resolve) => setTimeout(resolve, 10));
+          }).then(() => restart(times - 1));
+        }
+
+        server.listen().then(() => {
+          let clients = [ 0, 1, 2, 3 ].map(client);
+
+          return restart(50).then(() => {
+            stopped = true;
+            return Promise.all(clients);
+          });
+        }).then(() => {
+          errors.should.deep.equal([]);
+          served.should.be.above(0);
+          return server.close();
+        }).should.be.fulfilled.notify(done);
+      });
+    });
+
+    describe('graceful shutdown', () => {
+      it('should let in-flight requests finish before closing', (done) => {
+        let server = createServer((req, res) => {
+          server.close().then((summary) => {
+            summary.should.deep.equal({ drained: 1, destroyed: 0 });
+          }).should.be.fulfilled.notify(done);
+
+          setTimeout(() => {
+            res.end('HTTP: goodbye, world');
+          }, 50);
+        });
+
+        server.listen().then(() => {
+          return request('http://localhost:3000').get('/').expect(200).then((response) => {
+            response.text.should.equal('HTTP: goodbye, world');
+          });
+        }).catch(done);
+      });
+
+      it('should destroy sockets still active after `shutdownTimeout`', (done) => {
+        let server = createServer(() => {
+          server.close().then((summary) => {
+            summary.should.deep.equal({ drained: 0, destroyed: 1 });
+          }).should.be.fulfilled.notify(done);
+        }, {
+          shutdownTimeout: 50
+        });
+
+        server.listen().then(() => {
+          http.get('http://localhost:3000').on('error', () => {});
+        }).catch(done);
+      });
+    });
+
+    describe('bind errors', () => {
+      let blocker;
+
+      beforeEach((done) => {
+        blocker = http.createServer().listen(3000, done);
+      });
+
+      afterEach((done) => {
+        return (blocker.listening) ? blocker.close(done) : done();
+      });
+
+      it('should reject if the port is in use', (done) => {
+        let server = createServer(() => {});
+
+        server.listen().should.be.rejected.then((error) => {
+          error.code.should.equal('EADDRINUSE');
+          error.message.should.match(/^failed to listen on port 3000: /);
+          server.instance.listening.should.be.false;
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should retry until the port is free', (done) => {
+        let server = createServer((req, res) => {
+          res.end('HTTP: hello, world');
+        }, {
+          listenRetries:    5,
+          listenRetryDelay: 20
+        });
+
+        setTimeout(() => blocker.close(), 30);
+
+        server.listen().then(() => {
+          return request('http://localhost:3000').get('/').expect(200);
+        }).then(() => {
+          return server.close();
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should fall back to the next free port', (done) => {
+        let server = createServer((req, res) => {
+          res.end('HTTP: hello, world');
+        }, {
+          portFallback: 'next'
+        });
+
+        server.listen().then(() => {
+          server.address.port.should.equal(3001);
+          return request('http://localhost:3001').get('/').expect(200);
+        }).then(() => {
+          return server.close();
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should fall back to an ephemeral port', (done) => {
+        let server = createServer((req, res) => {
+          res.end('HTTP: hello, world');
+        }, {
+          portFallback: 'ephemeral'
+        });
+
+        server.listen().then(() => {
+          server.address.port.should.not.equal(3000);
+          return request(`http://localhost:${server.address.port}`).get('/').expect(200);
+        }).then(() => {
+          return server.close();
+        }).should.be.fulfilled.notify(done);
+      });
+    });
+
+    describe('idle sockets', () => {
+      it('should destroy sockets idle for longer than `idleTimeout`', (done) => {
+        let server = createServer((req, res) => {
+          res.end('HTTP: hello, world');
+        }, {
+          idleTimeout: 50
+        });
+
+        server.listen().then(() => {
+          return new Promise((resolve, reject) => {
+            let agent = new http.Agent({ keepAlive: true });
+
+            http.get({ port: 3000, agent }, (res) => {
+              res.resume();
+              res.socket.once('close', () => {
+                agent.destroy();
+                resolve();
+              });
+            }).on('error', reject);
+          });
+        }).then(() => {
+          server.sockets.size.should.equal(0);
+          return server.close();
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should answer the first requests of connections accepted before closing', (done) => {
+        let server = createServer((req, res) => {
+          res.end('HTTP: goodbye, world');
+        });
+
+        server.listen().then(() => {
+          return new Promise((resolve, reject) => {
+            let socket = net.connect(3000);
+            let data = '';
+
+            server.once('connection', () => {
+              let closing = server.close();
+
+              socket.write('GET / HTTP/1.1\r\nHost: localhost\r\nConnection: keep-alive\r\n\r\n');
+              socket.on('end', () => resolve(closing.then((summary) => [ data, summary ])));
+            });
+            socket.on('data', (chunk) => {
+              data += chunk;
+            });
+            socket.on('error', reject);
+          });
+        }).then((result) => {
+          result[0].should.match(/^HTTP\/1\.1 200 /);
+          result[0].should.match(/\r\nConnection: close\r\n/i);
+          result[1].should.deep.equal({ drained: 1, destroyed: 0 });
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should send `Connection: close` on responses in progress while closing', (done) => {
+        let server = createServer((req, res) => {
+          server.close().should.be.fulfilled.notify(done);
+          setTimeout(() => res.end('HTTP: goodbye, world'), 50);
+        });
+
+        server.listen().then(() => {
+          let agent = new http.Agent({ keepAlive: true });
+
+          http.get({ port: 3000, agent }, (res) => {
+            res.headers.connection.should.equal('close');
+            res.resume();
+            res.on('end', () => agent.destroy());
+          }).on('error', done);
+        }).catch(done);
+      });
+    });
+
+    describe('health endpoints', () => {
+      it('should answer probes without calling the callback', (done) => {
+        let cb = sinon.spy();
+        let server = createServer(cb, {
+          health: {
+            checks: {
+              cache:    () => true,
+              database: () => Promise.reject(new Error('connection refused'))
+            }
+          }
+        });
+
+        server.listen().then(() => {
+          return request('http://localhost:3000').get('/livez').expect(200);
+        }).then((response) => {
+          response.body.should.deep.equal({ status: 'ok', state: 'listening' });
+          return request('http://localhost:3000').get('/readyz').expect(503);
+        }).then((response) => {
+          response.body.checks.should.deep.equal({
+            cache:    { status: 'ok' },
+            database: { status: 'fail', error: 'connection refused' }
+          });
+          cb.should.not.have.been.called;
+          return server.close();
+        }).should.be.fulfilled.notify(done);
+      });
+    });
+
+    describe('access log', () => {
+      it('should log each request in the specified format', (done) => {
+        let lines = [];
+        let server = createServer((req, res) => {
+          res.end('HTTP: hello, world');
+        }, {
+          accessLog: {
+            format: 'json',
+            stream: { write: (line) => lines.push(JSON.parse(line)) }
+          }
+        });
+
+        server.listen().then(() => {
+          return request('http://localhost:3000').get('/hello').expect(200);
+        }).then(() => {
+          lines.should.have.length(1);
+          lines[0].should.include({ bytes: 18, method: 'GET', status: 200, url: '/hello' });
+          lines[0].uuid.should.be.a('string');
+          return server.close();
+        }).should.be.fulfilled.notify(done);
+      });
+    });
+
+    describe('request IDs', () => {
+      it('should echo request IDs', (done) => {
+        let server = createServer((req, res) => {
+          res.end(req.id);
+        }, {
+          requestId: { trust: true }
+        });
+
+        server.listen().then(() => {
+          return request('http://localhost:3000').get('/').expect(200);
+        }).then((response) => {
+          response.headers['x-request-id'].should.match(/-1$/);
+          response.text.should.equal(response.headers['x-request-id']);
+          return request('http://localhost:3000').get('/').set('X-Request-Id', 'incoming').expect(200, 'incoming');
+        }).then((response) => {
+          response.headers['x-request-id'].should.equal('incoming');
+          return server.close();
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should make request IDs available across asynchronous calls', function(done) {
+        if (!require('async_hooks').AsyncLocalStorage) {
+          return this.skip();
+        }
+
+        let server = createServer((req, res) => {
+          setTimeout(() => {
+            res.end(server.requestId());
+          }, 10);
+        }, {
+          requestId: true
+        });
+
+        server.listen().then(() => {
+          return request('http://localhost:3000').get('/').expect(200);
+        }).then((response) => {
+          response.text.should.equal(response.headers['x-request-id']);
+          return server.close();
+        }).should.be.fulfilled.notify(done);
+      });
+    });
+
+    describe('metrics', () => {
+      it('should serve metrics on `/metrics`', (done) => {
+        let server = createServer((req, res) => {
+          res.statusCode = 404;
+          res.end();
+        }, {
+          metrics: true
+        });
+
+        server.listen().then(() => {
+          return request('http://localhost:3000').get('/missing').expect(404);
+        }).then(() => {
+          return request('http://localhost:3000').get('/metrics').expect(200);
+        }).then((response) => {
+          response.headers['content-type'].should.equal('text/plain; version=0.0.4; charset=utf-8');
+          response.text.should.include('nicer_server_requests_total{method="GET",status="4xx"} 1\n');
+          response.text.should.include('nicer_server_request_duration_seconds_count 1\n');
+          response.text.should.include('nicer_server_connections_total 2\n');
+          return server.close();
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should serve metrics on a standalone listener if `metrics` specifies a `port`', (done) => {
+        let server = createServer((req, res) => {
+          res.end('HTTP: hello, world');
+        }, {
+          metrics: { port: 3001 }
+        });
+
+        server.listen().then(() => {
+          return request('http://localhost:3000').get('/metrics').expect(200, 'HTTP: hello, world');
+        }).then(() => {
+          return request('http://localhost:3001').get('/metrics').expect(200);
+        }).then((response) => {
+          response.text.should.include('nicer_server_requests_total{method="GET",status="2xx"} 1\n');
+          return server.close();
+        }).then(() => {
+          return request('http://localhost:3001').get('/metrics').should.be.rejected;
+        }).should.be.fulfilled.notify(done);
+      });
+    });
+
+    describe('connection limits', () => {
+      /**
+       * Makes a request on a new connection, resolving to the response.
+       * @return {Promise.<http.IncomingMessage>}
+       */
+      function get() {
+        return new Promise((resolve, reject) => {
+          http.get({ port: 3000, agent: false }, (res) => {
+            res.resume();
+            res.on('end', () => resolve(res));
+          }).on('error', reject);
+        });
+      }
+
+      it('should refuse connections over `maxConnectionsPerIp`', (done) => {
+        let finish;
+        let server = createServer((req, res) => {
+          finish = () => res.end('HTTP: hello, world');
+        }, {
+          maxConnectionsPerIp: 1
+        });
+
+        server.listen().then(() => {
+          let first = get();
+
+          return new Promise((resolve) => setTimeout(resolve, 50)).then(() => {
+            Array.from(server.connectionsPerIp.values()).should.deep.equal([ 1 ]);
+            return get().should.be.rejected;
+          }).then(() => {
+            finish();
+            return first;
+          });
+        }).then((res) => {
+          res.statusCode.should.equal(200);
+          return server.close();
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should answer requests over `maxConnections` with 503 if `retryAfter` is set', (done) => {
+        let finish;
+        let server = createServer((req, res) => {
+          finish = () => res.end('HTTP: hello, world');
+        }, {
+          maxConnections: 1,
+          retryAfter:     5
+        });
+
+        server.listen().then(() => {
+          let first = get();
+
+          return new Promise((resolve) => setTimeout(resolve, 50)).then(() => {
+            return get();
+          }).then((res) => {
+            res.statusCode.should.equal(503);
+            res.headers['retry-after'].should.equal('5');
+            finish();
+            return first;
+          });
+        }).then((res) => {
+          res.statusCode.should.equal(200);
+          return server.close();
+        }).should.be.fulfilled.notify(done);
+      });
+    });
+
+    describe('request limits', () => {
+      /**
+       * Sends a request with a body in chunks, resolving to the response.
+       * @param  {Object}                        options The options of the request
+       * @param  {Array.<String>}                chunks
+       * @return {Promise.<http.IncomingMessage>}
+       */
+      function send(options, chunks) {
+        return new Promise((resolve, reject) => {
+          let req = http.request(Object.assign({ port: 3000, agent: false, method: 'POST' }, options), (res) => {
+            res.resume();
+            res.on('end', () => resolve(res));
+          }).on('error', reject);
+
+          chunks.forEach((chunk) => req.write(chunk));
+          req.end();
+        });
+      }
+
+      it('should answer requests over the limits without reaching the callback', (done) => {
+        let cb = sinon.spy((req, res) => {
+          let length = 0;
+
+          req.on('data', (chunk) => {
+            length += chunk.length;
+          });
+          req.on('end', () => res.end(String(length)));
+        });
+        let server = createServer(cb, {
+          maxBodySize:     16,
+          maxHeadersCount: 10,
+          maxUrlLength:    32
+        });
+
+        server.listen().then(() => {
+          return request('http://localhost:3000').get(`/${'a'.repeat(32)}`).expect(414);
+        }).then(() => {
+          let req = request('http://localhost:3000').get('/');
+
+          for (let i = 0; i < 10; i++) {
+            req.set(`X-Header-${i}`, 'value');
+          }
+
+          return req.expect(431);
+        }).then(() => {
+          return request('http://localhost:3000').post('/').send('a'.repeat(17)).expect(413);
+        }).then(() => {
+          return request('http://localhost:3000').post('/').send('a'.repeat(16)).expect(200, '16');
+        }).then(() => {
+          cb.should.have.been.calledOnce;
+          return server.close();
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should fail requests once a chunked body grows past `maxBodySize`, closing the connection', (done) => {
+        let server = createServer((req, res) => {
+          let failed = false;
+
+          req.on('error', (err) => {
+            failed = true;
+            res.statusCode = err.status;
+            res.end(err.message);
+          });
+          req.resume();
+          req.on('end', () => failed || res.end('HTTP: hello, world'));
+        }, {
+          maxBodySize: 16
+        });
+
+        server.listen().then(() => {
+          return send({}, [ 'a'.repeat(8), 'a'.repeat(8) ]);
+        }).then((res) => {
+          res.statusCode.should.equal(200);
+
+          // Asks to keep the connection alive, so that it only ends if the server ends it
+          return new Promise((resolve, reject) => {
+            let socket = net.connect(3000);
+            let data = '';
+
+            socket.on('data', (chunk) => {
+              data += chunk;
+            });
+            socket.on('end', () => resolve(data));
+            socket.on('error', reject);
+            socket.write('POST / HTTP/1.1\r\nHost: localhost\r\nConnection: keep-alive\r\nTransfer-Encoding: chunked\r\n\r\n');
+            socket.write(`a\r\n${'a'.repeat(10)}\r\n`);
+            socket.write(`a\r\n${'a'.repeat(10)}\r\n`);
+            socket.write('0\r\n\r\n');
+          });
+        }).then((data) => {
+          data.should.match(/^HTTP\/1\.1 413 /);
+          return server.close();
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should answer requests with chunked bodies past `maxBodySize` with `413` if the callback does not handle their errors', (done) => {
+        let ended = sinon.spy();
+        let server = createServer((req, res) => {
+          req.on('data', () => {});
+          req.on('end', () => {
+            ended();
+            res.end('HTTP: hello, world');
+          });
+        }, {
+          maxBodySize: 16
+        });
+
+        server.listen().then(() => {
+          return send({}, [ 'a'.repeat(10), 'a'.repeat(10) ]);
+        }).then((res) => {
+          res.statusCode.should.equal(413);
+          res.headers.connection.should.equal('close');
+          ended.should.not.have.been.called;
+          return server.close();
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should answer requests with headers over `maxHeaderSize` with `431`', function(done) {
+        let version = process.versions.node.split('.').map(Number);
+
+        // Older versions of Node.js ignore the option
+        if (version[0] < 13 || (version[0] === 13 && version[1] < 3)) {
+          return this.skip();
+        }
+
+        let server = createServer((req, res) => {
+          res.end('HTTP: hello, world');
+        }, {
+          maxHeaderSize: 1024
+        });
+
+        server.listen().then(() => {
+          return send({ headers: { 'X-Large': 'a'.repeat(2048) }, method: 'GET' }, []);
+        }).then((res) => {
+          res.statusCode.should.equal(431);
+          return new Promise((resolve) => setTimeout(resolve, 50));
+        }).then(() => {
+          server.sockets.size.should.equal(0);
+          return server.close();
+        }).should.be.fulfilled.notify(done);
+      });
+    });
+
+    describe('rate limiting', () => {
+      it('should answer clients over `rateLimit` with `429` and `RateLimit-*` headers', (done) => {
+        let server = createServer((req, res) => {
+          res.end('HTTP: hello, world');
+        }, {
+          rateLimit: { interval: 60000, key: (req) => req.headers['x-api-key'] || null, limit: 2 }
+        });
+
+        server.listen().then(() => {
+          return request('http://localhost:3000').get('/').set('X-Api-Key', 'a').expect(200);
+        }).then((response) => {
+          response.headers['ratelimit-limit'].should.equal('2');
+          response.headers['ratelimit-remaining'].should.equal('1');
+          response.headers['ratelimit-reset'].should.equal('30');
+          return request('http://localhost:3000').get('/').set('X-Api-Key', 'a').expect(200);
+        }).then(() => {
+          return request('http://localhost:3000').get('/').set('X-Api-Key', 'a').expect(429);
+        }).then((response) => {
+          response.headers['retry-after'].should.equal('30');
+          response.headers['ratelimit-remaining'].should.equal('0');
+          return request('http://localhost:3000').get('/').set('X-Api-Key', 'b').expect(200);
+        }).then(() => {
+          return request('http://localhost:3000').get('/').expect(200);
+        }).then((response) => {
+          should.not.exist(response.headers['ratelimit-limit']);
+          return server.close();
+        }).should.be.fulfilled.notify(done);
+      });
+    });
+
+    describe('compression', () => {
+      /**
+       * Requests a path accepting the specified encodings, resolving to the
+       * response and its raw body.
+       * @param  {String}           path
+       * @param  {String}           encodings The `Accept-Encoding` header
+       * @return {Promise.<Object>}
+       */
+      function get(path, encodings) {
+        return new Promise((resolve, reject) => {
+          http.get({ port: 3000, agent: false, path, headers: { 'Accept-Encoding': encodings } }, (res) => {
+            let chunks = [];
+
+            res.on('data', (chunk) => chunks.push(chunk));
+            res.on('end', () => resolve({ body: Buffer.concat(chunks), res }));
+          }).on('error', reject);
+        });
+      }
+
+      it('should compress responses with the encoding negotiated with the client', function(done) {
+        let text = 'HTTP: hello, world\n'.repeat(100);
+        let server = createServer((req, res) => {
+          if (req.url === '/encoded') {
+            res.setHeader('Content-Encoding', 'gzip');
+            res.setHeader('Content-Type', 'text/plain');
+            return res.end(zlib.gzipSync(text));
+          }
+
+          if (req.url === '/stream') {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.write('[');
+            setTimeout(() => res.end('1]'), 10);
+            return;
+          }
+
+          res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+          res.end((req.url === '/small') ? 'HTTP: hello, world' : text);
+        }, {
+          compression: true
+        });
+
+        server.listen().then(() => {
+          return get('/', 'gzip, deflate');
+        }).then((response) => {
+          response.res.headers['content-encoding'].should.equal('gzip');
+          response.res.headers.vary.should.equal('Accept-Encoding');
+          zlib.gunzipSync(response.body).toString().should.equal(text);
+          return get('/stream', 'deflate');
+        }).then((response) => {
+          response.res.headers['content-encoding'].should.equal('deflate');
+          zlib.inflateSync(response.body).toString().should.equal('[1]');
+          return get('/small', 'gzip');
+        }).then((response) => {
+          should.not.exist(response.res.headers['content-encoding']);
+          response.body.toString().should.equal('HTTP: hello, world');
+          return get('/encoded', 'br, gzip');
+        }).then((response) => {
+          response.res.headers['content-encoding'].should.equal('gzip');
+          zlib.gunzipSync(response.body).toString().should.equal(text);
+          return get('/', 'identity');
+        }).then((response) => {
+          should.not.exist(response.res.headers['content-encoding']);
+          response.body.toString().should.equal(text);
+
+          // Brotli is only available from Node.js 11.7
+          return (zlib.brotliDecompressSync) ? get('/', 'gzip, br') : null;
+        }).then((response) => {
+          if (response) {
+            response.res.headers['content-encoding'].should.equal('br');
+            zlib.brotliDecompressSync(response.body).toString().should.equal(text);
+          }
+
+          return server.close();
+        }).should.be.fulfilled.notify(done);
+      });
+    });
+
+    describe('trusted proxies', () => {
+      /**
+       * Makes a request on a new connection that first sends a PROXY protocol
+       * header, resolving to the response body.
+       * @param  {String|Buffer}   header
+       * @return {Promise.<String>}
+       */
+      function proxied(header) {
+        return new Promise((resolve, reject) => {
+          http.get({
+            createConnection: () => {
+              let socket = net.connect(3000);
+
+              socket.write(header);
+              return socket;
+            }
+          }, (res) => {
+            let body = '';
+
+            res.on('data', (chunk) => {
+              body += chunk;
+            });
+            res.on('end', () => resolve(body));
+          }).on('error', reject);
+        });
+      }
+
+      it('should set the client address, protocol, and hostname of requests from trusted proxies', (done) => {
+        let lines = [];
+        let server = createServer((req, res) => {
+          res.end(JSON.stringify({ hostname: req.hostname, ip: req.ip, protocol: req.protocol }));
+        }, {
+          accessLog:  { format: 'json', stream: { write: (line) => lines.push(JSON.parse(line)) } },
+          trustProxy: 'loopback'
+        });
+
+        server.listen().then(() => {
+          return request('http://localhost:3000').get('/')
+            .set('X-Forwarded-For', '203.0.113.1, 127.0.0.1')
+            .set('X-Forwarded-Host', 'example.com')
+            .set('X-Forwarded-Proto', 'https')
+            .expect(200, JSON.stringify({ hostname: 'example.com', ip: '203.0.113.1', protocol: 'https' }));
+        }).then(() => {
+          lines[0].remoteAddress.should.equal('203.0.113.1');
+          return server.close();
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should ignore forwarded headers from untrusted addresses', (done) => {
+        let server = createServer((req, res) => {
+          res.end(req.ip);
+        }, {
+          trustProxy: '10.0.0.0/8'
+        });
+
+        server.listen().then(() => {
+          return request('http://localhost:3000').get('/').set('X-Forwarded-For', '203.0.113.1').expect(200);
+        }).then((response) => {
+          response.text.should.not.equal('203.0.113.1');
+          net.isIP(response.text).should.not.equal(0);
+          return server.close();
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should read the client address from PROXY protocol headers if `proxyProtocol` is set', (done) => {
+        let v2 = Buffer.concat([
+          Buffer.from('\r\n\r\n\0\r\nQUIT\n'),
+          Buffer.from([ 0x21, 0x11, 0, 12, 198, 51, 100, 7, 127, 0, 0, 1, 0xc7, 0x38, 0x0b, 0xb8 ])
+        ]);
+        let server = createServer((req, res) => {
+          res.end(`${req.socket.remoteAddress}:${req.socket.remotePort}`);
+        }, {
+          maxConnectionsPerIp: 1,
+          proxyProtocol:       true
+        });
+
+        server.listen().then(() => {
+          return proxied('PROXY TCP4 203.0.113.1 127.0.0.1 51000 3000\r\n');
+        }).then((body) => {
+          body.should.equal('203.0.113.1:51000');
+          return proxied(v2);
+        }).then((body) => {
+          body.should.equal('198.51.100.7:51000');
+          return request('http://localhost:3000').get('/').should.be.rejected;
+        }).then(() => {
+          return server.close();
+        }).should.be.fulfilled.notify(done);
+      });
+    });
+
+    describe('lifecycle events', () => {
+      it('should emit events as the server listens, serves, restarts, and closes', (done) => {
+        let events = [];
+        let server = createServer((req, res) => {
+          res.end('HTTP: hello, world');
+        });
+
+        [ 'listening', 'connection', 'request', 'restarting', 'closing', 'closed' ].forEach((e) => {
+          server.on(e, () => events.push(e));
+        });
+
+        server.once('listening', (addresses) => {
+          addresses[0].port.should.equal(3000);
+        });
+
+        server.listen().then(() => {
+          return request('http://localhost:3000').get('/').expect(200);
+        }).then(() => {
+          return server.restart();
+        }).then(() => {
+          return server.close();
+        }).then(() => {
+          events.should.deep.equal([ 'listening', 'connection', 'request', 'restarting', 'closing', 'closed' ]);
+        }).should.be.fulfilled.notify(done);
+      });
+    });
+
+    describe('Unix domain sockets', () => {
+      let socketPath = path.join(os.tmpdir(), `nicer-server-${process.pid}.sock`);
+
+      /**
+       * Makes a request over the Unix domain socket, resolving to the body.
+       * @return {Promise.<String>}
+       */
+      function get() {
+        return new Promise((resolve, reject) => {
+          http.get({ socketPath, path: '/' }, (res) => {
+            let body = '';
+
+            res.on('data', (chunk) => {
+              body += chunk;
+            });
+            res.on('end', () => resolve(body));
+          }).on('error', reject);
+        });
+      }
+
+      afterEach(() => {
+        try {
+          fs.unlinkSync(socketPath);
+        } catch (error) {
+          // Closing the server removes the socket file
+        }
+      });
+
+      it('should serve requests on `path` with the file mode of `socketMode`', (done) => {
+        let server = createServer((req, res) => {
+          res.end('HTTP: hello, world');
+        }, {
+          path:       socketPath,
+          socketMode: 0o600
+        });
+
+        server.listen().then(() => {
+          (fs.statSync(socketPath).mode & 0o777).should.equal(0o600);
+          return get();
+        }).then((body) => {
+          body.should.equal('HTTP: hello, world');
+          return server.restart();
+        }).then(() => {
+          return get();
+        }).then(() => {
+          return server.close();
+        }).then(() => {
+          fs.existsSync(socketPath).should.be.false;
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should remove a stale socket file left by another process', (done) => {
+        childProcess.spawnSync(process.execPath, [ '-e', `
+          require('net').createServer().listen(${JSON.stringify(socketPath)}, () => {
+            process.kill(process.pid, 'SIGKILL');
+          });
+        ` ]);
+        fs.statSync(socketPath).isSocket().should.be.true;
+
+        let server = createServer((req, res) => {
+          res.end('HTTP: hello, world');
+        }, {
+          path: socketPath
+        });
+
+        server.listen().then(() => {
+          return get();
+        }).then((body) => {
+          body.should.equal('HTTP: hello, world');
+          return server.close();
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should let in-flight requests finish before closing', (done) => {
+        let server = createServer((req, res) => {
+          server.close().then((summary) => {
+            summary.should.deep.equal({ drained: 1, destroyed: 0 });
+          }).should.be.fulfilled.notify(done);
+
+          setTimeout(() => {
+            res.end('HTTP: goodbye, world');
+          }, 50);
+        }, {
+          path: socketPath
+        });
+
+        server.listen().then(() => {
+          return get();
+        }).then((body) => {
+          body.should.equal('HTTP: goodbye, world');
+        }).catch(done);
+      });
+    });
+  });
+
+  describe('using `signals`', () => {
+    let child;
+
+    beforeEach((done) => {
+      child = childProcess.fork(path.join(__dirname, 'fixtures', 'signals.js'), [], {
+        stdio: [ 'ignore', 'pipe', 'inherit', 'ipc' ]
+      });
+
+      child.stdout.once('data', () => done());
+    });
+
+    afterEach(() => {
+      child.kill('SIGKILL');
+    });
+
+    it('should close the server on `SIGTERM`', (done) => {
+      child.once('exit', (code, signal) => {
+        should.not.exist(signal);
+        code.should.equal(0);
+        done();
+      });
+
+      child.kill('SIGTERM');
+    });
+
+    it('should close the server on `SIGINT`', (done) => {
+      child.once('exit', (code, signal) => {
+        should.not.exist(signal);
+        code.should.equal(0);
+        done();
+      });
+
+      child.kill('SIGINT');
+    });
+
+    it('should restart the server on `SIGHUP`', (done) => {
+      child.kill('SIGHUP');
+
+      setTimeout(() => {
+        request('http://localhost:3001').get('/').expect(200).then((response) => {
+          response.text.should.equal('signals: hello, world');
+          child.connected.should.be.true;
+        }).should.be.fulfilled.notify(done);
+      }, 100);
+    });
+
+    it('should force an exit on a second signal during shutdown', (done) => {
+      http.get('http://localhost:3001/hang').on('error', () => {});
+
+      child.once('exit', (code, signal) => {
+        should.not.exist(signal);
+        code.should.equal(1);
+        done();
+      });
+
+      setTimeout(() => {
+        child.kill('SIGTERM');
+        setTimeout(() => child.kill('SIGTERM'), 100);
+      }, 100);
+    });
+  });
+
+  describe('using `cluster`', () => {
+    let child;
+
+    /**
+     * Resolves to the process ID of the worker answering a request.
+     * @return {Promise.<String>}
+     */
+    function pid() {
+      return request('http://localhost:3002').get('/').expect(200).then((response) => {
+        return response.text.replace('cluster: ', '');
+      });
+    }
+
+    beforeEach(function(done) {
+      this.timeout(10000);
+      child = childProcess.fork(path.join(__dirname, 'fixtures', 'cluster.js'), [], {
+        stdio: [ 'ignore', 'pipe', 'inherit', 'ipc' ]
+      });
+
+      child.stdout.once('data', () => done());
+    });
+
+    afterEach((done) => {
+      if (child.exitCode !== null || child.signalCode !== null) {
+        return done();
+      }
+
+      child.once('exit', () => done());
+      child.kill('SIGTERM');
+    });
+
+    it('should answer requests in the worker processes', (done) => {
+      pid().then((worker) => {
+        worker.should.not.equal(String(child.pid));
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should replace the workers on `SIGHUP`, answering requests throughout', function(done) {
+      let before;
+
+      this.timeout(10000);
+
+      pid().then((worker) => {
+        before = worker;
+        child.kill('SIGHUP');
+        return pid();
+      }).then(() => {
+        return new Promise((resolve) => setTimeout(resolve, 3000));
+      }).then(() => {
+        return Promise.all([ pid(), pid(), pid(), pid() ]);
+      }).then((workers) => {
+        workers.should.not.include(before);
+      }).should.be.fulfilled.notify(done);
+    });
 
-            ws.on('error', reject);
-            ws.on('done', resolve);
-          });
-        }).then((message) => {
-          message.should.equal('done');
-          return server.close();
-        }).should.be.fulfilled.notify(done);
+    it('should close the workers and exit on `SIGTERM`', function(done) {
+      this.timeout(10000);
+
+      child.once('exit', (code, signal) => {
+        should.not.exist(signal);
+        code.should.equal(0);
+        done();
       });
+
+      child.kill('SIGTERM');
     });
   });
 
@@ -291,6 +1504,20 @@ describe('Integration tests: createServer', () => {
       ssl: {}
     };
 
+    /**
+     * Resolves to the common name of the certificate served on port 3000.
+     * @param  {String} [servername] The hostname to request via SNI
+     * @return {Promise.<String>}
+     */
+    function commonName(servername) {
+      return new Promise((resolve, reject) => {
+        https.get({ port: 3000, agent: false, rejectUnauthorized: false, servername }, (res) => {
+          resolve(res.socket.getPeerCertificate().subject.CN);
+          res.resume();
+        }).on('error', reject);
+      });
+    }
+
     before(function(done) {
       // Disable timeout for creating self-signed certificates
       this.timeout(0);
@@ -385,6 +1612,494 @@ describe('Integration tests: createServer', () => {
       }).should.be.fulfilled.notify(done);
     });
 
+    it('should let in-flight requests finish before closing', (done) => {
+      let server = createServer((req, res) => {
+        server.close().then((summary) => {
+          summary.should.deep.equal({ drained: 1, destroyed: 0 });
+        }).should.be.fulfilled.notify(done);
+
+        setTimeout(() => {
+          res.end('HTTPS: goodbye, world');
+        }, 50);
+      }, config);
+
+      server.listen().then(() => {
+        let agent = request.agent('https://localhost:3000');
+
+        return agent.get('/').ca(config.ssl.cert).expect(200).then((response) => {
+          response.text.should.equal('HTTPS: goodbye, world');
+        });
+      }).catch(done);
+    });
+
+    describe('using `http2`', () => {
+      /**
+       * Makes an HTTP/2 request, resolving to the response body.
+       * @param  {Http2Session} session The session to make the request on
+       * @param  {String}       [path]  The path to request
+       * @return {Promise.<String>}
+       */
+      function get(session, path) {
+        return new Promise((resolve, reject) => {
+          let body = '';
+          let stream = session.request({ ':path': path || '/' });
+
+          stream.setEncoding('utf8');
+          stream.on('data', (chunk) => body += chunk);
+          stream.on('end', () => resolve(body));
+          stream.on('error', reject);
+          stream.end();
+        });
+      }
+
+      it('should serve HTTP/2 clients', (done) => {
+        let server = createServer((req, res) => {
+          res.end(`HTTP/${req.httpVersion}: hello, world`);
+        }, Object.assign({ http2: true }, config));
+
+        server.listen().then(() => {
+          let session = http2.connect('https://localhost:3000', { ca: config.ssl.cert });
+
+          return get(session).then((body) => {
+            body.should.equal('HTTP/2.0: hello, world');
+            server.sessions.size.should.equal(1);
+            session.close();
+            return server.close();
+          });
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should serve HTTP/1.1 clients with Express', (done) => {
+        let app = express();
+
+        app.get('/', (req, res) => {
+          res.send('Express: hello, world');
+        });
+
+        let server = createServer(app, Object.assign({ http2: true }, config));
+
+        server.listen().then(() => {
+          let agent = request.agent('https://localhost:3000');
+
+          return agent.get('/').ca(config.ssl.cert).expect(200).then((response) => {
+            response.text.should.equal('Express: hello, world');
+            return server.close();
+          });
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should serve HTTP/1.1 clients with Koa', (done) => {
+        let app = new Koa;
+
+        app.use((ctx) => {
+          ctx.body = 'Koa: hello, world';
+        });
+
+        let server = createServer(app.callback(), Object.assign({ http2: true }, config));
+
+        server.listen().then(() => {
+          let agent = request.agent('https://localhost:3000');
+
+          return agent.get('/').ca(config.ssl.cert).expect(200).then((response) => {
+            response.text.should.equal('Koa: hello, world');
+            return server.close();
+          });
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should serve HTTP/2 clients without SSL', (done) => {
+        let server = createServer((req, res) => {
+          res.end(`HTTP/${req.httpVersion}: hello, world`);
+        }, { http2: true });
+
+        server.listen().then(() => {
+          let session = http2.connect('http://localhost:3000');
+
+          return get(session).then((body) => {
+            body.should.equal('HTTP/2.0: hello, world');
+            session.close();
+            return server.close();
+          });
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should send GOAWAY and let in-flight streams finish before closing', (done) => {
+        let goaway = false;
+        let server = createServer((req, res) => {
+          server.close().then((summary) => {
+            goaway.should.be.true;
+            summary.should.deep.equal({ drained: 1, destroyed: 0 });
+          }).should.be.fulfilled.notify(done);
+
+          setTimeout(() => {
+            res.end('HTTP/2: goodbye, world');
+          }, 50);
+        }, Object.assign({ http2: true }, config));
+
+        server.listen().then(() => {
+          let session = http2.connect('https://localhost:3000', { ca: config.ssl.cert });
+
+          session.on('goaway', () => goaway = true);
+
+          return get(session).then((body) => {
+            body.should.equal('HTTP/2: goodbye, world');
+          });
+        }).catch(done);
+      });
+
+      it('should destroy sessions still active after `shutdownTimeout`', (done) => {
+        let server = createServer(() => {
+          server.close().then((summary) => {
+            summary.should.deep.equal({ drained: 0, destroyed: 1 });
+          }).should.be.fulfilled.notify(done);
+        }, Object.assign({ http2: true, shutdownTimeout: 50 }, config));
+
+        server.listen().then(() => {
+          let session = http2.connect('https://localhost:3000', { ca: config.ssl.cert });
+
+          session.on('error', () => {});
+          get(session).catch(() => {});
+        }).catch(done);
+      });
+    });
+
+    describe('`#reloadCertificates`', () => {
+      let renewed = {};
+
+      before(function(done) {
+        this.timeout(0);
+
+        pem.createCertificate({ days: 1, selfSigned: true, commonName: 'renewed' }, (error, keys) => {
+          if (error) {
+            return done(error);
+          }
+
+          renewed.key  = keys.serviceKey;
+          renewed.cert = keys.certificate;
+          done();
+        });
+      });
+
+      it('should serve new certificates without restarting', (done) => {
+        let server = createServer((req, res) => {
+          res.end('HTTPS: hello, world');
+        }, config);
+        let previous;
+
+        server.listen().then(() => {
+          previous = server.instance;
+          return commonName();
+        }).then((cn) => {
+          cn.should.equal('localhost');
+          return server.reloadCertificates(renewed);
+        }).then(() => {
+          // Older versions of Node.js fall back to restarting the server
+          if (previous.setSecureContext) {
+            server.instance.should.equal(previous);
+          }
+
+          return commonName();
+        }).then((cn) => {
+          cn.should.equal('renewed');
+          return server.close();
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should reject malformed certificates and keep the previous ones', (done) => {
+        let server = createServer((req, res) => {
+          res.end('HTTPS: hello, world');
+        }, config);
+
+        server.listen().then(() => {
+          return server.reloadCertificates({ key: 'not a key', cert: 'not a certificate' }).should.be.rejected;
+        }).then(() => {
+          return commonName();
+        }).then((cn) => {
+          cn.should.equal('localhost');
+          return server.close();
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should reject a key that does not match its certificate', (done) => {
+        let server = createServer((req, res) => {
+          res.end('HTTPS: hello, world');
+        }, config);
+
+        server.listen().then(() => {
+          return server.reloadCertificates({ cert: renewed.cert }).should.be.rejected;
+        }).then(() => {
+          return commonName();
+        }).then((cn) => {
+          cn.should.equal('localhost');
+          return server.close();
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should reload certificates when `sslFiles` change', (done) => {
+        let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nicer-server-'));
+        let files = { key: path.join(dir, 'key.pem'), cert: path.join(dir, 'cert.pem') };
+
+        fs.writeFileSync(files.key, config.ssl.key);
+        fs.writeFileSync(files.cert, config.ssl.cert);
+
+        let server = createServer((req, res) => {
+          res.end('HTTPS: hello, world');
+        }, {
+          sslFiles:         files,
+          sslWatchInterval: 20
+        });
+
+        server.listen().then(() => {
+          return commonName();
+        }).then((cn) => {
+          cn.should.equal('localhost');
+
+          // Ensure the modification time changes on coarse-grained filesystems
+          let mtime = new Date(Date.now() + 2000);
+
+          fs.writeFileSync(files.key, renewed.key);
+          fs.writeFileSync(files.cert, renewed.cert);
+          fs.utimesSync(files.key, mtime, mtime);
+          fs.utimesSync(files.cert, mtime, mtime);
+
+          return new Promise((resolve) => setTimeout(resolve, 200));
+        }).then(() => {
+          return commonName();
+        }).then((cn) => {
+          cn.should.equal('renewed');
+          return server.close();
+        }).then(() => {
+          fs.unlinkSync(files.key);
+          fs.unlinkSync(files.cert);
+          fs.rmdirSync(dir);
+        }).should.be.fulfilled.notify(done);
+      });
+    });
+
+    describe('SNI', () => {
+      let hosts = {};
+
+      before(function(done) {
+        this.timeout(0);
+
+        let names = [ 'alpha.test', '*.beta.test' ];
+
+        Promise.all(names.map((commonName) => {
+          return new Promise((resolve, reject) => {
+            pem.createCertificate({ days: 1, selfSigned: true, commonName }, (error, keys) => {
+              return (error) ? reject(error) : resolve({ key: keys.serviceKey, cert: keys.certificate });
+            });
+          });
+        })).then((credentials) => {
+          names.forEach((name, i) => {
+            hosts[name] = credentials[i];
+          });
+          hosts.default = config.ssl;
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should serve certificates by hostname', (done) => {
+        let server = createServer((req, res) => {
+          res.end('HTTPS: hello, world');
+        }, { ssl: hosts });
+
+        server.listen().then(() => {
+          return Promise.all([
+            commonName('alpha.test'),
+            commonName('ALPHA.test'),
+            commonName('www.beta.test'),
+            commonName('a.b.beta.test'),
+            commonName('gamma.test'),
+            commonName()
+          ]);
+        }).then((cns) => {
+          cns.should.deep.equal([ 'alpha.test', 'alpha.test', '*.beta.test', 'localhost', 'localhost', 'localhost' ]);
+          return server.close();
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should update hostnames at runtime via `#reloadCertificates`', (done) => {
+        let server = createServer((req, res) => {
+          res.end('HTTPS: hello, world');
+        }, { ssl: hosts });
+
+        server.listen().then(() => {
+          return server.reloadCertificates({ 'alpha.test': null, 'gamma.test': hosts['alpha.test'] });
+        }).then(() => {
+          return Promise.all([ commonName('alpha.test'), commonName('gamma.test') ]);
+        }).then((cns) => {
+          cns.should.deep.equal([ 'localhost', 'alpha.test' ]);
+          return server.reloadCertificates({ 'gamma.test': { key: 'not a key', cert: 'not a certificate' } }).should.be.rejected;
+        }).then(() => {
+          return commonName('gamma.test');
+        }).then((cn) => {
+          cn.should.equal('alpha.test');
+          return server.close();
+        }).should.be.fulfilled.notify(done);
+      });
+    });
+
+    describe('multiple bindings', () => {
+      let listen = [ { host: '127.0.0.1', port: 3000 }, { port: 3443, ssl: true } ];
+
+      it('should serve HTTP and HTTPS on separate ports', (done) => {
+        let server = createServer((req, res) => {
+          res.end(`${(req.socket.encrypted) ? 'HTTPS' : 'HTTP'}: hello, world`);
+        }, Object.assign({ listen }, config));
+
+        server.listen().then(() => {
+          return Promise.all([
+            request('http://127.0.0.1:3000').get('/').expect(200),
+            request.agent('https://localhost:3443').get('/').ca(config.ssl.cert).expect(200)
+          ]);
+        }).then((responses) => {
+          responses.map((response) => response.text).should.deep.equal([ 'HTTP: hello, world', 'HTTPS: hello, world' ]);
+          return server.close();
+        }).then(() => {
+          server.instances.forEach((instance) => instance.listening.should.be.false);
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should restart every binding without closing its port', (done) => {
+        let server = createServer((req, res) => {
+          res.end('hello, world');
+        }, Object.assign({ listen }, config));
+
+        server.listen().then(() => {
+          return server.restart();
+        }).then(() => {
+          return Promise.all([
+            request('http://127.0.0.1:3000').get('/').expect(200),
+            request.agent('https://localhost:3443').get('/').ca(config.ssl.cert).expect(200)
+          ]);
+        }).then(() => {
+          return server.close();
+        }).should.be.fulfilled.notify(done);
+      });
+    });
+
+    describe('metrics', () => {
+      it('should count failed TLS handshakes', (done) => {
+        let server = createServer((req, res) => {
+          res.end('HTTPS: hello, world');
+        }, Object.assign({ metrics: true }, config));
+
+        server.listen().then(() => {
+          return new Promise((resolve) => {
+            server.once('tlsClientError', () => resolve());
+            http.get('http://localhost:3000').on('error', () => {});
+          });
+        }).then(() => {
+          server.metrics().should.include('nicer_server_tls_handshake_failures_total 1\n');
+          return server.close();
+        }).should.be.fulfilled.notify(done);
+      });
+    });
+
+    describe('connection limits', () => {
+      it('should refuse connections over `maxConnections` ahead of the TLS handshake', (done) => {
+        let pending;
+        let server = createServer((req, res) => {
+          res.end('HTTPS: hello, world');
+        }, Object.assign({ maxConnections: 1 }, config));
+
+        server.listen().then(() => {
+          pending = net.connect(3000, '127.0.0.1');
+
+          return new Promise((resolve) => setTimeout(resolve, 50));
+        }).then(() => {
+          return new Promise((resolve) => net.connect(3000, '127.0.0.1').on('error', () => {}).on('close', resolve));
+        }).then(() => {
+          pending.destroy();
+          return server.close();
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should answer requests over `maxConnections` with 503 if `retryAfter` is set', (done) => {
+        let pending;
+        let server = createServer((req, res) => {
+          res.end('HTTPS: hello, world');
+        }, Object.assign({ maxConnections: 1, retryAfter: 5 }, config));
+
+        server.listen().then(() => {
+          pending = net.connect(3000, '127.0.0.1');
+
+          return new Promise((resolve) => setTimeout(resolve, 50));
+        }).then(() => {
+          return new Promise((resolve, reject) => {
+            https.get({ port: 3000, agent: false, rejectUnauthorized: false }, (res) => {
+              res.resume();
+              res.on('end', () => resolve(res));
+            }).on('error', reject);
+          });
+        }).then((res) => {
+          res.statusCode.should.equal(503);
+          res.headers['retry-after'].should.equal('5');
+          pending.destroy();
+          return server.close();
+        }).should.be.fulfilled.notify(done);
+      });
+    });
+
+    describe('PROXY protocol', () => {
+      it('should read the client address ahead of the TLS handshake', (done) => {
+        let server = createServer((req, res) => {
+          res.end(`${req.socket.remoteAddress} ${req.socket.proxyAddress}`);
+        }, Object.assign({ proxyProtocol: true }, config));
+
+        server.listen().then(() => {
+          return new Promise((resolve, reject) => {
+            https.get({
+              createConnection: () => {
+                let socket = net.connect(3000, '127.0.0.1');
+
+                socket.write('PROXY TCP6 2001:db8::1 ::1 51000 3000\r\n');
+                return tls.connect({ rejectUnauthorized: false, socket });
+              }
+            }, (res) => {
+              let body = '';
+
+              res.on('data', (chunk) => {
+                body += chunk;
+              });
+              res.on('end', () => resolve(body));
+            }).on('error', reject);
+          });
+        }).then((body) => {
+          body.should.match(/^2001:db8::1 (::ffff:)?127\.0\.0\.1$/);
+          return server.close();
+        }).should.be.fulfilled.notify(done);
+      });
+    });
+
+    describe('`redirectHttp`', () => {
+      it('should redirect plain HTTP requests to HTTPS', (done) => {
+        let server = createServer((req, res) => {
+          res.end('HTTPS: hello, world');
+        }, Object.assign({ hsts: { maxAge: 600 }, redirectHttp: 3080 }, config));
+
+        server.listen().then(() => {
+          return Promise.all([
+            request('http://localhost:3080').get('/path?query=1').redirects(0).expect(301),
+            request('http://localhost:3080').post('/path').redirects(0).expect(308),
+            request.agent('https://localhost:3000').get('/').ca(config.ssl.cert).expect(200)
+          ]);
+        }).then((responses) => {
+          responses[0].headers.location.should.equal('https://localhost:3000/path?query=1');
+          responses[1].headers.location.should.equal('https://localhost:3000/path');
+          responses[2].headers['strict-transport-security'].should.equal('max-age=600');
+          should.not.exist(responses[0].headers['strict-transport-security']);
+          return server.restart();
+        }).then(() => {
+          return request('http://localhost:3080').get('/').redirects(0).expect(301);
+        }).then(() => {
+          return server.close();
+        }).then(() => {
+          server.instances.forEach((instance) => instance.listening.should.be.false);
+        }).should.be.fulfilled.notify(done);
+      });
+    });
+
     describe('`ws` module via `wss` protocol', () => {
       it('should be compatible with base HTTPS module', (done) => {
         let server = createServer(() => {}, config);
@@ -526,11 +2241,16 @@ describe('Integration tests: createServer', () => {
         server.listen().then(() => {
           return new Promise((resolve, reject) => {
             let ws = ioClient.connect('wss://localhost:3000', {
-              rejectUnauthorized: false
+              forceNode:          true,
+              rejectUnauthorized: false,
+              transports:         [ 'websocket' ]
             });
 
             ws.on('error', reject);
-            ws.on('done', resolve);
+            ws.on('done', (message) => {
+              ws.close();
+              resolve(message);
+            });
           });
         }).then((message) => {
           message.should.equal('done');
@@ -552,11 +2272,16 @@ describe('Integration tests: createServer', () => {
         server.listen().then(() => {
           return new Promise((resolve, reject) => {
             let ws = ioClient.connect('wss://localhost:3000', {
-              rejectUnauthorized: false
+              forceNode:          true,
+              rejectUnauthorized: false,
+              transports:         [ 'websocket' ]
             });
 
             ws.on('error', reject);
-            ws.on('done', resolve);
+            ws.on('done', (message) => {
+              ws.close();
+              resolve(message);
+            });
           });
         }).then((message) => {
           return server.close();
@@ -577,11 +2302,16 @@ describe('Integration tests: createServer', () => {
         server.listen().then(() => {
           return new Promise((resolve, reject) => {
             let ws = ioClient.connect('wss://localhost:3000', {
-              rejectUnauthorized: false
+              forceNode:          true,
+              rejectUnauthorized: false,
+              transports:         [ 'websocket' ]
             });
 
             ws.on('error', reject);
-            ws.on('done', resolve);
+            ws.on('done', (message) => {
+              ws.close();
+              resolve(message);
+            });
           });
         }).then((message) => {
           message.should.equal('done');
@@ -603,11 +2333,16 @@ describe('Integration tests: createServer', () => {
         server.listen().then(() => {
           return new Promise((resolve, reject) => {
             let ws = ioClient.connect('wss://localhost:3000', {
-              rejectUnauthorized: false
+              forceNode:          true,
+              rejectUnauthorized: false,
+              transports:         [ 'websocket' ]
             });
 
             ws.on('error', reject);
-            ws.on('done', resolve);
+            ws.on('done', (message) => {
+              ws.close();
+              resolve(message);
+            });
           });
         }).then((message) => {
           message.should.equal('done');
@@ -616,4 +2351,137 @@ describe('Integration tests: createServer', () => {
       });
     });
   });
+
+  describe('using `clientAuth`', () => {
+    let certificates = {};
+
+    /**
+     * Creates a certificate, signed by a CA if specified.
+     * @param  {String}           commonName
+     * @param  {Object}           [ca]       The CA to sign the certificate with
+     * @return {Promise.<Object>}
+     */
+    function createCertificate(commonName, ca) {
+      let options = (ca) ? { serviceKey: ca.serviceKey, serviceCertificate: ca.certificate, serial: Date.now() } : { selfSigned: true };
+
+      return new Promise((resolve, reject) => {
+        pem.createCertificate(Object.assign({ commonName, days: 1 }, options), (error, keys) => {
+          return (error) ? reject(error) : resolve(keys);
+        });
+      });
+    }
+
+    /**
+     * Resolves to the response to a request made on port 3000 with a client
+     * certificate, if specified.
+     * @param  {Object}           [client] The client certificate to present
+     * @return {Promise.<Object>}
+     */
+    function get(client) {
+      let options = { port: 3000, agent: false, rejectUnauthorized: false };
+
+      if (client) {
+        Object.assign(options, { key: client.clientKey, cert: client.certificate });
+      }
+
+      return new Promise((resolve, reject) => {
+        https.get(options, (res) => {
+          let body = '';
+
+          res.on('data', (chunk) => {
+            body += chunk;
+          });
+          res.on('end', () => resolve({ status: res.statusCode, body }));
+        }).on('error', reject);
+      });
+    }
+
+    /**
+     * Creates a server requiring client certificates signed by the CA.
+     * @param  {Object}       [clientAuth] The `clientAuth` option
+     * @return {ServerObject}
+     */
+    function createMtlsServer(clientAuth) {
+      return createServer((req, res) => {
+        res.end(req.client.subject.CN);
+      }, {
+        clientAuth: clientAuth || true,
+        ssl:        { ca: certificates.ca.certificate, cert: certificates.server.certificate, key: certificates.server.clientKey }
+      });
+    }
+
+    before(function(done) {
+      // Disable timeout for creating certificates
+      this.timeout(0);
+
+      createCertificate('Test CA').then((ca) => {
+        certificates.ca = ca;
+        return createCertificate('Other CA');
+      }).then((other) => {
+        certificates.other = other;
+        return Promise.all([
+          createCertificate('localhost', certificates.ca),
+          createCertificate('client', certificates.ca),
+          createCertificate('stranger', other)
+        ]);
+      }).then((keys) => {
+        certificates.server = keys[0];
+        certificates.client = keys[1];
+        certificates.stranger = keys[2];
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should set `client` to the identity of clients with certificates signed by the CA', (done) => {
+      let server = createMtlsServer();
+
+      server.listen().then(() => {
+        return get(certificates.client);
+      }).then((response) => {
+        response.should.deep.equal({ status: 200, body: 'client' });
+        return server.close();
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should refuse the TLS handshake of clients without a certificate signed by the CA', (done) => {
+      let server = createMtlsServer();
+      let listener = sinon.spy();
+
+      server.on('tlsClientError', listener);
+
+      server.listen().then(() => {
+        return get().should.be.rejected;
+      }).then(() => {
+        return get(certificates.stranger).should.be.rejected;
+      }).then(() => {
+        listener.should.have.been.called;
+        return server.close();
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should answer `403` for clients the `allow` hook rejects', (done) => {
+      let server = createMtlsServer({ allow: (client) => client.subject.CN === 'someone else' });
+
+      server.listen().then(() => {
+        return get(certificates.client);
+      }).then((response) => {
+        response.status.should.equal(403);
+        return server.close();
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should verify clients against the CA given to `#reloadCertificates`', (done) => {
+      let server = createMtlsServer();
+
+      server.listen().then(() => {
+        return server.reloadCertificates({ ca: certificates.other.certificate });
+      }).then(() => {
+        return get(certificates.stranger);
+      }).then((response) => {
+        response.should.deep.equal({ status: 200, body: 'stranger' });
+        return get(certificates.client).should.be.rejected;
+      }).then(() => {
+        return server.close();
+      }).should.be.fulfilled.notify(done);
+    });
+  });
 });
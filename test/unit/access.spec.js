@@ -0,0 +1,163 @@
+/**
+ * @file Unit tests for lib/access.js
+ */
+
+
+const chai           = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const EventEmitter   = require('events');
+const sinon          = require('sinon');
+const sinonChai      = require('sinon-chai');
+
+
+chai.use(sinonChai);
+chai.use(chaiAsPromised);
+const should = chai.should();
+
+
+const logAccess = require('../../lib/access.js');
+const mocks     = require('./mocks.js');
+
+
+describe('Unit tests: logAccess', () => {
+  let server, stream;
+
+  /**
+   * Emits a request on the server, writes a body to its response, and
+   * finishes it.
+   * @param  {Object}         [headers]
+   * @return {MockedResponse}
+   */
+  function respond(headers) {
+    let response = Object.assign(new mocks.Response, { statusCode: 200 });
+    let socket = Object.assign(new mocks.Socket, { remoteAddress: '10.0.0.1', uuid: 'uuid' });
+
+    server.emit('request', {
+      headers:     headers || {},
+      httpVersion: '1.1',
+      method:      'GET',
+      socket,
+      url:         '/index.html?page=1'
+    }, response);
+
+    response.write('héllo, ');
+    response.end(Buffer.from('world'));
+    response.emit('finish');
+    response.emit('close');
+    return response;
+  }
+
+  beforeEach(() => {
+    stream = { write: sinon.spy() };
+    server = Object.assign(new EventEmitter, {
+      config: { accessLog: { stream } }
+    });
+  });
+
+  it('should export a function', () => {
+    logAccess.should.be.a('function');
+  });
+
+  it('should throw TypeError for unknown formats', () => {
+    server.config.accessLog.format = 'apache';
+
+    (() => {
+      logAccess(server);
+    }).should.throw(TypeError, 'unknown access log format: apache');
+  });
+
+  it('should write to `process.stdout` in the `combined` format by default', () => {
+    server.config.accessLog = true;
+    sinon.stub(process.stdout, 'write');
+
+    try {
+      logAccess(server);
+      respond();
+      process.stdout.write.should.have.been.calledOnce;
+      process.stdout.write.args[0][0].should.match(/^10\.0\.0\.1 - - \[.+\] "GET \/index\.html\?page=1 HTTP\/1\.1" 200 13 "-" "-"\n$/);
+    } finally {
+      process.stdout.write.restore();
+    }
+  });
+
+  it('should log one entry for each response', () => {
+    logAccess(server);
+    respond();
+    respond();
+    stream.write.should.have.been.calledTwice;
+  });
+
+  it('should support the `common` format', () => {
+    let clock = sinon.useFakeTimers(Date.UTC(2000, 9, 10, 13, 55, 36));
+
+    server.config.accessLog.format = 'common';
+    logAccess(server);
+    respond();
+    clock.restore();
+    stream.write.should.have.been.calledWith('10.0.0.1 - - [10/Oct/2000:13:55:36 +0000] "GET /index.html?page=1 HTTP/1.1" 200 13\n');
+  });
+
+  it('should support the `combined` format', () => {
+    let clock = sinon.useFakeTimers(Date.UTC(2000, 0, 1, 1, 2, 3));
+
+    logAccess(server);
+    respond({ referer: 'http://example.com/', 'user-agent': 'curl/7.64.1' });
+    clock.restore();
+    stream.write.should.have.been.calledWith('10.0.0.1 - - [01/Jan/2000:01:02:03 +0000] "GET /index.html?page=1 HTTP/1.1" 200 13 "http://example.com/" "curl/7.64.1"\n');
+  });
+
+  it('should support the `json` format', () => {
+    let entry;
+
+    server.config.accessLog.format = 'json';
+    logAccess(server);
+    respond({ 'user-agent': 'curl/7.64.1' });
+    entry = JSON.parse(stream.write.args[0][0]);
+    entry.should.include({
+      bytes:         13,
+      httpVersion:   '1.1',
+      method:        'GET',
+      remoteAddress: '10.0.0.1',
+      status:        200,
+      url:           '/index.html?page=1',
+      userAgent:     'curl/7.64.1',
+      uuid:          'uuid'
+    });
+    entry.duration.should.be.a('number');
+    new Date(entry.time).toISOString().should.equal(entry.time);
+  });
+
+  it('should support custom formats', () => {
+    let format = sinon.stub().returns('custom');
+
+    server.config.accessLog.format = format;
+    logAccess(server);
+    respond();
+    format.should.have.been.calledOnce;
+    format.args[0][0].should.include({ method: 'GET', status: 200, uuid: 'uuid' });
+    stream.write.should.have.been.calledWith('custom\n');
+  });
+
+  it('should skip entries that custom formats return nothing for', () => {
+    server.config.accessLog.format = () => null;
+    logAccess(server);
+    respond();
+    stream.write.should.not.have.been.called;
+  });
+
+  it('should only log the fraction of requests given by `sample`', () => {
+    sinon.stub(Math, 'random');
+    Math.random.onFirstCall().returns(0.05);
+    Math.random.onSecondCall().returns(0.5);
+
+    try {
+      server.config.accessLog.sample = 0.1;
+      logAccess(server);
+      respond();
+      respond();
+      stream.write.should.have.been.calledOnce;
+    } finally {
+      Math.random.restore();
+    }
+  });
+});
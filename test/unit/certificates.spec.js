@@ -0,0 +1,144 @@
+/**
+ * @file Unit tests for lib/certificates.js
+ */
+
+
+const chai           = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const proxyquire     = require('proxyquire').noPreserveCache();
+const sinon          = require('sinon');
+const sinonChai      = require('sinon-chai');
+
+
+chai.use(sinonChai);
+chai.use(chaiAsPromised);
+const should = chai.should();
+
+
+const stubs = {
+  fs: {
+    readFile:     (file, cb) => cb(null, `contents of ${file}`),
+    readFileSync: (file) => `contents of ${file}`,
+    unwatchFile:  () => {},
+    watchFile:    () => {}
+  }
+};
+
+
+const certificates = proxyquire('../../lib/certificates.js', stubs);
+
+
+describe('Unit tests: certificates', () => {
+  describe('readCertificates', () => {
+    it('should read each file into the corresponding SSL option', () => {
+      certificates.readCertificates({ key: 'key.pem', cert: 'cert.pem' }).should.deep.equal({
+        key:  'contents of key.pem',
+        cert: 'contents of cert.pem'
+      });
+    });
+
+    it('should read nested maps of hostnames to files', () => {
+      certificates.readCertificates({ default: { key: 'key.pem' } }).should.deep.equal({
+        default: { key: 'contents of key.pem' }
+      });
+    });
+  });
+
+  describe('watchCertificates', () => {
+    let server, listeners;
+
+    beforeEach(() => {
+      listeners = new Map;
+      sinon.stub(stubs.fs, 'watchFile').callsFake((file, options, listener) => {
+        listeners.set(file, listener);
+      });
+      sinon.spy(stubs.fs, 'unwatchFile');
+
+      server = {
+        config: {
+          Promise,
+          sslFiles:         { key: 'key.pem', cert: 'cert.pem' },
+          sslWatchInterval: 100
+        },
+        reloadCertificates: sinon.stub().resolves()
+      };
+    });
+
+    afterEach(() => {
+      stubs.fs.watchFile.restore();
+      stubs.fs.unwatchFile.restore();
+    });
+
+    it('should return a function', () => {
+      certificates.watchCertificates(server, () => {}).should.be.a('function');
+    });
+
+    it('should watch each file at the configured interval', () => {
+      certificates.watchCertificates(server, () => {});
+      stubs.fs.watchFile.should.have.been.calledTwice;
+      stubs.fs.watchFile.should.have.been.calledWith('key.pem', { interval: 100, persistent: false });
+      stubs.fs.watchFile.should.have.been.calledWith('cert.pem', { interval: 100, persistent: false });
+    });
+
+    it('should reload certificates when a file is modified', (done) => {
+      certificates.watchCertificates(server, () => {});
+      listeners.get('cert.pem')({ mtime: new Date(1) }, { mtime: new Date(0) });
+
+      setImmediate(() => {
+        server.reloadCertificates.should.have.been.calledOnce;
+        server.reloadCertificates.should.have.been.calledWith({
+          key:  'contents of key.pem',
+          cert: 'contents of cert.pem'
+        });
+        done();
+      });
+    });
+
+    it('should watch and reload nested maps of hostnames to files', (done) => {
+      server.config.sslFiles = { 'example.com': { key: 'a.pem' }, default: { key: 'b.pem' } };
+      certificates.watchCertificates(server, () => {});
+      stubs.fs.watchFile.should.have.been.calledTwice;
+      listeners.get('a.pem')({ mtime: new Date(1) }, { mtime: new Date(0) });
+
+      setImmediate(() => {
+        server.reloadCertificates.should.have.been.calledWith({
+          'example.com': { key: 'contents of a.pem' },
+          default:       { key: 'contents of b.pem' }
+        });
+        done();
+      });
+    });
+
+    it('should not reload certificates when a file is unmodified', (done) => {
+      certificates.watchCertificates(server, () => {});
+      listeners.get('cert.pem')({ mtime: new Date(0) }, { mtime: new Date(0) });
+
+      setImmediate(() => {
+        server.reloadCertificates.should.not.have.been.called;
+        done();
+      });
+    });
+
+    it('should log failed reloads', (done) => {
+      let logger = sinon.spy();
+
+      server.reloadCertificates = sinon.stub().rejects(new Error('bad PEM'));
+      certificates.watchCertificates(server, logger);
+      listeners.get('key.pem')({ mtime: new Date(1) }, { mtime: new Date(0) });
+
+      setImmediate(() => {
+        logger.should.have.been.calledWith('failed to reload certificates: bad PEM');
+        done();
+      });
+    });
+
+    describe('unwatchCertificates', () => {
+      it('should stop watching each file', () => {
+        certificates.watchCertificates(server, () => {})();
+        stubs.fs.unwatchFile.should.have.been.calledTwice;
+        stubs.fs.unwatchFile.should.have.been.calledWith('key.pem', listeners.get('key.pem'));
+        stubs.fs.unwatchFile.should.have.been.calledWith('cert.pem', listeners.get('cert.pem'));
+      });
+    });
+  });
+});
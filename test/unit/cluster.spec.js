@@ -0,0 +1,414 @@
+/**
+ * @file Unit tests for lib/cluster.js
+ */
+
+
+const chai           = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const EventEmitter   = require('events');
+const proxyquire     = require('proxyquire').noPreserveCache();
+const sinon          = require('sinon');
+const sinonChai      = require('sinon-chai');
+
+
+chai.use(sinonChai);
+chai.use(chaiAsPromised);
+const should = chai.should();
+
+
+const mocks = require('./mocks.js');
+
+
+let ids = 0;
+
+
+const stubs = {
+  cluster: {
+    fork:      () => new mocks.Worker(ids++),
+    isPrimary: true,
+    worker:    { disconnect: () => {} }
+  },
+  os: {
+    cpus: () => [ {}, {} ]
+  }
+};
+
+
+const clustering = proxyquire('../../lib/cluster.js', stubs);
+
+
+describe('Unit tests: cluster', () => {
+  let server;
+
+  /**
+   * Returns the workers forked so far.
+   * @return {Array.<MockedWorker>}
+   */
+  function forked() {
+    return stubs.cluster.fork.returnValues;
+  }
+
+  /**
+   * Has a worker report that it is listening.
+   * @param {MockedWorker} worker
+   */
+  function report(worker) {
+    worker.emit('message', { 'nicer-server': 'listening', addresses: [ { address: '::', family: 'IPv6', port: 3000 } ] });
+  }
+
+  /**
+   * Has a worker close and exit once asked to, reporting a shutdown summary.
+   * @param {MockedWorker} worker
+   */
+  function closeOnRequest(worker) {
+    worker.send = sinon.spy((message) => {
+      if (message['nicer-server'] === 'close') {
+        setImmediate(() => {
+          worker.emit('message', { 'nicer-server': 'closed', summary: { drained: 1, destroyed: 0 } });
+          worker.dead = true;
+          worker.emit('exit', 0, null);
+        });
+      }
+    });
+  }
+
+  beforeEach(() => {
+    ids = 0;
+    sinon.spy(stubs.cluster, 'fork');
+    server = Object.assign(new EventEmitter, {
+      config: { cluster: { workers: 2 }, Promise, shutdownTimeout: 100 }
+    });
+  });
+
+  afterEach(() => {
+    stubs.cluster.fork.restore();
+  });
+
+  describe('isPrimary', () => {
+    it('should return whether this is the primary process', () => {
+      clustering.isPrimary().should.be.true;
+    });
+
+    it('should fall back to `isMaster` on older versions of Node.js', () => {
+      let legacy = proxyquire('../../lib/cluster.js', { cluster: { isMaster: false, '@noCallThru': true } });
+
+      legacy.isPrimary().should.be.false;
+    });
+  });
+
+  describe('createPrimary', () => {
+    it('should return `close`, `listen`, and `restart` methods', () => {
+      clustering.createPrimary(server, () => {}).should.have.all.keys('close', 'listen', 'restart');
+    });
+
+    describe('listen', () => {
+      it('should fork a worker for each CPU by default', () => {
+        server.config.cluster = true;
+        clustering.createPrimary(server, () => {}).listen();
+        stubs.cluster.fork.should.have.been.calledTwice;
+      });
+
+      it('should fork the number of workers specified', () => {
+        server.config.cluster = 3;
+        clustering.createPrimary(server, () => {}).listen();
+        stubs.cluster.fork.should.have.been.calledThrice;
+      });
+
+      it('should resolve to the addresses of the first worker once all are listening', (done) => {
+        let listening = sinon.spy();
+
+        clustering.createPrimary(server, () => {}).listen().then(listening).then(() => {
+          listening.should.have.been.calledWith([ { address: '::', family: 'IPv6', port: 3000 } ]);
+        }).should.be.fulfilled.notify(done);
+
+        report(forked()[0]);
+        setImmediate(() => {
+          listening.should.not.have.been.called;
+          report(forked()[1]);
+        });
+      });
+
+      it('should close the other workers and reject if a worker fails to listen', (done) => {
+        clustering.createPrimary(server, () => {}).listen().should.be.rejectedWith('worker 1 failed to listen: listen EADDRINUSE').then((error) => {
+          error.code.should.equal('EADDRINUSE');
+          forked()[0].send.should.have.been.calledWith({ 'nicer-server': 'close' });
+          forked()[1].isDead().should.be.true;
+        }).should.be.fulfilled.notify(done);
+
+        closeOnRequest(forked()[0]);
+        report(forked()[0]);
+        forked()[1].emit('message', { 'nicer-server': 'error', code: 'EADDRINUSE', message: 'listen EADDRINUSE' });
+      });
+
+      it('should reject if a worker exits before listening', (done) => {
+        clustering.createPrimary(server, () => {}).listen().should.be.rejectedWith('worker 0 exited with 1 before listening').notify(done);
+
+        forked()[0].emit('exit', 1, null);
+        forked()[1].kill();
+      });
+
+      it('should ignore messages of the application', (done) => {
+        clustering.createPrimary(server, () => {}).listen().should.be.fulfilled.notify(done);
+
+        forked().forEach((worker) => {
+          worker.emit('message', 'ready');
+          report(worker);
+        });
+      });
+    });
+
+    describe('when a worker crashes', () => {
+      let clock, primary;
+
+      beforeEach((done) => {
+        primary = clustering.createPrimary(server, () => {});
+        primary.listen().then(() => {
+          clock = sinon.useFakeTimers(Date.now());
+        }).should.be.fulfilled.notify(done);
+
+        forked().forEach(report);
+      });
+
+      afterEach(() => {
+        clock.restore();
+      });
+
+      it('should replace the worker after `restartDelay`, doubling for each consecutive crash', () => {
+        forked()[0].emit('exit', 1, null);
+        clock.tick(99);
+        stubs.cluster.fork.should.have.been.calledTwice;
+        clock.tick(1);
+        stubs.cluster.fork.should.have.been.calledThrice;
+
+        forked()[2].emit('exit', 1, null);
+
+        return Promise.resolve().then(() => {
+          clock.tick(199);
+          stubs.cluster.fork.should.have.been.calledThrice;
+          clock.tick(1);
+          stubs.cluster.fork.callCount.should.equal(4);
+        });
+      });
+
+      it('should reset the delay once a worker has run for `maxRestartDelay`', () => {
+        forked()[0].emit('exit', 1, null);
+        clock.tick(100);
+        report(forked()[2]);
+
+        return Promise.resolve().then(() => {
+          clock.tick(10000);
+          forked()[2].emit('exit', 1, null);
+          clock.tick(100);
+          stubs.cluster.fork.callCount.should.equal(4);
+        });
+      });
+
+      it('should keep replacing workers that fail to start', () => {
+        forked()[0].emit('exit', 1, null);
+        clock.tick(100);
+        forked()[2].emit('exit', 1, null);
+
+        return Promise.resolve().then(() => {
+          clock.tick(200);
+          stubs.cluster.fork.callCount.should.equal(4);
+        });
+      });
+
+      it('should not replace workers it was asked to close', () => {
+        forked().forEach(closeOnRequest);
+        primary.close();
+        clock.tick(10000);
+        stubs.cluster.fork.should.have.been.calledTwice;
+      });
+
+      it('should not replace workers once closing', () => {
+        forked()[0].emit('exit', 1, null);
+        forked()[1].kill();
+        primary.close();
+        clock.tick(10000);
+        stubs.cluster.fork.should.have.been.calledTwice;
+      });
+    });
+
+    it('should not wait longer than `maxRestartDelay` to replace workers', (done) => {
+      let clock;
+
+      server.config.cluster.maxRestartDelay = 150;
+
+      clustering.createPrimary(server, () => {}).listen().then(() => {
+        clock = sinon.useFakeTimers(Date.now());
+        forked()[0].emit('exit', 1, null);
+        clock.tick(100);
+        forked()[2].emit('exit', 1, null);
+      }).then(() => {
+        clock.tick(149);
+        stubs.cluster.fork.should.have.been.calledThrice;
+        clock.tick(1);
+        stubs.cluster.fork.callCount.should.equal(4);
+      }).then(() => clock.restore(), (error) => {
+        clock.restore();
+        throw error;
+      }).should.be.fulfilled.notify(done);
+
+      forked().forEach(report);
+    });
+
+    describe('restart', () => {
+      let primary;
+
+      beforeEach((done) => {
+        primary = clustering.createPrimary(server, () => {});
+        primary.listen().should.be.fulfilled.notify(done);
+        forked().forEach(report);
+      });
+
+      it('should emit `restarting` with the workers being replaced', () => {
+        let listener = sinon.spy();
+        let previous = forked().slice();
+
+        server.on('restarting', listener);
+        primary.restart();
+        listener.should.have.been.calledWith(previous);
+      });
+
+      it('should replace workers one at a time once their replacements are listening', (done) => {
+        let previous = forked().slice();
+
+        previous.forEach(closeOnRequest);
+
+        primary.restart().then(() => {
+          stubs.cluster.fork.callCount.should.equal(4);
+          previous[1].send.should.have.been.calledWith({ 'nicer-server': 'close' });
+        }).should.be.fulfilled.notify(done);
+
+        setImmediate(() => {
+          stubs.cluster.fork.should.have.been.calledThrice;
+          previous[0].send.should.not.have.been.called;
+          report(forked()[2]);
+
+          setImmediate(() => {
+            previous[0].send.should.have.been.calledWith({ 'nicer-server': 'close' });
+            stubs.cluster.fork.callCount.should.equal(4);
+            report(forked()[3]);
+          });
+        });
+      });
+
+      it('should reject and keep the old workers if a replacement fails to listen', (done) => {
+        let previous = forked().slice();
+
+        sinon.spy(previous[0], 'send');
+
+        primary.restart().should.be.rejectedWith('failed to listen').then(() => {
+          previous[0].send.should.not.have.been.called;
+        }).should.be.fulfilled.notify(done);
+
+        setImmediate(() => {
+          forked()[2].emit('message', { 'nicer-server': 'error', message: 'listen EADDRINUSE' });
+        });
+      });
+    });
+
+    describe('close', () => {
+      let primary;
+
+      beforeEach((done) => {
+        primary = clustering.createPrimary(server, () => {});
+        primary.listen().should.be.fulfilled.notify(done);
+        forked().forEach(report);
+      });
+
+      it('should resolve to the sum of the shutdown summaries of the workers', (done) => {
+        forked().forEach(closeOnRequest);
+
+        primary.close().should.eventually.deep.equal({ drained: 2, destroyed: 0 }).notify(done);
+      });
+
+      it('should include workers still closing after a restart', (done) => {
+        let previous = forked().slice();
+
+        primary.restart().then(() => {
+          let closing;
+
+          forked().slice(2).forEach(closeOnRequest);
+          closing = primary.close();
+          previous.forEach((worker) => {
+            worker.emit('message', { 'nicer-server': 'closed', summary: { drained: 1, destroyed: 0 } });
+            worker.dead = true;
+            worker.emit('exit', 0, null);
+          });
+          return closing;
+        }).should.eventually.deep.equal({ drained: 4, destroyed: 0 }).notify(done);
+
+        setImmediate(() => {
+          report(forked()[2]);
+          setImmediate(() => report(forked()[3]));
+        });
+      });
+
+      it('should kill workers that have not exited after `shutdownTimeout`', (done) => {
+        let worker = forked()[0];
+
+        sinon.spy(worker, 'kill');
+        forked()[1].kill();
+
+        primary.close().then(() => {
+          worker.kill.should.have.been.calledWith('SIGKILL');
+        }).should.be.fulfilled.notify(done);
+      }).timeout(5000);
+    });
+  });
+
+  describe('createWorker', () => {
+    let listeners;
+
+    beforeEach(() => {
+      listeners = process.listeners('message');
+      process.send = sinon.spy((message, cb) => {
+        return (cb) ? cb() : true;
+      });
+      sinon.spy(stubs.cluster.worker, 'disconnect');
+      server.close = sinon.stub().resolves({ drained: 1, destroyed: 0 });
+    });
+
+    afterEach(() => {
+      process.listeners('message').filter((l) => listeners.indexOf(l) === -1).forEach((l) => {
+        process.removeListener('message', l);
+      });
+      delete process.send;
+      stubs.cluster.worker.disconnect.restore();
+    });
+
+    it('should return `failed` and `listening` functions', () => {
+      clustering.createWorker(server, () => {}).should.have.all.keys('failed', 'listening');
+    });
+
+    it('should report to the primary that the server is listening', () => {
+      clustering.createWorker(server, () => {}).listening([ '/tmp/server.sock' ]);
+      process.send.should.have.been.calledWith({ 'nicer-server': 'listening', addresses: [ '/tmp/server.sock' ] });
+    });
+
+    it('should report to the primary that the server failed to listen', () => {
+      clustering.createWorker(server, () => {}).failed(Object.assign(new Error('listen EACCES'), { code: 'EACCES' }));
+      process.send.should.have.been.calledWith({ 'nicer-server': 'error', code: 'EACCES', message: 'listen EACCES' });
+    });
+
+    it('should close the server and disconnect when the primary asks', (done) => {
+      clustering.createWorker(server, () => {});
+      process.emit('message', { 'nicer-server': 'close' });
+
+      setImmediate(() => {
+        server.close.should.have.been.calledOnce;
+        process.send.should.have.been.calledWith({ 'nicer-server': 'closed', summary: { drained: 1, destroyed: 0 } });
+        stubs.cluster.worker.disconnect.should.have.been.calledOnce;
+        done();
+      });
+    });
+
+    it('should ignore other messages', () => {
+      clustering.createWorker(server, () => {});
+      process.emit('message', 'close');
+      server.close.should.not.have.been.called;
+    });
+  });
+});
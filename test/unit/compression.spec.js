@@ -0,0 +1,272 @@
+/**
+ * @file Unit tests for lib/compression.js
+ */
+
+
+const chai         = require('chai');
+const EventEmitter = require('events');
+const sinon        = require('sinon');
+const sinonChai    = require('sinon-chai');
+const zlib         = require('zlib');
+
+
+chai.use(sinonChai);
+const should = chai.should();
+
+
+const compression = require('../../lib/compression.js');
+
+
+describe('Unit tests: compression', () => {
+  describe('negotiate', () => {
+    const encodings = [ 'br', 'gzip', 'deflate' ];
+
+    it('should prefer the encodings listed first among those accepted', () => {
+      compression.negotiate('gzip, deflate, br', encodings).should.equal('br');
+      compression.negotiate('deflate, gzip', encodings).should.equal('gzip');
+      compression.negotiate('deflate', encodings).should.equal('deflate');
+    });
+
+    it('should prefer the encodings with the highest quality value', () => {
+      compression.negotiate('br;q=0.5, gzip;q=0.8', encodings).should.equal('gzip');
+      compression.negotiate('br; q=0.1, *', encodings).should.equal('gzip');
+    });
+
+    it('should return `null` if no encoding is accepted', () => {
+      should.not.exist(compression.negotiate(undefined, encodings));
+      should.not.exist(compression.negotiate('identity', encodings));
+      should.not.exist(compression.negotiate('gzip;q=0, *;q=0', encodings));
+      should.not.exist(compression.negotiate('compress', encodings));
+    });
+  });
+
+  describe('compressor', () => {
+    let chunks, response;
+
+    /**
+     * Creates a mocked response collecting what is written to it.
+     * @return {EventEmitter}
+     */
+    function createResponse() {
+      const headers = new Map;
+
+      return Object.assign(new EventEmitter, {
+        getHeader:    (name) => headers.get(name.toLowerCase()),
+        headersSent:  false,
+        removeHeader: (name) => headers.delete(name.toLowerCase()),
+        setHeader:    (name, value) => headers.set(name.toLowerCase(), value),
+        statusCode:   200,
+        end:          sinon.spy(function(chunk) {
+          if (chunk && typeof chunk !== 'function') {
+            chunks.push(Buffer.from(chunk));
+          }
+
+          this.emit('finish');
+        }),
+        write:        sinon.spy(function(chunk) {
+          this.headersSent = true;
+          chunks.push(Buffer.from(chunk));
+          return true;
+        }),
+        writeHead:    sinon.spy(function() {
+          this.headersSent = true;
+        })
+      });
+    }
+
+    /**
+     * Wraps the response to a request with the specified headers.
+     * @param {Object} [config=true] The `compression` option
+     * @param {Object} [headers]     The headers of the request
+     * @param {String} [method]      The method of the request
+     */
+    function compress(config, headers, method) {
+      compression.compressor({ config: { compression: config || true } })({
+        headers: Object.assign({ 'accept-encoding': 'gzip, deflate' }, headers),
+        method:  method || 'GET'
+      }, response);
+    }
+
+    /**
+     * Resolves once the response has finished.
+     * @return {Promise}
+     */
+    function finished() {
+      return new Promise((resolve) => response.once('finish', resolve));
+    }
+
+    beforeEach(() => {
+      chunks = [];
+      response = createResponse();
+      response.setHeader('Content-Type', 'text/html; charset=utf-8');
+    });
+
+    it('should compress bodies over the threshold with the negotiated encoding', () => {
+      compress();
+      response.end('a'.repeat(2000));
+
+      return finished().then(() => {
+        response.getHeader('Content-Encoding').should.equal('gzip');
+        response.getHeader('Vary').should.equal('Accept-Encoding');
+        zlib.gunzipSync(Buffer.concat(chunks)).toString().should.equal('a'.repeat(2000));
+      });
+    });
+
+    it('should compress streamed bodies, removing their `Content-Length`', () => {
+      compress(null, { 'accept-encoding': 'deflate' });
+      response.setHeader('Content-Length', '2000');
+      response.write('a'.repeat(1000));
+      response.write(Buffer.from('b'.repeat(1000)));
+      response.end();
+
+      return finished().then(() => {
+        response.getHeader('Content-Encoding').should.equal('deflate');
+        should.not.exist(response.getHeader('Content-Length'));
+        zlib.inflateSync(Buffer.concat(chunks)).toString().should.equal(`${'a'.repeat(1000)}${'b'.repeat(1000)}`);
+      });
+    });
+
+    it('should take headers passed to `writeHead` into account', () => {
+      const writeHead = response.writeHead;
+
+      response.removeHeader('Content-Type');
+      compress();
+      response.writeHead(200, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify({ a: 'a'.repeat(2000) }));
+
+      return finished().then(() => {
+        response.getHeader('Content-Encoding').should.equal('gzip');
+        writeHead.should.have.been.calledWithExactly(200);
+      });
+    });
+
+    it('should not compress bodies under the threshold', () => {
+      compress({ threshold: 100 });
+      response.end('a'.repeat(99));
+
+      should.not.exist(response.getHeader('Content-Encoding'));
+      response.getHeader('Vary').should.equal('Accept-Encoding');
+      Buffer.concat(chunks).toString().should.equal('a'.repeat(99));
+    });
+
+    it('should not compress bodies of types not passing the filter', () => {
+      response.setHeader('Content-Type', 'image/png');
+      compress();
+      response.end(Buffer.alloc(2000));
+
+      should.not.exist(response.getHeader('Content-Encoding'));
+      should.not.exist(response.getHeader('Vary'));
+      chunks[0].length.should.equal(2000);
+    });
+
+    it('should leave responses already encoded alone', () => {
+      response.setHeader('Content-Encoding', 'br');
+      compress();
+      response.end('a'.repeat(2000));
+
+      response.getHeader('Content-Encoding').should.equal('br');
+      chunks[0].length.should.equal(2000);
+    });
+
+    it('should not compress responses to `HEAD` requests, without bodies, or with `no-transform`', () => {
+      compress(null, {}, 'HEAD');
+      response.end('a'.repeat(2000));
+      should.not.exist(response.getHeader('Content-Encoding'));
+
+      response = createResponse();
+      response.setHeader('Content-Type', 'text/plain');
+      response.statusCode = 304;
+      compress();
+      response.end();
+      should.not.exist(response.getHeader('Content-Encoding'));
+
+      response = createResponse();
+      response.setHeader('Content-Type', 'text/plain');
+      response.setHeader('Cache-Control', 'public, no-transform');
+      compress();
+      response.end('a'.repeat(2000));
+      should.not.exist(response.getHeader('Content-Encoding'));
+    });
+
+    it('should not compress for clients not accepting any encoding', () => {
+      compress(null, { 'accept-encoding': 'identity' });
+      response.end('a'.repeat(2000));
+
+      should.not.exist(response.getHeader('Content-Encoding'));
+      response.getHeader('Vary').should.equal('Accept-Encoding');
+    });
+
+    it('should only use the specified `encodings`', () => {
+      compress({ encodings: [ 'deflate' ] });
+      response.end('a'.repeat(2000));
+
+      response.getHeader('Content-Encoding').should.equal('deflate');
+    });
+
+    it('should compress with gzip and deflate at the specified `level`', () => {
+      const createGzip = sinon.spy(zlib, 'createGzip');
+
+      compress({ level: 1 });
+      response.end('a'.repeat(2000));
+      createGzip.restore();
+      createGzip.should.have.been.calledWith({ level: 1 });
+
+      return finished().then(() => {
+        zlib.gunzipSync(Buffer.concat(chunks)).toString().should.equal('a'.repeat(2000));
+      });
+    });
+
+    it('should compress with Brotli at a quality of 4 unless `quality` is specified', function() {
+      // Brotli is only available from Node.js 11.7
+      if (!zlib.createBrotliCompress) {
+        return this.skip();
+      }
+
+      const createBrotliCompress = sinon.spy(zlib, 'createBrotliCompress');
+      const quality = zlib.constants.BROTLI_PARAM_QUALITY;
+
+      compress(null, { 'accept-encoding': 'br' });
+      response.end('a'.repeat(2000));
+      response = createResponse();
+      response.setHeader('Content-Type', 'text/plain');
+      compress({ quality: 9 }, { 'accept-encoding': 'br' });
+      response.end('a'.repeat(2000));
+      createBrotliCompress.restore();
+
+      createBrotliCompress.firstCall.should.have.been.calledWith({ params: { [quality]: 4 } });
+      createBrotliCompress.secondCall.should.have.been.calledWith({ params: { [quality]: 9 } });
+    });
+
+    it('should add to existing `Vary` headers once', () => {
+      response.setHeader('Vary', 'Origin, accept-encoding');
+      compress();
+      response.end('a');
+
+      response.getHeader('Vary').should.equal('Origin, accept-encoding');
+    });
+
+    it('should call back once the response has finished', () => {
+      const callback = sinon.spy();
+
+      compress();
+      response.end('a'.repeat(2000), callback);
+      callback.should.not.have.been.called;
+
+      return finished().then(() => {
+        callback.should.have.been.calledOnce;
+      });
+    });
+
+    it('should flush data compressed so far', (done) => {
+      compress();
+      response.write('data: 1\n\n');
+      response.flush();
+
+      setTimeout(() => {
+        chunks.length.should.be.above(0);
+        response.end();
+        done();
+      }, 50);
+    });
+  });
+});
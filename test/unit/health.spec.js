@@ -0,0 +1,191 @@
+/**
+ * @file Unit tests for lib/health.js
+ */
+
+
+const chai           = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const sinon          = require('sinon');
+const sinonChai      = require('sinon-chai');
+
+
+chai.use(sinonChai);
+chai.use(chaiAsPromised);
+const should = chai.should();
+
+
+const healthEndpoints = require('../../lib/health.js');
+const mocks           = require('./mocks.js');
+
+
+describe('Unit tests: healthEndpoints', () => {
+  let server;
+
+  /**
+   * Passes a request to the health endpoints, resolving to the status code,
+   * headers, and body of the response once it ends.
+   * @param  {String}  url
+   * @param  {String}  [method]
+   * @return {Promise.<Object>}
+   */
+  function probe(url, method) {
+    const answer = healthEndpoints(server);
+    const response = new mocks.Response;
+    const headers = {};
+
+    response.setHeader = (name, value) => {
+      headers[name] = value;
+    };
+
+    return new Promise((resolve) => {
+      response.end = (body) => resolve({ status: response.statusCode, headers, body: body && JSON.parse(body) });
+      answer({ method: method || 'GET', url }, response).should.be.true;
+    });
+  }
+
+  beforeEach(() => {
+    server = {
+      config:   { health: true, Promise },
+      sessions: new Map([ [ 'session', {} ] ]),
+      sockets:  new Map([ [ 'first', {} ], [ 'second', {} ] ]),
+      state:    'listening',
+      upgrades: new Map([ [ 'upgraded', {} ] ])
+    };
+  });
+
+  it('should export a function', () => {
+    healthEndpoints.should.be.a('function');
+  });
+
+  it('should return a function', () => {
+    healthEndpoints(server).should.be.a('function');
+  });
+
+  it('should not answer other paths', () => {
+    healthEndpoints(server)({ method: 'GET', url: '/' }, new mocks.Response).should.be.false;
+  });
+
+  it('should not answer methods other than `GET` and `HEAD`', () => {
+    healthEndpoints(server)({ method: 'POST', url: '/healthz' }, new mocks.Response).should.be.false;
+  });
+
+  it('should ignore query strings', (done) => {
+    probe('/livez?verbose').then((result) => {
+      result.status.should.equal(200);
+    }).should.be.fulfilled.notify(done);
+  });
+
+  it('should send JSON that is not cached', (done) => {
+    probe('/livez').then((result) => {
+      result.headers.should.deep.equal({ 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    }).should.be.fulfilled.notify(done);
+  });
+
+  it('should not send a body for `HEAD` requests', (done) => {
+    probe('/healthz', 'HEAD').then((result) => {
+      result.status.should.equal(200);
+      should.not.exist(result.body);
+    }).should.be.fulfilled.notify(done);
+  });
+
+  it('should answer the paths of `health` if specified', (done) => {
+    server.config.health = { health: '/status', liveness: null };
+
+    healthEndpoints(server)({ method: 'GET', url: '/livez' }, new mocks.Response).should.be.false;
+    healthEndpoints(server)({ method: 'GET', url: '/healthz' }, new mocks.Response).should.be.false;
+    probe('/status').then((result) => {
+      result.status.should.equal(200);
+    }).should.be.fulfilled.notify(done);
+  });
+
+  describe('liveness', () => {
+    it('should answer `200` while closing', (done) => {
+      server.state = 'closing';
+
+      probe('/livez').then((result) => {
+        result.status.should.equal(200);
+        result.body.should.deep.equal({ status: 'ok', state: 'closing' });
+      }).should.be.fulfilled.notify(done);
+    });
+  });
+
+  describe('readiness', () => {
+    it('should answer `200` while listening', (done) => {
+      probe('/readyz').then((result) => {
+        result.status.should.equal(200);
+        result.body.should.deep.equal({ status: 'ok', state: 'listening', checks: {} });
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should answer `503` without running checks once closing', (done) => {
+      let check = sinon.spy();
+
+      server.config.health = { checks: { database: check } };
+      server.state = 'closing';
+
+      probe('/readyz').then((result) => {
+        result.status.should.equal(503);
+        result.body.should.deep.equal({ status: 'fail', state: 'closing' });
+        check.should.not.have.been.called;
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should answer `503` if a check fails', (done) => {
+      server.config.health = {
+        checks: {
+          cache:    () => true,
+          database: () => Promise.reject(new Error('connection refused'))
+        }
+      };
+
+      probe('/readyz').then((result) => {
+        result.status.should.equal(503);
+        result.body.should.deep.equal({
+          status: 'fail',
+          state:  'listening',
+          checks: {
+            cache:    { status: 'ok' },
+            database: { status: 'fail', error: 'connection refused' }
+          }
+        });
+      }).should.be.fulfilled.notify(done);
+    });
+  });
+
+  describe('health', () => {
+    it('should report the number of active sockets, sessions, and upgraded connections', (done) => {
+      probe('/healthz').then((result) => {
+        result.status.should.equal(200);
+        result.body.should.deep.equal({ status: 'ok', state: 'listening', checks: {}, sessions: 1, sockets: 2, upgrades: 1 });
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should answer `200` while closing', (done) => {
+      server.state = 'closing';
+
+      probe('/healthz').then((result) => {
+        result.status.should.equal(200);
+        result.body.state.should.equal('closing');
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should answer `503` if a check throws or returns `false`', (done) => {
+      server.config.health = {
+        checks: {
+          disk:  () => false,
+          queue: () => {
+            throw new Error('queue is full');
+          }
+        }
+      };
+
+      probe('/healthz').then((result) => {
+        result.status.should.equal(503);
+        result.body.checks.should.deep.equal({
+          disk:  { status: 'fail' },
+          queue: { status: 'fail', error: 'queue is full' }
+        });
+      }).should.be.fulfilled.notify(done);
+    });
+  });
+});
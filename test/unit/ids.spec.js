@@ -0,0 +1,169 @@
+/**
+ * @file Unit tests for lib/ids.js
+ */
+
+
+const chai           = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const proxyquire     = require('proxyquire').noPreserveCache();
+const sinon          = require('sinon');
+const sinonChai      = require('sinon-chai');
+
+
+chai.use(sinonChai);
+chai.use(chaiAsPromised);
+const should = chai.should();
+
+
+const mocks = require('./mocks.js');
+
+
+const stubs = {
+  async_hooks: {
+    '@noCallThru': true
+  },
+  uuid: {
+    v4: () => 'generated'
+  }
+};
+
+
+const createRequestIds = proxyquire('../../lib/ids.js', stubs);
+
+
+describe('Unit tests: createRequestIds', () => {
+  let server, socket;
+
+  /**
+   * Assigns an ID to a request on the socket, returning the request.
+   * @param  {Object}         ids
+   * @param  {Object}         [headers]
+   * @param  {MockedResponse} [response]
+   * @return {Object}
+   */
+  function assign(ids, headers, response) {
+    let request = { headers: headers || {}, socket };
+
+    ids.assign(request, response || new mocks.Response);
+    return request;
+  }
+
+  beforeEach(() => {
+    server = { config: { requestId: true } };
+    socket = Object.assign(new mocks.Socket, { uuid: 'uuid' });
+  });
+
+  it('should export a function', () => {
+    createRequestIds.should.be.a('function');
+  });
+
+  it('should return functions for assigning, running with, and retrieving IDs', () => {
+    createRequestIds(server).should.have.all.keys('assign', 'current', 'run');
+  });
+
+  describe('assign', () => {
+    it('should number requests on the same socket', () => {
+      let ids = createRequestIds(server);
+
+      assign(ids).id.should.equal('uuid-1');
+      assign(ids).id.should.equal('uuid-2');
+      socket = Object.assign(new mocks.Socket, { uuid: 'other' });
+      assign(ids).id.should.equal('other-1');
+    });
+
+    it('should number requests on the same HTTP/2 session', () => {
+      let ids = createRequestIds(server);
+      let session = new mocks.Session(socket);
+      let request = { headers: {}, socket, stream: { session } };
+
+      session.uuid = 'session';
+      ids.assign(request, new mocks.Response);
+      request.id.should.equal('session-1');
+    });
+
+    it('should generate a UUID for sockets without one', () => {
+      delete socket.uuid;
+      assign(createRequestIds(server)).id.should.equal('generated-1');
+    });
+
+    it('should echo the ID in the `X-Request-Id` header', () => {
+      let response = new mocks.Response;
+
+      sinon.spy(response, 'setHeader');
+      assign(createRequestIds(server), {}, response);
+      response.setHeader.should.have.been.calledWith('X-Request-Id', 'uuid-1');
+    });
+
+    it('should use the header of `requestId` if specified', () => {
+      let response = new mocks.Response;
+
+      server.config.requestId = { header: 'X-Trace-Id', trust: true };
+      sinon.spy(response, 'setHeader');
+      assign(createRequestIds(server), { 'x-trace-id': 'trace' }, response).id.should.equal('trace');
+      response.setHeader.should.have.been.calledWith('X-Trace-Id', 'trace');
+    });
+
+    it('should not reuse incoming IDs by default', () => {
+      assign(createRequestIds(server), { 'x-request-id': 'incoming' }).id.should.equal('uuid-1');
+    });
+
+    it('should reuse incoming IDs if `trust` is `true`', () => {
+      server.config.requestId = { trust: true };
+      assign(createRequestIds(server), { 'x-request-id': 'incoming' }).id.should.equal('incoming');
+    });
+
+    it('should reuse incoming IDs if `trust` returns `true` for the request', () => {
+      let trust = sinon.spy((request) => request.socket.remoteAddress === '10.0.0.1');
+      let ids;
+
+      server.config.requestId = { trust };
+      ids = createRequestIds(server);
+      assign(ids, { 'x-request-id': 'incoming' }).id.should.equal('uuid-1');
+      socket.remoteAddress = '10.0.0.1';
+      assign(ids, { 'x-request-id': 'incoming' }).id.should.equal('incoming');
+      trust.should.have.been.calledTwice;
+    });
+
+    it('should not reuse malformed incoming IDs', () => {
+      let ids;
+
+      server.config.requestId = { trust: true };
+      ids = createRequestIds(server);
+      assign(ids, { 'x-request-id': 'bad id\r\n' }).id.should.equal('uuid-1');
+      assign(ids, { 'x-request-id': 'a'.repeat(129) }).id.should.equal('uuid-2');
+      assign(ids, { 'x-request-id': [ 'one', 'two' ] }).id.should.equal('uuid-3');
+    });
+  });
+
+  describe('run', () => {
+    it('should return the return value of the function', () => {
+      createRequestIds(server).run({ id: 'uuid-1' }, () => 'value').should.equal('value');
+    });
+
+    it('should make the ID available across asynchronous calls', function(done) {
+      let ids = require('../../lib/ids.js')(server);
+
+      if (!require('async_hooks').AsyncLocalStorage) {
+        return this.skip();
+      }
+
+      ids.run({ id: 'uuid-1' }, () => {
+        setImmediate(() => {
+          ids.current().should.equal('uuid-1');
+          done();
+        });
+      });
+      should.not.exist(ids.current());
+    });
+  });
+
+  describe('current', () => {
+    it('should return `undefined` where `AsyncLocalStorage` is unavailable', () => {
+      let ids = createRequestIds(server);
+
+      ids.run({ id: 'uuid-1' }, () => {
+        should.not.exist(ids.current());
+      });
+    });
+  });
+});
@@ -6,6 +6,7 @@
 const chai           = require('chai');
 const chaiAsPromised = require('chai-as-promised');
 const chalk          = require('chalk');
+const EventEmitter   = require('events');
 const proxyquire     = require('proxyquire').noPreserveCache();
 const sinon          = require('sinon');
 const sinonChai      = require('sinon-chai');
@@ -20,8 +21,19 @@ const mocks = require('./mocks.js');
 
 
 const stubs = {
+  fs: {
+    chmod: (path, mode, cb) => cb(null)
+  },
   http: {
-    createServer: (cb) => {
+    createServer: (options, cb) => {
+      return new mocks.Server(cb || options);
+    }
+  },
+  http2: {
+    createServer: (options, cb) => {
+      return new mocks.Server(cb || options);
+    },
+    createSecureServer: (options, cb) => {
       return new mocks.Server(cb);
     }
   },
@@ -30,8 +42,70 @@ const stubs = {
       return new mocks.Server(cb);
     }
   },
+  tls: {
+    createSecureContext: () => {
+      return {};
+    }
+  },
   uuid: {
     v4: () => 'uuid'
+  },
+  './access.js': sinon.stub(),
+  './certificates.js': {
+    readCertificates: (files) => {
+      return { key: files.key, cert: files.cert };
+    },
+    watchCertificates: () => {
+      return () => {};
+    }
+  },
+  './cluster.js': {
+    createPrimary: sinon.stub().callsFake(() => {
+      return {
+        close:   sinon.stub().resolves({ drained: 2, destroyed: 0 }),
+        listen:  sinon.stub().resolves([ { address: '::', family: 'IPv6', port: 3000 } ]),
+        restart: sinon.stub().resolves()
+      };
+    }),
+    createWorker: sinon.stub().callsFake(() => {
+      return { failed: sinon.spy(), listening: sinon.spy() };
+    }),
+    isPrimary: sinon.stub().returns(true)
+  },
+  './health.js': sinon.stub().returns((request) => request.url === '/healthz'),
+  './ids.js': sinon.stub().callsFake(() => {
+    return {
+      assign:  sinon.spy((request) => {
+        request.id = 'uuid-1';
+      }),
+      current: () => 'uuid-1',
+      run:     sinon.spy((request, fn) => fn())
+    };
+  }),
+  './metrics.js': sinon.stub().callsFake(() => {
+    return {
+      answer:  (request) => request.url === '/metrics',
+      listen:  sinon.stub().resolves(null),
+      metrics: () => 'metrics'
+    };
+  }),
+  './reaper.js': sinon.stub().returns(() => {}),
+  './redirect.js': {
+    hstsHeader: () => 'max-age=31536000',
+    redirectHandler: (port) => {
+      return function redirect() {
+        return port;
+      };
+    }
+  },
+  './sni.js': {
+    createContexts: (hosts) => {
+      return new Map(Object.keys(hosts).map((hostname) => [ hostname, `context for ${hostname}` ]));
+    }
+  },
+  './unix.js': {
+    listenFds: () => [],
+    removeStaleSocket: () => Promise.resolve(false)
   }
 };
 
@@ -42,6 +116,23 @@ const createServer = proxyquire('../../lib/index.js', stubs);
 const config = {};
 
 
+/**
+ * Closes a server once the clients of its sockets that have yet to make a
+ * request hang up, as these keep it draining until `shutdownTimeout`.
+ * @param  {ServerObject} server
+ * @return {Promise.<ShutdownSummary>}
+ */
+function hangUp(server) {
+  server.sockets.forEach((socket) => {
+    if (!socket.served) {
+      socket.emit('close');
+    }
+  });
+
+  return server.close();
+}
+
+
 describe('Unit tests: createServer', () => {
   it('should export a function', () => {
     createServer.should.be.a('function');
@@ -54,17 +145,43 @@ describe('Unit tests: createServer', () => {
   });
 
   it('should provide default values for `config`', () => {
-    createServer(() => {}, config).config.should.have.all.keys('logger', 'port', 'Promise', 'ssl');
+    createServer(() => {}, config).config.should.have.all.keys('accessLog', 'clientAuth', 'cluster', 'compression', 'fd', 'headersTimeout', 'health', 'hsts', 'http2', 'idleTimeout', 'keepAliveTimeout', 'listen', 'listenRetries', 'listenRetryDelay', 'logger', 'maxBodySize', 'maxConnections', 'maxConnectionsPerIp', 'maxHeadersCount', 'maxHeaderSize', 'maxUrlLength', 'metrics', 'onUpgrade', 'path', 'port', 'portFallback', 'Promise', 'proxyProtocol', 'rateLimit', 'redirectHttp', 'requestId', 'requestTimeout', 'retryAfter', 'shutdownTimeout', 'signals', 'socketActivation', 'socketMode', 'ssl', 'sslFiles', 'sslWatchInterval', 'trustProxy', 'upgradeGracePeriod');
   });
 
   it('should create HTTP server via `http#createServer`', () => {
     sinon.spy(stubs.http, 'createServer');
     createServer(() => {}, config);
     stubs.http.createServer.should.have.been.calledOnce;
+    stubs.http.createServer.should.have.been.calledWithExactly(sinon.match.func);
     stubs.http.createServer.restore();
   });
 
 
+  it('should apply `headersTimeout`, `keepAliveTimeout`, and `requestTimeout` to the underlying server', () => {
+    let server = createServer(() => {}, { headersTimeout: 1000, keepAliveTimeout: 2000, requestTimeout: 3000 });
+
+    server.instance.headersTimeout.should.equal(1000);
+    server.instance.keepAliveTimeout.should.equal(2000);
+    server.instance.requestTimeout.should.equal(3000);
+  });
+
+  it('should leave Node.js\'s default timeouts in place if unspecified', () => {
+    createServer(() => {}, config).instance.should.not.have.any.keys('headersTimeout', 'keepAliveTimeout', 'requestTimeout');
+  });
+
+  it('should apply `maxHeaderSize` and `maxHeadersCount` to the underlying servers', () => {
+    sinon.spy(stubs.http, 'createServer');
+    sinon.spy(stubs.http2, 'createServer');
+
+    let server = createServer(() => {}, { listen: [ { port: 3000 }, { port: 3001, http2: true } ], maxHeadersCount: 50, maxHeaderSize: 8192 });
+
+    stubs.http.createServer.should.have.been.calledWith({ maxHeaderSize: 8192 });
+    stubs.http2.createServer.should.have.been.calledWith({ settings: { maxHeaderListSize: 8192 } });
+    server.instances[0].maxHeadersCount.should.equal(51);
+    stubs.http.createServer.restore();
+    stubs.http2.createServer.restore();
+  });
+
   it('should create HTTPS server via `https#createServer`', () => {
     sinon.spy(stubs.https, 'createServer');
     createServer(() => {}, { ssl: {} });
@@ -72,12 +189,148 @@ describe('Unit tests: createServer', () => {
     stubs.https.createServer.restore();
   });
 
+  it('should create HTTPS server with `SNICallback` if `ssl` maps hostnames', (done) => {
+    sinon.spy(stubs.https, 'createServer');
+    createServer(() => {}, { ssl: { 'example.com': {}, default: { key: 'key' } } });
+    stubs.https.createServer.should.have.been.calledOnce;
+
+    let options = stubs.https.createServer.firstCall.args[0];
+
+    stubs.https.createServer.restore();
+    options.key.should.equal('key');
+    options.SNICallback('www.example.com', (error, context) => {
+      should.not.exist(error);
+      context.should.equal('context for default');
+
+      options.SNICallback('example.com', (error, context) => {
+        context.should.equal('context for example.com');
+        done();
+      });
+    });
+  });
+
+  it('should create HTTP/2 server via `http2#createServer` if `http2` is set', () => {
+    sinon.spy(stubs.http2, 'createServer');
+    createServer(() => {}, { http2: true });
+    stubs.http2.createServer.should.have.been.calledOnce;
+    stubs.http2.createServer.restore();
+  });
+
+  it('should create HTTP/2 server via `http2#createSecureServer` allowing HTTP/1 if `http2` and `ssl` are set', () => {
+    sinon.spy(stubs.http2, 'createSecureServer');
+    createServer(() => {}, { http2: true, ssl: { key: 'key' } });
+    stubs.http2.createSecureServer.should.have.been.calledOnce;
+    stubs.http2.createSecureServer.should.have.been.calledWith({ allowHTTP1: true, key: 'key' });
+    stubs.http2.createSecureServer.restore();
+  });
+
+  it('should create a server for each binding in `listen`', () => {
+    sinon.spy(stubs.http, 'createServer');
+    sinon.spy(stubs.https, 'createServer');
+    createServer(() => {}, {
+      listen: [ { port: 3000 }, { host: '127.0.0.1', port: 3001 }, { port: 3443, ssl: true } ],
+      ssl:    { key: 'key' }
+    });
+    stubs.http.createServer.should.have.been.calledTwice;
+    stubs.https.createServer.should.have.been.calledOnce;
+    stubs.https.createServer.should.have.been.calledWith({ key: 'key' });
+    stubs.http.createServer.restore();
+    stubs.https.createServer.restore();
+  });
+
+  it('should create a server with a binding\'s own SSL options', () => {
+    sinon.spy(stubs.https, 'createServer');
+    createServer(() => {}, { listen: [ { port: 3443, ssl: { key: 'own key' } } ], ssl: { key: 'key' } });
+    stubs.https.createServer.should.have.been.calledWith({ key: 'own key' });
+    stubs.https.createServer.restore();
+  });
+
+  it('should create an HTTP/2 server for a binding that sets `http2`', () => {
+    sinon.spy(stubs.http, 'createServer');
+    sinon.spy(stubs.http2, 'createServer');
+    createServer(() => {}, { listen: [ { port: 3000 }, { port: 3001, http2: true } ] });
+    stubs.http.createServer.should.have.been.calledOnce;
+    stubs.http2.createServer.should.have.been.calledOnce;
+    stubs.http.createServer.restore();
+    stubs.http2.createServer.restore();
+  });
+
+  it('should throw TypeError if a binding uses SSL without the `ssl` option', () => {
+    (() => {
+      createServer(() => {}, { listen: [ { port: 3443, ssl: true } ] });
+    }).should.throw(TypeError);
+  });
+
+  it('should create a plain HTTP server redirecting to HTTPS if `redirectHttp` is set', () => {
+    sinon.spy(stubs.http, 'createServer');
+    sinon.spy(stubs['./redirect.js'], 'redirectHandler');
+
+    let server = createServer(() => {}, { redirectHttp: true, ssl: {} });
+
+    stubs.http.createServer.should.have.been.calledOnce;
+    stubs['./redirect.js'].redirectHandler.should.have.been.calledWith(3000);
+    server.instances.should.have.lengthOf(2);
+    server.instance.should.equal(server.instances[0]);
+    stubs.http.createServer.restore();
+    stubs['./redirect.js'].redirectHandler.restore();
+  });
+
+  it('should redirect to the `httpsPort` of `redirectHttp` if specified', () => {
+    sinon.spy(stubs['./redirect.js'], 'redirectHandler');
+    createServer(() => {}, { redirectHttp: { port: 8080, httpsPort: 443 }, port: 8443, ssl: {} });
+    stubs['./redirect.js'].redirectHandler.should.have.been.calledWith(443);
+    stubs['./redirect.js'].redirectHandler.restore();
+  });
+
+  it('should ask clients of servers using SSL for certificates if `clientAuth` is set', () => {
+    sinon.spy(stubs.http, 'createServer');
+    sinon.spy(stubs.https, 'createServer');
+    createServer(() => {}, {
+      clientAuth: true,
+      listen:     [ { port: 3000 }, { port: 3443, ssl: true } ],
+      ssl:        { ca: 'ca', key: 'key' }
+    });
+    stubs.https.createServer.should.have.been.calledWith({ ca: 'ca', key: 'key', rejectUnauthorized: true, requestCert: true });
+    stubs.http.createServer.should.have.been.calledOnce;
+    stubs.http.createServer.restore();
+    stubs.https.createServer.restore();
+  });
+
+  it('should accept clients without certificates if `clientAuth` does not require them', () => {
+    sinon.spy(stubs.https, 'createServer');
+    createServer(() => {}, { clientAuth: { required: false }, ssl: { key: 'key' } });
+    stubs.https.createServer.should.have.been.calledWith({ key: 'key', rejectUnauthorized: false, requestCert: true });
+    stubs.https.createServer.restore();
+  });
+
+  it('should throw TypeError if `clientAuth` is set without SSL', () => {
+    (() => {
+      createServer(() => {}, { clientAuth: true });
+    }).should.throw(TypeError);
+  });
+
+  it('should throw TypeError if `redirectHttp` is set without `ssl`', () => {
+    (() => {
+      createServer(() => {}, { redirectHttp: true });
+    }).should.throw(TypeError);
+  });
+
+  it('should throw TypeError if `listen` is empty', () => {
+    (() => {
+      createServer(() => {}, { listen: [] });
+    }).should.throw(TypeError);
+  });
+
   it('should return an object', () => {
     createServer(() => {}, config).should.be.an('object');
   });
 
-  it('should return an object with properties `close`, `config`, `instance`, `listen`, `restart`, and `sockets`', () => {
-    createServer(() => {}, config).should.have.all.keys('close', 'config', 'instance', 'listen', 'restart', 'sockets');
+  it('should return an object with properties `address`, `close`, `config`, `connectionsPerIp`, `instance`, `instances`, `listen`, `metrics`, `reloadCertificates`, `requestId`, `restart`, `sessions`, `setHandler`, `sockets`, and `state`', () => {
+    createServer(() => {}, config).should.include.all.keys('address', 'close', 'config', 'connectionsPerIp', 'instance', 'instances', 'listen', 'metrics', 'reloadCertificates', 'requestId', 'restart', 'sessions', 'setHandler', 'sockets', 'state', 'upgrades');
+  });
+
+  it('should return an EventEmitter', () => {
+    createServer(() => {}, config).should.be.an.instanceof(EventEmitter);
   });
 
   it('should return an object with method `#close`', () => {
@@ -97,14 +350,47 @@ describe('Unit tests: createServer', () => {
     server.instance.constructor.name.should.equal('MockedServer');
   });
 
+  it('should return an object with Array property `instances`', () => {
+    let server = createServer(() => {}, { listen: [ { port: 3000 }, { port: 3001 } ] });
+
+    server.instances.should.be.an('array').with.lengthOf(2);
+    server.instance.should.equal(server.instances[0]);
+  });
+
   it('should return an object with method `#listen`', () => {
     createServer(() => {}, config).listen.should.be.a('function');
   });
 
+  it('should read `ssl` from `sslFiles` if specified', () => {
+    sinon.spy(stubs['./certificates.js'], 'readCertificates');
+    createServer(() => {}, { sslFiles: { key: 'key.pem', cert: 'cert.pem' } }).config.ssl.should.deep.equal({
+      key:  'key.pem',
+      cert: 'cert.pem'
+    });
+    stubs['./certificates.js'].readCertificates.should.have.been.calledOnce;
+    stubs['./certificates.js'].readCertificates.restore();
+  });
+
+  it('should return an object with method `#reloadCertificates`', () => {
+    createServer(() => {}, config).reloadCertificates.should.be.a('function');
+  });
+
   it('should return an object with method `#restart`', () => {
     createServer(() => {}, config).restart.should.be.a('function');
   });
 
+  it('should return an object with method `#setHandler`', () => {
+    createServer(() => {}, config).setHandler.should.be.a('function');
+  });
+
+  it('should return an object with Map property `connectionsPerIp`', () => {
+    createServer(() => {}, config).connectionsPerIp.constructor.name.should.equal('Map');
+  });
+
+  it('should return an object with Map property `sessions`', () => {
+    createServer(() => {}, config).sessions.constructor.name.should.equal('Map');
+  });
+
   it('should return an object with Map property `sockets`', () => {
     createServer(() => {}, config).sockets.constructor.name.should.equal('Map');
   });
@@ -125,11 +411,177 @@ describe('Unit tests: createServer', () => {
       server.close().should.be.fulfilled.notify(done);
     });
 
+    it('should resolve to a shutdown summary', (done) => {
+      server.listen().then(() => {
+        return server.close();
+      }).should.eventually.deep.equal({ drained: 0, destroyed: 0 }).notify(done);
+    });
+
+    it('should set `state` to `closing`, then `closed`', (done) => {
+      let states = [];
+
+      server.on('closing', () => states.push(server.state));
+      server.on('closed', () => states.push(server.state));
+
+      server.listen().then(() => {
+        return server.close();
+      }).then(() => {
+        states.should.deep.equal([ 'closing', 'closed' ]);
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should close every server in `instances`', (done) => {
+      server = createServer(() => {}, { listen: [ { port: 3000 }, { port: 3001 } ] });
+
+      server.listen().then(() => {
+        server.instances.forEach((instance) => sinon.spy(instance, 'close'));
+        return server.close();
+      }).then(() => {
+        server.instances.forEach((instance) => {
+          instance.close.should.have.been.calledOnce;
+          instance.listening.should.be.false;
+        });
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should wait for active sockets to close before resolving', (done) => {
+      let socket = new mocks.Socket;
+      let resolved = false;
+
+      server.listen().then(() => {
+        server.instance.emit('connection', socket);
+        socket.idle = false;
+        sinon.spy(socket, 'destroy');
+
+        let closing = server.close().then((summary) => {
+          resolved = true;
+          return summary;
+        });
+
+        return Promise.resolve().then(() => {
+          resolved.should.be.false;
+          socket.destroy.should.not.have.been.called;
+          socket.emit('close');
+          return closing;
+        });
+      }).then((summary) => {
+        summary.should.deep.equal({ drained: 1, destroyed: 0 });
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should return the pending shutdown summary to calls made while closing', (done) => {
+      let socket = new mocks.Socket;
+
+      server.listen().then(() => {
+        server.instance.emit('connection', socket);
+        socket.idle = false;
+
+        let first = server.close();
+        let second = server.close();
+
+        second.should.equal(first);
+        server.state.should.equal('closing');
+        socket.emit('close');
+        return second;
+      }).then((summary) => {
+        summary.should.deep.equal({ drained: 1, destroyed: 0 });
+        return server.close();
+      }).should.eventually.deep.equal({ drained: 0, destroyed: 0 }).notify(done);
+    });
+
+    it('should close HTTP/2 sessions and wait for them before resolving', (done) => {
+      let session = new mocks.Session(new mocks.Socket);
+
+      server.listen().then(() => {
+        server.instance.emit('session', session);
+        sinon.stub(session, 'close').callsFake(() => {
+          setImmediate(() => session.emit('close'));
+        });
+        return server.close();
+      }).then((summary) => {
+        session.close.should.have.been.calledOnce;
+        server.sessions.size.should.equal(0);
+        summary.should.deep.equal({ drained: 1, destroyed: 0 });
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should destroy HTTP/2 sessions after `shutdownTimeout`', (done) => {
+      let session = new mocks.Session(new mocks.Socket);
+
+      server = createServer(() => {}, { shutdownTimeout: 10 });
+
+      server.listen().then(() => {
+        server.instance.emit('session', session);
+        sinon.spy(session, 'destroy');
+        return server.close();
+      }).then((summary) => {
+        session.destroy.should.have.been.calledOnce;
+        server.sessions.size.should.equal(0);
+        summary.should.deep.equal({ drained: 0, destroyed: 1 });
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should destroy active sockets after `shutdownTimeout`', (done) => {
+      let socket = new mocks.Socket;
+
+      server = createServer(() => {}, { shutdownTimeout: 10 });
+
+      server.listen().then(() => {
+        server.instance.emit('connection', socket);
+        socket.idle = false;
+        sinon.spy(socket, 'destroy');
+        return server.close();
+      }).then((summary) => {
+        socket.destroy.should.have.been.calledOnce;
+        server.sockets.size.should.equal(0);
+        summary.should.deep.equal({ drained: 0, destroyed: 1 });
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should send `Connection: close` on responses in progress', (done) => {
+      let socket = new mocks.Socket;
+      let response = new mocks.Response;
+
+      sinon.spy(response, 'setHeader');
+
+      server.listen().then(() => {
+        server.instance.emit('connection', socket);
+        server.instance.emit('request', { headers: {}, socket }, response);
+
+        let closing = server.close();
+
+        response.setHeader.should.have.been.calledWith('Connection', 'close');
+        response.emit('finish');
+        socket.emit('close');
+        return closing;
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should not set headers on responses that already sent them', (done) => {
+      let socket = new mocks.Socket;
+      let response = new mocks.Response;
+
+      sinon.spy(response, 'setHeader');
+
+      server.listen().then(() => {
+        server.instance.emit('connection', socket);
+        server.instance.emit('request', { headers: {}, socket }, response);
+        response.headersSent = true;
+
+        let closing = server.close();
+
+        response.setHeader.should.not.have.been.called;
+        response.emit('finish');
+        socket.emit('close');
+        return closing;
+      }).should.be.fulfilled.notify(done);
+    });
+
     it('should destroy any leftover sockets', (done) => {
       let destroy = sinon.stub();
 
       server.listen().then(() => {
-        server.sockets.set('uuid', { destroy });
+        server.sockets.set('uuid', { destroy, served: true });
         sinon.spy(server.sockets, 'delete');
         return server.close();
       }).then(() => {
@@ -139,6 +591,25 @@ describe('Unit tests: createServer', () => {
       }).should.be.fulfilled.notify(done);
     });
 
+    it('should wait for sockets yet to serve a request instead of destroying them', (done) => {
+      let socket = new mocks.Socket;
+
+      sinon.spy(socket, 'destroy');
+
+      server.listen().then(() => {
+        let closing;
+
+        server.instance.emit('connection', socket);
+        closing = server.close();
+        socket.destroy.should.not.have.been.called;
+        setImmediate(() => socket.emit('close'));
+        return closing;
+      }).then((summary) => {
+        socket.destroy.should.not.have.been.called;
+        summary.should.deep.equal({ drained: 1, destroyed: 0 });
+      }).should.be.fulfilled.notify(done);
+    });
+
     it('should call the server `close` method', (done) => {
       sinon.spy(server, 'close');
 
@@ -158,7 +629,7 @@ describe('Unit tests: createServer', () => {
     });
 
     afterEach((done) => {
-      server.close().should.be.fulfilled.notify(done);
+      hangUp(server).should.be.fulfilled.notify(done);
     });
 
     it('should return a Promise', () => {
@@ -178,64 +649,432 @@ describe('Unit tests: createServer', () => {
 
       server.listen().then(() => {
         server.instance.listen.should.have.been.calledOnce;
+        server.instance.listen.should.have.been.calledWith({ host: undefined, port: 3000 });
       }).should.be.fulfilled.notify(done);
     });
 
-    describe('[server] on `request`', () => {
-      let socket, request, response;
+    it('should listen on port 80 for redirects by default', (done) => {
+      server = createServer(() => {}, { redirectHttp: true, ssl: {} });
+      server.instances.forEach((instance) => sinon.spy(instance, 'listen'));
 
-      beforeEach(() => {
-        socket = new mocks.Socket;
-        request = { headers: {}, socket };
-        response = new mocks.Response;
-      });
+      server.listen().then(() => {
+        server.instances[0].listen.should.have.been.calledWith({ host: undefined, port: 3000 });
+        server.instances[1].listen.should.have.been.calledWith({ host: undefined, port: 80 });
+      }).should.be.fulfilled.notify(done);
+    });
 
-      it('should add `server` object to the request', (done) => {
-        server.listen().then((server) => {
-          server.instance.emit('request', request, response);
-          request.server.should.deep.equal(server);
-        }).should.be.fulfilled.notify(done);
-      });
+    it('should set `state` to `listening`', (done) => {
+      server.state.should.equal('closed');
+      server.listen().then(() => {
+        server.state.should.equal('listening');
+      }).should.be.fulfilled.notify(done);
+    });
 
-      it('should set `idle` flag on incoming socket to `false`', (done) => {
-        server.listen().then(() => {
-          server.instance.emit('request', request, response);
-          socket.idle.should.equal(false);
-        }).should.be.fulfilled.notify(done);
-      });
+    it('should listen on the port and host of `redirectHttp` if specified', (done) => {
+      server = createServer(() => {}, { redirectHttp: { host: '127.0.0.1', port: 8080 }, ssl: {} });
+      sinon.spy(server.instances[1], 'listen');
 
-      describe('[response] on `close`', () => {
-        it('should set `idle` flag on closing socket to `true`', (done) => {
-          server.listen().then(() => {
-            server.instance.emit('request', request, response);
-            response.emit('close');
-            socket.idle.should.equal(true);
-          }).should.be.fulfilled.notify(done);
-        });
+      server.listen().then(() => {
+        server.instances[1].listen.should.have.been.calledWith({ host: '127.0.0.1', port: 8080 });
+      }).should.be.fulfilled.notify(done);
+    });
 
-        it('should destroy the socket if the server is shutting/shut down', (done) => {
-          server.listen().then(() => {
-            server.instance.emit('request', request, response);
-            return server.close();
-          }).then(() => {
-            sinon.spy(socket, 'destroy');
-            sinon.spy(server.sockets, 'delete');
-            response.emit('close');
-            socket.destroy.should.have.been.calledOnce;
-            socket.destroy.should.have.been.calledBefore(server.sockets.delete);
-            server.sockets.delete.should.have.been.calledOnce;
-          }).should.be.fulfilled.notify(done);
-        });
-      });
+    it('should listen on every binding in `listen`', (done) => {
+      server = createServer(() => {}, { listen: [ { port: 3000 }, { host: '127.0.0.1', port: 3001 } ] });
+      server.instances.forEach((instance) => sinon.spy(instance, 'listen'));
 
-      describe('[response] on `finish`', () => {
-        it('should set `idle` flag on closing socket to `true`', (done) => {
-          server.listen().then(() => {
-            server.instance.emit('request', request, response);
-            response.emit('finish');
-            socket.idle.should.equal(true);
-          }).should.be.fulfilled.notify(done);
-        });
+      server.listen().then(() => {
+        server.instances[0].listen.should.have.been.calledWith({ host: undefined, port: 3000 });
+        server.instances[1].listen.should.have.been.calledWith({ host: '127.0.0.1', port: 3001 });
+        server.instances.forEach((instance) => instance.listening.should.be.true);
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should listen on a Unix domain socket if `path` is set', (done) => {
+      sinon.spy(stubs['./unix.js'], 'removeStaleSocket');
+      sinon.spy(stubs.fs, 'chmod');
+      server = createServer(() => {}, { path: '/tmp/server.sock' });
+      sinon.spy(server.instance, 'listen');
+
+      server.listen().then(() => {
+        stubs['./unix.js'].removeStaleSocket.should.have.been.calledOnce;
+        stubs['./unix.js'].removeStaleSocket.should.have.been.calledWith('/tmp/server.sock');
+        stubs['./unix.js'].removeStaleSocket.should.have.been.calledBefore(server.instance.listen);
+        server.instance.listen.should.have.been.calledWith({ path: '/tmp/server.sock' });
+        stubs.fs.chmod.should.not.have.been.called;
+      }).finally(() => {
+        stubs['./unix.js'].removeStaleSocket.restore();
+        stubs.fs.chmod.restore();
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should set the file mode of the socket if `socketMode` is set', (done) => {
+      sinon.spy(stubs.fs, 'chmod');
+      server = createServer(() => {}, { path: '/tmp/server.sock', socketMode: 0o660 });
+
+      server.listen().then(() => {
+        stubs.fs.chmod.should.have.been.calledOnce;
+        stubs.fs.chmod.should.have.been.calledWith('/tmp/server.sock', 0o660);
+      }).finally(() => {
+        stubs.fs.chmod.restore();
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should reject if the file mode of the socket cannot be set', (done) => {
+      sinon.stub(stubs.fs, 'chmod').callsFake((path, mode, cb) => cb(new Error('EPERM')));
+      server = createServer(() => {}, { listen: [ { path: '/tmp/server.sock', mode: 0o600 } ] });
+
+      server.listen().finally(() => {
+        stubs.fs.chmod.restore();
+      }).should.be.rejectedWith('EPERM').notify(done);
+    });
+
+    it('should listen on a file descriptor if `fd` is set', (done) => {
+      server = createServer(() => {}, { fd: 3 });
+      sinon.spy(server.instance, 'listen');
+
+      server.listen().then(() => {
+        server.instance.listen.should.have.been.calledWith({ fd: 3 });
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should listen on file descriptors passed via socket activation if `socketActivation` is set', (done) => {
+      sinon.stub(stubs['./unix.js'], 'listenFds').returns([ 3, 4 ]);
+      server = createServer(() => {}, { socketActivation: true });
+      stubs['./unix.js'].listenFds.restore();
+      server.instances.forEach((instance) => sinon.spy(instance, 'listen'));
+
+      server.listen().then(() => {
+        server.instances.should.have.lengthOf(2);
+        server.instances[0].listen.should.have.been.calledWith({ fd: 3 });
+        server.instances[1].listen.should.have.been.calledWith({ fd: 4 });
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should fall back to `port` if `socketActivation` is set but no file descriptors were passed', (done) => {
+      server = createServer(() => {}, { socketActivation: true });
+      sinon.spy(server.instance, 'listen');
+
+      server.listen().then(() => {
+        server.instance.listen.should.have.been.calledWith({ host: undefined, port: 3000 });
+      }).should.be.fulfilled.notify(done);
+    });
+
+    describe('on bind errors', () => {
+      /**
+       * Makes the underlying server fail to listen with the specified error
+       * codes, in order, before listening as usual.
+       * @param  {MockedServer}   instance
+       * @param  {Array.<String>} codes
+       * @return {Function}       The stubbed `listen` method
+       */
+      function failWith(instance, codes) {
+        const listen = instance.listen;
+
+        return sinon.stub(instance, 'listen').callsFake(function(options) {
+          const code = codes.shift();
+
+          if (!code) {
+            return listen.call(this, options);
+          }
+
+          process.nextTick(() => {
+            this.emit('error', Object.assign(new Error(`listen ${code}`), { code }));
+          });
+        });
+      }
+
+      it('should reject with an error describing the address', (done) => {
+        failWith(server.instance, [ 'EADDRINUSE' ]);
+
+        server.listen().should.be.rejected.then((error) => {
+          error.message.should.equal('failed to listen on port 3000: listen EADDRINUSE');
+          error.code.should.equal('EADDRINUSE');
+          error.port.should.equal(3000);
+          error.cause.code.should.equal('EADDRINUSE');
+          server.instance.listening.should.be.false;
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should include the host in the error', (done) => {
+        server = createServer(() => {}, { listen: [ { host: '10.0.0.1', port: 80 } ] });
+        failWith(server.instance, [ 'EACCES' ]);
+
+        server.listen().should.be.rejectedWith('failed to listen on 10.0.0.1:80').notify(done);
+      });
+
+      it('should not emit `error` from the wrapper', (done) => {
+        let listener = sinon.spy();
+
+        server.on('error', listener);
+        failWith(server.instance, [ 'EADDRINUSE' ]);
+
+        server.listen().should.be.rejected.then(() => {
+          listener.should.not.have.been.called;
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should close the other servers it started', (done) => {
+        server = createServer(() => {}, { listen: [ { port: 3000 }, { port: 3001 } ] });
+        failWith(server.instances[1], [ 'EADDRINUSE' ]);
+
+        server.listen().should.be.rejected.then(() => {
+          server.instances.forEach((instance) => instance.listening.should.be.false);
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should retry with exponential backoff up to `listenRetries` times', (done) => {
+        let start = Date.now();
+        let listen;
+
+        server = createServer(() => {}, { listenRetries: 2, listenRetryDelay: 20 });
+        listen = failWith(server.instance, [ 'EADDRINUSE', 'EADDRINUSE' ]);
+
+        server.listen().then(() => {
+          listen.should.have.been.calledThrice;
+          (Date.now() - start).should.be.at.least(60);
+          server.instance.listening.should.be.true;
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should reject once `listenRetries` is exhausted', (done) => {
+        let listen;
+
+        server = createServer(() => {}, { listenRetries: 1, listenRetryDelay: 1 });
+        listen = failWith(server.instance, [ 'EADDRINUSE', 'EADDRINUSE' ]);
+
+        server.listen().should.be.rejectedWith('EADDRINUSE').then(() => {
+          listen.should.have.been.calledTwice;
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should not retry if permission is denied', (done) => {
+        let listen;
+
+        server = createServer(() => {}, { listenRetries: 2, listenRetryDelay: 1 });
+        listen = failWith(server.instance, [ 'EACCES', 'EACCES' ]);
+
+        server.listen().should.be.rejected.then(() => {
+          listen.should.have.been.calledOnce;
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should fall back to the next port if `portFallback` is `next`', (done) => {
+        let listen;
+
+        server = createServer(() => {}, { portFallback: 'next' });
+        listen = failWith(server.instance, [ 'EADDRINUSE', 'EADDRINUSE' ]);
+
+        server.listen().then(() => {
+          listen.should.have.been.calledThrice;
+          listen.thirdCall.should.have.been.calledWith({ host: undefined, port: 3002 });
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should fall back to an ephemeral port if `portFallback` is `ephemeral`', (done) => {
+        let listen;
+
+        server = createServer(() => {}, { portFallback: 'ephemeral' });
+        listen = failWith(server.instance, [ 'EACCES' ]);
+
+        server.listen().then(() => {
+          listen.should.have.been.calledTwice;
+          listen.secondCall.should.have.been.calledWith({ host: undefined, port: 0 });
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should not fall back for Unix domain sockets', (done) => {
+        let listen;
+
+        server = createServer(() => {}, { path: '/tmp/server.sock', portFallback: 'ephemeral' });
+        listen = failWith(server.instance, [ 'EADDRINUSE' ]);
+
+        server.listen().should.be.rejectedWith('failed to listen on /tmp/server.sock').then(() => {
+          listen.should.have.been.calledOnce;
+        }).should.be.fulfilled.notify(done);
+      });
+    });
+
+    it('should set `address` once listening, and reset it once closed', (done) => {
+      should.not.exist(server.address);
+
+      server.listen().then(() => {
+        server.address.should.deep.equal({ address: '::', family: 'IPv6', port: 3000 });
+        return server.close();
+      }).then(() => {
+        should.not.exist(server.address);
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should reap idle sockets if `idleTimeout` is set', (done) => {
+      let stopReaping = sinon.spy();
+
+      stubs['./reaper.js'].resetHistory();
+      stubs['./reaper.js'].returns(stopReaping);
+      server = createServer(() => {}, { idleTimeout: 1000 });
+
+      server.listen().then(() => {
+        stubs['./reaper.js'].should.have.been.calledOnce;
+        stubs['./reaper.js'].should.have.been.calledWith(server);
+        return server.close();
+      }).then(() => {
+        stopReaping.should.have.been.calledOnce;
+      }).finally(() => {
+        stubs['./reaper.js'].returns(() => {});
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should not reap idle sockets by default', (done) => {
+      stubs['./reaper.js'].resetHistory();
+
+      server.listen().then(() => {
+        stubs['./reaper.js'].should.not.have.been.called;
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should register signal handlers if `signals` is set', (done) => {
+      let count = process.listenerCount('SIGTERM');
+
+      server = createServer(() => {}, { signals: true });
+
+      server.listen().then(() => {
+        process.listenerCount('SIGTERM').should.equal(count + 1);
+        return server.close();
+      }).then(() => {
+        process.listenerCount('SIGTERM').should.equal(count);
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should watch `sslFiles` if specified', (done) => {
+      let unwatch = sinon.stub();
+
+      sinon.stub(stubs['./certificates.js'], 'watchCertificates').returns(unwatch);
+      server = createServer(() => {}, { sslFiles: { key: 'key.pem', cert: 'cert.pem' } });
+
+      server.listen().then(() => {
+        stubs['./certificates.js'].watchCertificates.should.have.been.calledOnce;
+        stubs['./certificates.js'].watchCertificates.restore();
+        return server.close();
+      }).then(() => {
+        unwatch.should.have.been.calledOnce;
+      }).should.be.fulfilled.notify(done);
+    });
+
+    describe('[server] on `request`', () => {
+      let socket, request, response;
+
+      beforeEach(() => {
+        socket = new mocks.Socket;
+        request = { headers: {}, socket };
+        response = new mocks.Response;
+      });
+
+      it('should add `server` object to the request', (done) => {
+        server.listen().then((server) => {
+          server.instance.emit('request', request, response);
+          request.server.should.deep.equal(server);
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should send `Connection: close` if the server has stopped listening', (done) => {
+        sinon.spy(response, 'setHeader');
+
+        server.listen().then(() => {
+          server.instance.listening = false;
+          server.instance.emit('request', request, response);
+          server.instance.listening = true;
+          response.setHeader.should.have.been.calledWith('Connection', 'close');
+          response.emit('finish');
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should set `idle` flag on incoming socket to `false`', (done) => {
+        server.listen().then(() => {
+          server.instance.emit('request', request, response);
+          socket.idle.should.equal(false);
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should add an HSTS header to responses over SSL if `hsts` is set', (done) => {
+        sinon.spy(response, 'setHeader');
+        server = createServer(() => {}, { hsts: true, ssl: {} });
+
+        server.listen().then(() => {
+          server.instance.emit('request', request, response);
+          response.setHeader.should.have.been.calledWith('Strict-Transport-Security', 'max-age=31536000');
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should not add an HSTS header to responses without SSL', (done) => {
+        sinon.spy(response, 'setHeader');
+        server = createServer(() => {}, { hsts: true });
+
+        server.listen().then(() => {
+          server.instance.emit('request', request, response);
+          response.setHeader.should.not.have.been.called;
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should not set `idle` flag for HTTP/2 requests', (done) => {
+        request.httpVersionMajor = 2;
+
+        server.listen().then(() => {
+          server.instance.emit('request', request, response);
+          request.server.should.equal(server);
+          should.not.exist(socket.idle);
+        }).should.be.fulfilled.notify(done);
+      });
+
+      describe('[response] on `close`', () => {
+        it('should set `idle` flag on closing socket to `true`', (done) => {
+          server.listen().then(() => {
+            server.instance.emit('request', request, response);
+            response.emit('close');
+            socket.idle.should.equal(true);
+          }).should.be.fulfilled.notify(done);
+        });
+
+        it('should record when the socket became idle', (done) => {
+          server.listen().then(() => {
+            let before = Date.now();
+
+            server.instance.emit('request', request, response);
+            response.emit('close');
+            socket.idleSince.should.be.within(before, Date.now());
+          }).should.be.fulfilled.notify(done);
+        });
+
+        it('should destroy the socket if the server is shutting/shut down', (done) => {
+          server.listen().then(() => {
+            server.instance.emit('request', request, response);
+            return server.close();
+          }).then(() => {
+            sinon.spy(socket, 'destroy');
+            sinon.spy(server.sockets, 'delete');
+            response.emit('close');
+            socket.destroy.should.have.been.calledOnce;
+            socket.destroy.should.have.been.calledBefore(server.sockets.delete);
+            server.sockets.delete.should.have.been.calledOnce;
+          }).should.be.fulfilled.notify(done);
+        });
+      });
+
+      describe('[response] on `finish`', () => {
+        it('should set `idle` flag on closing socket to `true`', (done) => {
+          server.listen().then(() => {
+            server.instance.emit('request', request, response);
+            response.emit('finish');
+            socket.idle.should.equal(true);
+          }).should.be.fulfilled.notify(done);
+        });
+
+        it('should flag the socket as having served a request', (done) => {
+          server.listen().then(() => {
+            server.instance.emit('request', request, response);
+            response.emit('finish');
+            socket.served.should.be.true;
+          }).should.be.fulfilled.notify(done);
+        });
 
         it('should destroy the socket if the server is shutting/shut down', (done) => {
           server.listen().then(() => {
@@ -288,6 +1127,17 @@ describe('Unit tests: createServer', () => {
         }).should.be.fulfilled.notify(done);
       });
 
+      it('should track sockets on `secureConnection` instead if `ssl` is set', (done) => {
+        server = createServer(() => {}, { ssl: {} });
+
+        server.listen().then(() => {
+          server.instance.emit('connection', socket);
+          server.sockets.size.should.equal(0);
+          server.instance.emit('secureConnection', socket);
+          server.sockets.size.should.equal(1);
+        }).should.be.fulfilled.notify(done);
+      });
+
       describe('[socket] once `close`', () => {
         it('should remove the socket from the internal `sockets` map', (done) => {
           server.listen().then(() => {
@@ -298,31 +1148,1449 @@ describe('Unit tests: createServer', () => {
         });
       });
     });
+
+    describe('[server] on `session`', () => {
+      let socket, session;
+
+      beforeEach(() => {
+        socket = new mocks.Socket;
+        session = new mocks.Session(socket);
+      });
+
+      it('should move the session\'s socket to the internal `sessions` map', (done) => {
+        server.listen().then(() => {
+          server.instance.emit('connection', socket);
+          server.sockets.size.should.equal(1);
+          server.instance.emit('session', session);
+          server.sockets.size.should.equal(0);
+          server.sessions.size.should.equal(1);
+          server.sessions.get(session.uuid).should.equal(session);
+          session.emit('close');
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should close the session if the server is shutting/shut down', (done) => {
+        server.listen().then(() => {
+          return server.close();
+        }).then(() => {
+          sinon.spy(session, 'close');
+          server.instance.emit('session', session);
+          session.close.should.have.been.calledOnce;
+        }).should.be.fulfilled.notify(done);
+      });
+
+      describe('[session] once `close`', () => {
+        it('should remove the session from the internal `sessions` map', (done) => {
+          server.listen().then(() => {
+            server.instance.emit('session', session);
+            session.emit('close');
+            server.sessions.size.should.equal(0);
+          }).should.be.fulfilled.notify(done);
+        });
+      });
+    });
   });
 
-  describe('#restart', () => {
+  describe('#reloadCertificates', () => {
     let server;
 
     beforeEach(() => {
-      server = createServer(() => {}, config);
+      server = createServer(() => {}, { ssl: { key: 'key', cert: 'cert', ca: 'ca' } });
     });
 
-    afterEach((done) => {
-      server.close().should.be.fulfilled.notify(done);
+    it('should return a Promise', () => {
+      server.reloadCertificates({}).should.be.a('Promise');
     });
 
-    it('should return a Promise', () => {
-      server.restart().should.be.a('Promise');
+    it('should reject if the server is not using SSL', (done) => {
+      createServer(() => {}, config).reloadCertificates({}).should.be.rejectedWith(Error).notify(done);
     });
 
-    it('should call `server#close`, then `server#listen`', (done) => {
-      sinon.spy(server, 'close');
+    it('should replace the secure context of the underlying server', (done) => {
+      sinon.spy(server.instance, 'setSecureContext');
+
+      server.reloadCertificates({ key: 'new key', cert: 'new cert' }).then(() => {
+        server.instance.setSecureContext.should.have.been.calledOnce;
+        server.instance.setSecureContext.should.have.been.calledWith({ key: 'new key', cert: 'new cert', ca: 'ca' });
+        server.config.ssl.should.deep.equal({ key: 'new key', cert: 'new cert', ca: 'ca' });
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should only replace the secure context of servers using the `ssl` option', (done) => {
+      server = createServer(() => {}, {
+        listen: [ { port: 3000 }, { port: 3443, ssl: true }, { port: 3444, ssl: { key: 'own key' } } ],
+        ssl:    { key: 'key' }
+      });
+      server.instances.forEach((instance) => sinon.spy(instance, 'setSecureContext'));
+
+      server.reloadCertificates({ key: 'new key' }).then(() => {
+        server.instances[0].setSecureContext.should.not.have.been.called;
+        server.instances[1].setSecureContext.should.have.been.calledWith({ key: 'new key' });
+        server.instances[2].setSecureContext.should.not.have.been.called;
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should reject and keep the previous certificates if the new ones are invalid', (done) => {
+      sinon.stub(stubs.tls, 'createSecureContext').throws(new Error('bad PEM'));
+      sinon.spy(server.instance, 'setSecureContext');
+
+      server.reloadCertificates({ key: 'bad key' }).should.be.rejectedWith('bad PEM').then(() => {
+        stubs.tls.createSecureContext.restore();
+        server.instance.setSecureContext.should.not.have.been.called;
+        server.config.ssl.key.should.equal('key');
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should merge hostnames into the `ssl` option if it maps hostnames', (done) => {
+      server = createServer(() => {}, {
+        ssl: { 'example.com': { key: 'a' }, 'example.org': { key: 'b' }, default: { key: 'c' } }
+      });
+      sinon.spy(server.instance, 'setSecureContext');
+
+      server.reloadCertificates({ 'example.com': { key: 'd' }, 'example.org': null }).then(() => {
+        server.config.ssl.should.deep.equal({ 'example.com': { key: 'd' }, default: { key: 'c' } });
+        server.instance.setSecureContext.should.have.been.calledWith({ key: 'c' });
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should call `server#restart` if `setSecureContext` is unavailable', (done) => {
+      server.instance.setSecureContext = undefined;
+      sinon.spy(server, 'restart');
+
+      server.reloadCertificates({ key: 'new key' }).then(() => {
+        server.restart.should.have.been.calledOnce;
+        return server.close();
+      }).should.be.fulfilled.notify(done);
+    });
+  });
+
+  describe('#restart', () => {
+    let server;
+
+    /**
+     * Connects a socket to the current underlying server under a distinct
+     * key, since the stubbed `uuid#v4` always returns the same value.
+     * @param {MockedSocket} socket
+     * @param {String}       key
+     * @param {Boolean}      idle
+     */
+    function connect(socket, key, idle) {
+      server.instance.emit('connection', socket);
+      server.sockets.delete(socket.uuid);
+      server.sockets.set(key, Object.assign(socket, { idle, served: true, uuid: key }));
+    }
+
+    beforeEach(() => {
+      server = createServer(() => {}, config);
+    });
+
+    afterEach((done) => {
+      hangUp(server).should.be.fulfilled.notify(done);
+    });
+
+    it('should return a Promise', () => {
+      server.restart().should.be.a('Promise');
+    });
+
+    it('should call `server#listen` if not listening', (done) => {
       sinon.spy(server, 'listen');
 
       server.restart().then(() => {
-        server.close.should.have.been.calledOnce;
-        server.close.should.have.been.calledBefore(server.listen);
         server.listen.should.have.been.calledOnce;
+        server.instance.listening.should.be.true;
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should not call `server#close`', (done) => {
+      server.listen().then(() => {
+        sinon.spy(server, 'close');
+        return server.restart();
+      }).then(() => {
+        server.close.should.not.have.been.called;
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should replace `instance` with a new server listening on the old one\'s handle', (done) => {
+      let previous;
+
+      server.listen().then(() => {
+        previous = server.instance;
+        sinon.spy(stubs.http, 'createServer');
+        return server.restart();
+      }).then(() => {
+        stubs.http.createServer.should.have.been.calledOnce;
+        stubs.http.createServer.restore();
+        server.instance.should.not.equal(previous);
+        server.instance.listening.should.be.true;
+        previous.listening.should.be.false;
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should replace every server in `instances`', (done) => {
+      let previous;
+
+      server = createServer(() => {}, { listen: [ { port: 3000 }, { port: 3443, ssl: true } ], ssl: {} });
+
+      server.listen().then(() => {
+        previous = server.instances.slice();
+        return server.restart();
+      }).then(() => {
+        server.instances.should.have.lengthOf(2);
+        server.instances.forEach((instance, i) => {
+          instance.should.not.equal(previous[i]);
+          instance.listening.should.be.true;
+          previous[i].listening.should.be.false;
+        });
+        server.instance.should.equal(server.instances[0]);
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should carry over listeners added to the old server', (done) => {
+      let upgrade = () => {};
+
+      server.instance.on('upgrade', upgrade);
+
+      server.listen().then(() => {
+        return server.restart();
+      }).then(() => {
+        server.instance.listeners('upgrade').should.have.lengthOf(2).and.include(upgrade);
+        server.instance.listeners('connection').should.have.lengthOf(2);
+        server.instance.listeners('request').should.have.lengthOf(2);
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should keep servers whose listening handles cannot be handed over', (done) => {
+      let previous;
+
+      server.listen().then(() => {
+        previous = server.instance;
+        sinon.stub(previous, 'address').returns('/tmp/server.sock');
+        sinon.spy(previous, 'close');
+        return server.restart();
+      }).then(() => {
+        server.instance.should.equal(previous);
+        previous.close.should.not.have.been.called;
+        previous.listening.should.be.true;
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should only drain the sockets of the servers it replaces', (done) => {
+      let kept = new mocks.Socket;
+
+      server = createServer(() => {}, { listen: [ { port: 3000 }, { path: '/tmp/server.sock' } ] });
+
+      server.listen().then(() => {
+        sinon.stub(server.instances[1], 'address').returns('/tmp/server.sock');
+        server.instances[1].emit('connection', kept);
+        sinon.spy(kept, 'destroy');
+        return server.restart();
+      }).then(() => {
+        kept.destroy.should.not.have.been.called;
+        should.not.exist(kept.draining);
+        server.sockets.get('uuid').should.equal(kept);
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should drain the old server\'s sockets in the background', (done) => {
+      let idle = new mocks.Socket;
+      let active = new mocks.Socket;
+
+      server.listen().then(() => {
+        connect(idle, 'idle', true);
+        connect(active, 'active', false);
+        sinon.spy(idle, 'destroy');
+        sinon.spy(active, 'destroy');
+        return server.restart();
+      }).then(() => {
+        idle.destroy.should.have.been.calledOnce;
+        active.destroy.should.not.have.been.called;
+        active.draining.should.be.true;
+        server.sockets.size.should.equal(1);
+        active.emit('close');
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should include the old server\'s sockets in the summary of `server#close`', (done) => {
+      let active = new mocks.Socket;
+      let idle = new mocks.Socket;
+
+      server.listen().then(() => {
+        connect(active, 'active', false);
+        return server.restart();
+      }).then(() => {
+        server.instance.emit('connection', idle);
+        idle.served = true;
+        setImmediate(() => active.emit('close'));
+        return server.close();
+      }).then((summary) => {
+        summary.should.deep.equal({ drained: 2, destroyed: 0 });
+      }).should.be.fulfilled.notify(done);
+    });
+  });
+
+  describe('connection limits', () => {
+    let server;
+
+    /**
+     * Connects a socket from an IP address to the underlying server.
+     * @param  {String}       [ip]
+     * @return {MockedSocket}
+     */
+    function connect(ip) {
+      let socket = Object.assign(new mocks.Socket, { remoteAddress: ip });
+
+      sinon.spy(socket, 'destroy');
+      server.instance.emit('connection', socket);
+      return socket;
+    }
+
+    afterEach((done) => {
+      hangUp(server).should.be.fulfilled.notify(done);
+    });
+
+    it('should count open connections per IP address', (done) => {
+      server = createServer(() => {}, config);
+
+      server.listen().then(() => {
+        let first = connect('10.0.0.1');
+
+        connect('10.0.0.1');
+        connect('10.0.0.2');
+        connect();
+        server.connectionsPerIp.get('10.0.0.1').should.equal(2);
+        server.connectionsPerIp.get('10.0.0.2').should.equal(1);
+        server.connectionsPerIp.size.should.equal(2);
+
+        first.emit('close');
+        server.connectionsPerIp.get('10.0.0.1').should.equal(1);
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should remove IP addresses without open connections', (done) => {
+      server = createServer(() => {}, config);
+
+      server.listen().then(() => {
+        connect('10.0.0.1').emit('close');
+        server.connectionsPerIp.has('10.0.0.1').should.be.false;
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should refuse connections over `maxConnections`', (done) => {
+      let listener = sinon.spy();
+
+      server = createServer(() => {}, { maxConnections: 2 });
+      server.on('socketDestroyed', listener);
+
+      server.listen().then(() => {
+        let first = connect('10.0.0.1');
+
+        connect();
+
+        let refused = connect('10.0.0.2');
+
+        refused.destroy.should.have.been.calledOnce;
+        listener.should.have.been.calledWith(refused, 'limit');
+        server.sockets.size.should.equal(1);
+        server.connectionsPerIp.has('10.0.0.2').should.be.false;
+
+        first.emit('close');
+        connect('10.0.0.2').destroy.should.not.have.been.called;
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should refuse connections over `maxConnectionsPerIp`', (done) => {
+      server = createServer(() => {}, { maxConnectionsPerIp: 1 });
+
+      server.listen().then(() => {
+        connect('10.0.0.1').destroy.should.not.have.been.called;
+        connect('10.0.0.1').destroy.should.have.been.calledOnce;
+        connect('10.0.0.2').destroy.should.not.have.been.called;
+        connect().destroy.should.not.have.been.called;
+        connect().destroy.should.not.have.been.called;
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should answer requests over the limits with 503 if `retryAfter` is set', (done) => {
+      let cb = sinon.spy();
+      let response = new mocks.Response;
+
+      sinon.spy(response, 'setHeader');
+      sinon.spy(response, 'end');
+      server = createServer(cb, { maxConnectionsPerIp: 1, retryAfter: 30 });
+
+      server.listen().then(() => {
+        connect('10.0.0.1');
+
+        let limited = connect('10.0.0.1');
+
+        limited.destroy.should.not.have.been.called;
+        limited.limited.should.be.true;
+        server.connectionsPerIp.get('10.0.0.1').should.equal(1);
+
+        server.instance.emit('request', { headers: {}, httpVersionMajor: 1, socket: limited }, response);
+        cb.should.not.have.been.called;
+        response.statusCode.should.equal(503);
+        response.setHeader.should.have.been.calledWith('Retry-After', '30');
+        response.setHeader.should.have.been.calledWith('Connection', 'close');
+        response.end.should.have.been.calledOnce;
+        response.emit('finish');
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should count connections over SSL as soon as they are accepted', (done) => {
+      server = createServer(() => {}, { maxConnections: 1, maxConnectionsPerIp: 1, ssl: {} });
+
+      server.listen().then(() => {
+        let first = connect('10.0.0.1');
+
+        server.connectionsPerIp.get('10.0.0.1').should.equal(1);
+        connect('10.0.0.2').destroy.should.have.been.calledOnce;
+
+        server.instance.emit('secureConnection', Object.assign(new mocks.Socket, { remoteAddress: '10.0.0.1' }));
+        server.connectionsPerIp.get('10.0.0.1').should.equal(1);
+
+        first.emit('close');
+        connect('10.0.0.2').destroy.should.not.have.been.called;
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should flag the TLS sockets of connections over the limits if `retryAfter` is set', (done) => {
+      server = createServer(() => {}, { maxConnections: 0, retryAfter: 30, ssl: {} });
+
+      server.listen().then(() => {
+        let raw = Object.assign(new mocks.Socket, { remoteAddress: '10.0.0.1', remotePort: 40000 });
+        let secure = Object.assign(new mocks.Socket, { remoteAddress: '10.0.0.1', remotePort: 40000 });
+        let other = Object.assign(new mocks.Socket, { remoteAddress: '10.0.0.1', remotePort: 40001 });
+
+        server.instance.emit('connection', raw);
+        raw.limited.should.be.true;
+
+        server.instance.emit('secureConnection', other);
+        server.instance.emit('secureConnection', secure);
+        should.not.exist(other.limited);
+        secure.limited.should.be.true;
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should apply `maxConnectionsPerIp` to client addresses read from PROXY protocol headers', (done) => {
+      server = createServer(() => {}, { maxConnections: 2, maxConnectionsPerIp: 1, proxyProtocol: true });
+
+      server.listen().then(() => {
+        let header = Buffer.from('PROXY TCP4 192.0.2.1 10.0.0.2 51000 80\r\n');
+        let first = connect('10.0.0.1');
+        let second = connect('10.0.0.1');
+
+        connect('10.0.0.1').destroy.should.have.been.calledOnce;
+        first.emit('data', header);
+        first.destroy.should.not.have.been.called;
+        second.emit('data', header);
+        second.destroy.should.have.been.calledOnce;
+        server.connectionsPerIp.get('192.0.2.1').should.equal(1);
+        server.connectionsPerIp.has('10.0.0.1').should.be.false;
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should not send `Connection: close` over HTTP/2', (done) => {
+      let response = new mocks.Response;
+
+      sinon.spy(response, 'setHeader');
+      server = createServer(() => {}, { maxConnections: 0, retryAfter: 30 });
+
+      server.listen().then(() => {
+        server.instance.emit('request', { headers: {}, httpVersionMajor: 2, socket: connect('10.0.0.1') }, response);
+        response.statusCode.should.equal(503);
+        response.setHeader.should.not.have.been.calledWith('Connection');
+        response.emit('finish');
+      }).should.be.fulfilled.notify(done);
+    });
+  });
+
+  describe('upgrades', () => {
+    let server;
+
+    /**
+     * Connects a socket to the underlying server and upgrades it.
+     * @param  {Object}       [headers] The headers of the upgrade request
+     * @return {MockedSocket}
+     */
+    function upgrade(headers) {
+      let socket = new mocks.Socket;
+
+      sinon.spy(socket, 'destroy');
+      sinon.spy(socket, 'end');
+      sinon.spy(socket, 'write');
+      server.instance.emit('connection', socket);
+      server.instance.emit('upgrade', { headers: headers || { upgrade: 'websocket' } }, socket, Buffer.alloc(0));
+      return socket;
+    }
+
+    beforeEach(() => {
+      server = createServer(() => {}, { shutdownTimeout: 100, upgradeGracePeriod: 10 });
+    });
+
+    afterEach((done) => {
+      hangUp(server).should.be.fulfilled.notify(done);
+    });
+
+    it('should not listen for `upgrade` until another listener is added', (done) => {
+      server.listen().then(() => {
+        server.instance.listenerCount('upgrade').should.equal(0);
+        server.instance.on('upgrade', () => {});
+        server.instance.listenerCount('upgrade').should.equal(2);
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should move upgraded sockets from `sockets` to `upgrades` and emit `upgrade`', (done) => {
+      let listener = sinon.spy();
+
+      server.on('upgrade', listener);
+      server.instance.on('upgrade', () => {});
+
+      server.listen().then(() => {
+        let socket = upgrade();
+
+        server.sockets.has(socket.uuid).should.be.false;
+        server.upgrades.get(socket.uuid).should.equal(socket);
+        socket.idle.should.be.false;
+        listener.should.have.been.calledWith(sinon.match.object, socket);
+
+        socket.emit('close');
+        server.upgrades.size.should.equal(0);
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should refuse upgrades on connections over the limits with `503`', (done) => {
+      let handler = sinon.spy();
+
+      server.close();
+      server = createServer(() => {}, { maxConnections: 0, onUpgrade: handler, retryAfter: 5 });
+
+      server.listen().then(() => {
+        let socket = upgrade();
+
+        socket.end.should.have.been.calledWith('HTTP/1.1 503 Service Unavailable\r\nRetry-After: 5\r\nConnection: close\r\n\r\n');
+        server.upgrades.size.should.equal(0);
+        handler.should.not.have.been.called;
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should pass upgrades to `onUpgrade`', (done) => {
+      let handler = sinon.spy();
+
+      server.close();
+      server = createServer(() => {}, { onUpgrade: handler });
+
+      server.listen().then(() => {
+        let socket = upgrade();
+
+        handler.should.have.been.calledOnce;
+        handler.should.have.been.calledWith(sinon.match.object, socket);
+        server.upgrades.get(socket.uuid).should.equal(socket);
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should send WebSocket connections a `1001 Going Away` close frame on close', (done) => {
+      let socket;
+
+      server.instance.on('upgrade', () => {});
+
+      server.listen().then(() => {
+        socket = upgrade();
+        setImmediate(() => socket.emit('close'));
+        return server.close();
+      }).then((summary) => {
+        socket.write.should.have.been.calledOnce;
+        socket.write.args[0][0].slice(0, 4).should.deep.equal(Buffer.from([ 0x88, 22, 0x03, 0xe9 ]));
+        socket.write.args[0][0].slice(4).toString().should.equal('server shutting down');
+        socket.end.should.not.have.been.called;
+        summary.should.deep.equal({ drained: 1, destroyed: 0 });
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should end connections upgraded to other protocols on close', (done) => {
+      let socket;
+
+      server.instance.on('upgrade', () => {});
+
+      server.listen().then(() => {
+        socket = upgrade({ upgrade: 'h2c' });
+        setImmediate(() => socket.emit('close'));
+        return server.close();
+      }).then(() => {
+        socket.write.should.not.have.been.called;
+        socket.end.should.have.been.calledOnce;
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should destroy upgraded connections still open after `upgradeGracePeriod`', (done) => {
+      let listener = sinon.spy();
+      let socket;
+
+      server.on('socketDestroyed', listener);
+      server.instance.on('upgrade', () => {});
+
+      server.listen().then(() => {
+        socket = upgrade();
+        return server.close();
+      }).then((summary) => {
+        socket.destroy.should.have.been.calledOnce;
+        listener.should.have.been.calledWith(socket, 'timeout');
+        server.upgrades.size.should.equal(0);
+        summary.should.deep.equal({ drained: 0, destroyed: 1 });
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should track upgrades on new servers and close those of old servers on restart', (done) => {
+      let previous, socket;
+
+      server.instance.on('upgrade', () => {});
+
+      server.listen().then(() => {
+        previous = server.instance;
+        socket = upgrade();
+        return server.restart();
+      }).then(() => {
+        server.instance.should.not.equal(previous);
+        server.instance.listenerCount('upgrade').should.equal(2);
+        socket.write.should.have.been.calledOnce;
+        socket.emit('close');
+        upgrade().should.equal(server.upgrades.values().next().value);
+      }).should.be.fulfilled.notify(done);
+    });
+  });
+
+  describe('health endpoints', () => {
+    let cb, server;
+
+    /**
+     * Emits a request for a path on the underlying server.
+     * @param {String} url
+     */
+    function get(url) {
+      let response = new mocks.Response;
+
+      server.instance.emit('request', { headers: {}, method: 'GET', socket: new mocks.Socket, url }, response);
+      response.emit('finish');
+    }
+
+    beforeEach(() => {
+      cb = sinon.spy();
+      stubs['./health.js'].resetHistory();
+    });
+
+    afterEach((done) => {
+      hangUp(server).should.be.fulfilled.notify(done);
+    });
+
+    it('should answer the paths of `health` without calling the callback', (done) => {
+      server = createServer(cb, { health: true });
+
+      server.listen().then(() => {
+        stubs['./health.js'].should.have.been.calledOnce;
+        stubs['./health.js'].should.have.been.calledWith(server);
+        get('/healthz');
+        cb.should.not.have.been.called;
+        get('/');
+        cb.should.have.been.calledOnce;
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should pass every request to the callback by default', (done) => {
+      server = createServer(cb, config);
+
+      server.listen().then(() => {
+        stubs['./health.js'].should.not.have.been.called;
+        get('/healthz');
+        cb.should.have.been.calledOnce;
+      }).should.be.fulfilled.notify(done);
+    });
+  });
+
+  describe('client authentication', () => {
+    let cb, server;
+
+    /**
+     * Emits a request on the underlying server from a TLS socket and
+     * finishes its response.
+     * @param  {?Object}                  certificate The peer certificate, if verified
+     * @return {Promise.<MockedResponse>}
+     */
+    function send(certificate) {
+      let response = new mocks.Response;
+      let socket = Object.assign(new mocks.Socket, {
+        authorized:         Boolean(certificate),
+        getPeerCertificate: () => certificate || {}
+      });
+
+      server.instance.emit('secureConnection', socket);
+      server.instance.emit('request', { headers: {}, method: 'GET', socket, url: '/' }, response);
+      response.emit('finish');
+      return Promise.resolve(response);
+    }
+
+    beforeEach(() => {
+      cb = sinon.spy();
+    });
+
+    afterEach((done) => {
+      hangUp(server).should.be.fulfilled.notify(done);
+    });
+
+    it('should set `client` to the identity of verified clients', (done) => {
+      server = createServer(cb, { clientAuth: true, ssl: {} });
+
+      server.listen().then(() => {
+        return send({ fingerprint256: 'AB:CD', subject: { CN: 'client' }, subjectaltname: 'DNS:client.example.com' });
+      }).then(() => {
+        cb.should.have.been.calledOnce;
+        cb.args[0][0].client.should.include({ fingerprint: 'AB:CD' });
+        cb.args[0][0].client.subject.should.deep.equal({ CN: 'client' });
+        cb.args[0][0].client.san.should.deep.equal([ 'DNS:client.example.com' ]);
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should answer `403` without calling the callback for clients without verified certificates', (done) => {
+      server = createServer(cb, { clientAuth: true, ssl: {} });
+
+      server.listen().then(() => {
+        return send(null);
+      }).then((response) => {
+        response.statusCode.should.equal(403);
+        cb.should.not.have.been.called;
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should answer `403` for clients the `allow` hook of `clientAuth` rejects', (done) => {
+      let allow = sinon.spy((client) => client !== null && client.subject.CN === 'trusted');
+
+      server = createServer(cb, { clientAuth: { allow, required: false }, ssl: {} });
+
+      server.listen().then(() => {
+        return send({ subject: { CN: 'untrusted' } });
+      }).then((response) => {
+        response.statusCode.should.equal(403);
+        return send(null);
+      }).then((response) => {
+        response.statusCode.should.equal(403);
+        return send({ subject: { CN: 'trusted' } });
+      }).then(() => {
+        allow.should.have.been.calledThrice;
+        should.not.exist(allow.args[1][0]);
+        cb.should.have.been.calledOnce;
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should refuse upgrades of clients the `allow` hook of `clientAuth` rejects', (done) => {
+      let onUpgrade = sinon.spy();
+
+      server = createServer(cb, { clientAuth: { allow: () => false }, onUpgrade, ssl: {} });
+
+      server.listen().then(() => {
+        let socket = Object.assign(new mocks.Socket, { authorized: false });
+
+        sinon.spy(socket, 'end');
+        server.instance.emit('secureConnection', socket);
+        server.instance.emit('upgrade', { headers: { upgrade: 'websocket' }, socket }, socket, Buffer.alloc(0));
+        socket.end.should.have.been.calledWith('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+        onUpgrade.should.not.have.been.called;
+      }).should.be.fulfilled.notify(done);
+    });
+  });
+
+  describe('request limits', () => {
+    let cb, server;
+
+    /**
+     * Emits a request on the underlying server, resolving to its response.
+     * @param  {Object}                   request
+     * @return {Promise.<MockedResponse>}
+     */
+    function send(request) {
+      let response = new mocks.Response;
+
+      sinon.spy(response, 'setHeader');
+      server.instance.emit('request', Object.assign({ headers: {}, httpVersionMajor: 1, method: 'GET', rawHeaders: [], socket: new mocks.Socket, url: '/' }, request), response);
+      response.emit('finish');
+      return Promise.resolve(response);
+    }
+
+    beforeEach(() => {
+      cb = sinon.spy();
+    });
+
+    afterEach((done) => {
+      hangUp(server).should.be.fulfilled.notify(done);
+    });
+
+    it('should not limit requests by default', (done) => {
+      server = createServer(cb, config);
+
+      server.listen().then(() => {
+        return send({ headers: { 'content-length': '1000000000' }, url: `/${'a'.repeat(100000)}` });
+      }).then(() => {
+        cb.should.have.been.calledOnce;
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should answer requests over the limits without calling the callback, closing their connections', (done) => {
+      server = createServer(cb, { maxBodySize: 10, maxHeadersCount: 1, maxUrlLength: 5 });
+
+      server.listen().then(() => {
+        return send({ url: '/abcdef' });
+      }).then((response) => {
+        response.statusCode.should.equal(414);
+        response.setHeader.should.have.been.calledWith('Connection', 'close');
+        return send({ rawHeaders: [ 'Host', 'example.com', 'Accept', '*/*' ] });
+      }).then((response) => {
+        response.statusCode.should.equal(431);
+        return send({ headers: { 'content-length': '11' }, method: 'POST' });
+      }).then((response) => {
+        response.statusCode.should.equal(413);
+        return send({ headers: { 'content-length': '10' }, method: 'POST', rawHeaders: [ 'Host', 'example.com' ], url: '/abc' });
+      }).then(() => {
+        cb.should.have.been.calledOnce;
+      }).should.be.fulfilled.notify(done);
+    });
+  });
+
+  describe('rate limiting', () => {
+    let cb, server;
+
+    /**
+     * Emits a request from an address on the underlying server, resolving to
+     * its response.
+     * @param  {String}                   url
+     * @return {Promise.<MockedResponse>}
+     */
+    function send(url) {
+      let response = new mocks.Response;
+      let socket = Object.assign(new mocks.Socket, { remoteAddress: '10.0.0.1' });
+
+      server.instance.emit('request', { headers: {}, method: 'GET', socket, url }, response);
+      response.emit('finish');
+      return Promise.resolve(response);
+    }
+
+    beforeEach(() => {
+      cb = sinon.spy();
+    });
+
+    afterEach((done) => {
+      hangUp(server).should.be.fulfilled.notify(done);
+    });
+
+    it('should answer requests over `rateLimit` with `429` without calling the callback', (done) => {
+      server = createServer(cb, { rateLimit: 2 });
+
+      server.listen().then(() => {
+        return send('/').then(() => send('/')).then(() => send('/'));
+      }).then((response) => {
+        response.statusCode.should.equal(429);
+        cb.should.have.been.calledTwice;
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should not limit requests for health endpoints', (done) => {
+      server = createServer(cb, { health: true, rateLimit: 1 });
+
+      server.listen().then(() => {
+        return send('/healthz').then(() => send('/healthz')).then(() => send('/'));
+      }).then((response) => {
+        should.not.exist(response.statusCode);
+        cb.should.have.been.calledOnce;
+      }).should.be.fulfilled.notify(done);
+    });
+  });
+
+  describe('compression', () => {
+    let server;
+
+    afterEach((done) => {
+      hangUp(server).should.be.fulfilled.notify(done);
+    });
+
+    it('should wrap responses before calling the callback if `compression` is set', (done) => {
+      let response = new mocks.Response;
+      let end = response.end;
+      let cb = sinon.spy((req, res) => res.end.should.not.equal(end));
+
+      server = createServer(cb, { compression: true });
+
+      server.listen().then(() => {
+        server.instance.emit('request', { headers: {}, method: 'GET', socket: new mocks.Socket, url: '/' }, response);
+        response.emit('finish');
+        cb.should.have.been.calledOnce;
+        response.flush.should.be.a('function');
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should not wrap responses by default', (done) => {
+      let response = new mocks.Response;
+      let end = response.end;
+
+      server = createServer(() => {}, config);
+
+      server.listen().then(() => {
+        server.instance.emit('request', { headers: {}, method: 'GET', socket: new mocks.Socket, url: '/' }, response);
+        response.emit('finish');
+        response.end.should.equal(end);
+      }).should.be.fulfilled.notify(done);
+    });
+  });
+
+  describe('trusted proxies', () => {
+    let cb, server;
+
+    beforeEach(() => {
+      cb = sinon.spy();
+    });
+
+    afterEach((done) => {
+      hangUp(server).should.be.fulfilled.notify(done);
+    });
+
+    it('should not set the client address of requests by default', (done) => {
+      server = createServer(cb, config);
+
+      server.listen().then(() => {
+        let socket = Object.assign(new mocks.Socket, { remoteAddress: '10.0.0.1' });
+
+        server.instance.emit('request', { headers: { 'x-forwarded-for': '203.0.113.1' }, method: 'GET', socket, url: '/' }, new mocks.Response);
+        should.not.exist(cb.args[0][0].ip);
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should set `ip`, `protocol`, and `hostname` from the headers of trusted proxies before emitting `request`', (done) => {
+      let listener = sinon.spy((request) => request.ip.should.equal('203.0.113.1'));
+
+      server = createServer(cb, { trustProxy: '10.0.0.0/8' });
+      server.on('request', listener);
+
+      server.listen().then(() => {
+        let socket = Object.assign(new mocks.Socket, { remoteAddress: '10.0.0.1' });
+        let headers = { 'host': 'internal:3000', 'x-forwarded-for': '203.0.113.1', 'x-forwarded-host': 'example.com', 'x-forwarded-proto': 'https' };
+
+        server.instance.emit('request', { headers, method: 'GET', socket, url: '/' }, new mocks.Response);
+        listener.should.have.been.calledOnce;
+        cb.args[0][0].should.include({ hostname: 'example.com', ip: '203.0.113.1', protocol: 'https' });
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should throw a TypeError if `trustProxy` is invalid', () => {
+      server = createServer(cb, config);
+      (() => createServer(cb, { trustProxy: '10.0.0.0/40' })).should.throw(TypeError, 'invalid address range');
+    });
+
+    it('should track connections once their PROXY protocol header has been read if `proxyProtocol` is set', (done) => {
+      let listener = sinon.spy();
+
+      server = createServer(cb, { proxyProtocol: true });
+      server.on('connection', listener);
+
+      server.listen().then(() => {
+        let socket = Object.assign(new mocks.Socket, { remoteAddress: '10.0.0.1' });
+
+        server.instance.emit('connection', socket);
+        server.sockets.size.should.equal(0);
+        listener.should.not.have.been.called;
+
+        socket.emit('data', Buffer.from('PROXY TCP4 203.0.113.1 10.0.0.1 51000 3000\r\n'));
+        server.sockets.size.should.equal(1);
+        listener.should.have.been.calledWith(socket);
+        server.connectionsPerIp.get('203.0.113.1').should.equal(1);
+        server.connectionsPerIp.has('10.0.0.1').should.be.false;
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should give TLS sockets the client address read from the PROXY protocol header of their connection', (done) => {
+      server = createServer(cb, { proxyProtocol: true, ssl: {} });
+
+      server.listen().then(() => {
+        let raw = Object.assign(new mocks.Socket, { remoteAddress: '10.0.0.1', remotePort: 40000 });
+        let secure = Object.assign(new mocks.Socket, { remoteAddress: '10.0.0.1', remotePort: 40000 });
+
+        server.instance.emit('connection', raw);
+        raw.emit('data', Buffer.from('PROXY TCP4 203.0.113.1 10.0.0.1 51000 3000\r\n'));
+        server.instance.emit('secureConnection', secure);
+
+        secure.remoteAddress.should.equal('203.0.113.1');
+        secure.proxyAddress.should.equal('10.0.0.1');
+        server.connectionsPerIp.get('203.0.113.1').should.equal(1);
+      }).should.be.fulfilled.notify(done);
+    });
+  });
+
+  describe('access log', () => {
+    beforeEach(() => {
+      stubs['./access.js'].resetHistory();
+    });
+
+    it('should not log requests by default', () => {
+      createServer(() => {}, config);
+      stubs['./access.js'].should.not.have.been.called;
+    });
+
+    it('should log requests if `accessLog` is set', () => {
+      let server = createServer(() => {}, { accessLog: true });
+
+      stubs['./access.js'].should.have.been.calledOnce;
+      stubs['./access.js'].should.have.been.calledWith(server);
+    });
+  });
+
+  describe('request IDs', () => {
+    let cb, server;
+
+    beforeEach(() => {
+      cb = sinon.spy();
+      stubs['./ids.js'].resetHistory();
+    });
+
+    afterEach((done) => {
+      hangUp(server).should.be.fulfilled.notify(done);
+    });
+
+    it('should not assign request IDs by default', () => {
+      server = createServer(cb, config);
+      stubs['./ids.js'].should.not.have.been.called;
+      should.not.exist(server.requestId);
+    });
+
+    it('should assign an ID to each request before emitting `request`', (done) => {
+      let listener = sinon.spy((request) => request.id.should.equal('uuid-1'));
+      let request = { headers: {}, method: 'GET', socket: new mocks.Socket, url: '/' };
+      let response = new mocks.Response;
+      let ids;
+
+      server = createServer(cb, { requestId: true });
+      ids = stubs['./ids.js'].returnValues[0];
+      stubs['./ids.js'].should.have.been.calledWith(server);
+      server.requestId().should.equal('uuid-1');
+      server.on('request', listener);
+
+      server.listen().then(() => {
+        server.instance.emit('request', request, response);
+        response.emit('finish');
+        ids.assign.should.have.been.calledWith(request, response);
+        listener.should.have.been.calledOnce;
+        ids.run.should.have.been.calledWith(request);
+        cb.should.have.been.calledOnce;
+        cb.should.have.been.calledWith(request, response);
+      }).should.be.fulfilled.notify(done);
+    });
+  });
+
+  describe('metrics', () => {
+    let cb, server;
+
+    beforeEach(() => {
+      cb = sinon.spy();
+      stubs['./metrics.js'].resetHistory();
+    });
+
+    afterEach((done) => {
+      hangUp(server).should.be.fulfilled.notify(done);
+    });
+
+    it('should not collect metrics by default', () => {
+      server = createServer(cb, config);
+      stubs['./metrics.js'].should.not.have.been.called;
+      should.not.exist(server.metrics);
+    });
+
+    it('should collect metrics if `metrics` is set', () => {
+      server = createServer(cb, { metrics: true });
+      stubs['./metrics.js'].should.have.been.calledOnce;
+      stubs['./metrics.js'].should.have.been.calledWith(server);
+      server.metrics().should.equal('metrics');
+    });
+
+    it('should answer the path of `metrics` without calling the callback', (done) => {
+      let response = new mocks.Response;
+
+      server = createServer(cb, { metrics: true });
+
+      server.listen().then(() => {
+        server.instance.emit('request', { headers: {}, method: 'GET', socket: new mocks.Socket, url: '/metrics' }, response);
+        response.emit('finish');
+        cb.should.not.have.been.called;
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should start the standalone listener once, and stop it on close', (done) => {
+      let stop = sinon.spy();
+      let metrics;
+
+      server = createServer(cb, { metrics: { port: 9100 } });
+      metrics = stubs['./metrics.js'].returnValues[0];
+      metrics.listen.resolves(stop);
+
+      server.listen().then(() => {
+        return server.restart();
+      }).then(() => {
+        metrics.listen.should.have.been.calledOnce;
+        return server.close();
+      }).then(() => {
+        stop.should.have.been.calledOnce;
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should close the servers it started if the standalone listener fails', (done) => {
+      let error = new Error('failed to serve metrics on port 9100: listen EADDRINUSE');
+
+      server = createServer(cb, { metrics: { port: 9100 } });
+      stubs['./metrics.js'].returnValues[0].listen.rejects(error);
+
+      server.listen().should.be.rejectedWith(error).then(() => {
+        server.instance.listening.should.be.false;
+        server.state.should.equal('closed');
+      }).should.be.fulfilled.notify(done);
+    });
+  });
+
+  describe('cluster', () => {
+    const clustering = stubs['./cluster.js'];
+    let cb, server;
+
+    beforeEach(() => {
+      cb = sinon.spy();
+      clustering.createPrimary.resetHistory();
+      clustering.createWorker.resetHistory();
+    });
+
+    afterEach((done) => {
+      clustering.isPrimary.returns(true);
+      server.close().should.be.fulfilled.notify(done);
+    });
+
+    it('should not run a cluster by default', () => {
+      server = createServer(cb, config);
+      clustering.createPrimary.should.not.have.been.called;
+      clustering.createWorker.should.not.have.been.called;
+    });
+
+    describe('in the primary process', () => {
+      let primary;
+
+      beforeEach(() => {
+        server = createServer(cb, { cluster: { workers: 2 } });
+        primary = clustering.createPrimary.returnValues[0];
+      });
+
+      it('should create a primary if `cluster` is set', () => {
+        clustering.createPrimary.should.have.been.calledOnce;
+        clustering.createPrimary.should.have.been.calledWith(server);
+        clustering.createWorker.should.not.have.been.called;
+      });
+
+      it('should fork workers in place of listening', (done) => {
+        let listener = sinon.spy();
+
+        server.on('listening', listener);
+
+        server.listen().then(() => {
+          primary.listen.should.have.been.calledOnce;
+          server.instance.listening.should.be.false;
+          server.address.should.deep.equal({ address: '::', family: 'IPv6', port: 3000 });
+          server.state.should.equal('listening');
+          listener.should.have.been.calledWith([ { address: '::', family: 'IPv6', port: 3000 } ]);
+          return server.listen();
+        }).then(() => {
+          primary.listen.should.have.been.calledOnce;
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should close the workers, resolving to their shutdown summary', (done) => {
+        let listener = sinon.spy();
+
+        server.on('closed', listener);
+
+        server.listen().then(() => {
+          return server.close();
+        }).then((summary) => {
+          primary.close.should.have.been.calledOnce;
+          summary.should.deep.equal({ drained: 2, destroyed: 0 });
+          listener.should.have.been.calledWith({ drained: 2, destroyed: 0 });
+          server.state.should.equal('closed');
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should not close the workers if not listening', (done) => {
+        server.close().then(() => {
+          primary.close.should.not.have.been.called;
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should replace the workers on restart', (done) => {
+        server.listen().then(() => {
+          return server.restart();
+        }).then((result) => {
+          result.should.equal(server);
+          primary.restart.should.have.been.calledOnce;
+          primary.listen.should.have.been.calledOnce;
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should fork workers on restart if not listening', (done) => {
+        server.restart().then(() => {
+          primary.restart.should.not.have.been.called;
+          primary.listen.should.have.been.calledOnce;
+        }).should.be.fulfilled.notify(done);
+      });
+    });
+
+    describe('in a worker process', () => {
+      let worker;
+
+      beforeEach(() => {
+        clustering.isPrimary.returns(false);
+        server = createServer(cb, { cluster: true });
+        worker = clustering.createWorker.returnValues[0];
+      });
+
+      it('should create a worker if `cluster` is set', () => {
+        clustering.createPrimary.should.not.have.been.called;
+        clustering.createWorker.should.have.been.calledOnce;
+        clustering.createWorker.should.have.been.calledWith(server);
+      });
+
+      it('should listen and report the addresses listened on', (done) => {
+        server.listen().then(() => {
+          server.instance.listening.should.be.true;
+          worker.listening.should.have.been.calledWith([ server.instance.address() ]);
+        }).should.be.fulfilled.notify(done);
+      });
+
+      it('should report failing to listen', (done) => {
+        server.instance.listen = function() {
+          process.nextTick(() => this.emit('error', Object.assign(new Error('listen EACCES'), { code: 'EACCES' })));
+        };
+
+        server.listen().should.be.rejected.then((error) => {
+          error.code.should.equal('EACCES');
+          worker.failed.should.have.been.calledWith(error);
+          worker.listening.should.not.have.been.called;
+        }).should.be.fulfilled.notify(done);
+      });
+    });
+  });
+
+  describe('events', () => {
+    let server;
+
+    beforeEach(() => {
+      server = createServer(() => {}, config);
+    });
+
+    afterEach((done) => {
+      hangUp(server).should.be.fulfilled.notify(done);
+    });
+
+    it('should emit `listening` with the address of each server once listening', (done) => {
+      let listener = sinon.spy();
+
+      server.on('listening', listener);
+
+      server.listen().then(() => {
+        listener.should.have.been.calledOnce;
+        listener.should.have.been.calledWith([ { address: '::', family: 'IPv6', port: 3000 } ]);
+        return server.listen();
+      }).then(() => {
+        listener.should.have.been.calledOnce;
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should emit `closing` with the number of open sockets, sessions, and upgraded connections, then `closed` with the summary', (done) => {
+      let closing = sinon.spy();
+      let closed = sinon.spy();
+
+      server.on('closing', closing);
+      server.on('closed', closed);
+
+      server.listen().then(() => {
+        let socket = new mocks.Socket;
+
+        server.instance.emit('connection', socket);
+        socket.served = true;
+        return server.close();
+      }).then(() => {
+        closing.should.have.been.calledWith({ sessions: 0, sockets: 1, upgrades: 0 });
+        closed.should.have.been.calledWith({ drained: 1, destroyed: 0 });
+        closing.should.have.been.calledBefore(closed);
+        return server.close();
+      }).then(() => {
+        closing.should.have.been.calledOnce;
+        closed.should.have.been.calledOnce;
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should emit `restarting` with the servers being replaced', (done) => {
+      let listener = sinon.spy();
+      let previous;
+
+      server.on('restarting', listener);
+
+      server.listen().then(() => {
+        previous = server.instance;
+        return server.restart();
+      }).then(() => {
+        listener.should.have.been.calledOnce;
+        listener.should.have.been.calledWith([ previous ]);
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should emit `connection` with each tracked socket', (done) => {
+      let listener = sinon.spy();
+      let socket = new mocks.Socket;
+
+      server.on('connection', listener);
+
+      server.listen().then(() => {
+        server.instance.emit('connection', socket);
+        listener.should.have.been.calledWith(socket);
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should emit `request` before the callback function', (done) => {
+      let cb = sinon.spy();
+      let listener = sinon.spy();
+      let request = { headers: {}, socket: new mocks.Socket };
+      let response = new mocks.Response;
+
+      server = createServer(cb, config);
+      server.on('request', listener);
+
+      server.listen().then(() => {
+        server.instance.emit('request', request, response);
+        listener.should.have.been.calledWith(request, response);
+        listener.should.have.been.calledBefore(cb);
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should emit `socketDestroyed` for idle sockets destroyed while closing', (done) => {
+      let listener = sinon.spy();
+      let socket = new mocks.Socket;
+
+      server.on('socketDestroyed', listener);
+
+      server.listen().then(() => {
+        server.instance.emit('connection', socket);
+        socket.served = true;
+        return server.close();
+      }).then(() => {
+        listener.should.have.been.calledWith(socket, 'idle');
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should emit `drainTimeout` and `socketDestroyed` for sockets destroyed after `shutdownTimeout`', (done) => {
+      let timeout = sinon.spy();
+      let destroyed = sinon.spy();
+      let socket = new mocks.Socket;
+
+      server = createServer(() => {}, { shutdownTimeout: 10 });
+      server.on('drainTimeout', timeout);
+      server.on('socketDestroyed', destroyed);
+
+      server.listen().then(() => {
+        server.instance.emit('connection', socket);
+        socket.idle = false;
+        return server.close();
+      }).then(() => {
+        timeout.should.have.been.calledWith([ socket ]);
+        destroyed.should.have.been.calledWith(socket, 'timeout');
+        timeout.should.have.been.calledBefore(destroyed);
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should emit `error` for errors of the underlying servers', (done) => {
+      let listener = sinon.spy();
+      let error = new Error('EADDRINUSE');
+
+      server.on('error', listener);
+
+      server.listen().then(() => {
+        server.instance.emit('error', error);
+        listener.should.have.been.calledWith(error);
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should emit `tlsClientError` for failed TLS handshakes', (done) => {
+      let listener = sinon.spy();
+      let error = new Error('wrong version number');
+      let socket = new mocks.Socket;
+
+      server.on('tlsClientError', listener);
+
+      server.listen().then(() => {
+        server.instance.emit('tlsClientError', error, socket);
+        listener.should.have.been.calledWith(error, socket);
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should not emit `error` if only listeners of the underlying server would handle it', (done) => {
+      let listener = sinon.spy();
+
+      server.listen().then(() => {
+        server.instance.on('error', listener);
+        (() => {
+          server.instance.emit('error', new Error('EADDRINUSE'));
+        }).should.not.throw();
+        listener.should.have.been.calledOnce;
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should throw unhandled errors of the underlying servers', (done) => {
+      server.listen().then(() => {
+        (() => {
+          server.instance.emit('error', new Error('EADDRINUSE'));
+        }).should.throw('EADDRINUSE');
+      }).should.be.fulfilled.notify(done);
+    });
+  });
+
+  describe('#setHandler', () => {
+    let server, request, response;
+
+    beforeEach(() => {
+      server = createServer(sinon.stub(), config);
+      request = { headers: {}, socket: new mocks.Socket };
+      response = new mocks.Response;
+    });
+
+    it('should return a Promise', () => {
+      server.setHandler(() => {}).should.be.a('Promise');
+    });
+
+    it('should throw TypeError if first argument is not a function', () => {
+      (() => {
+        server.setHandler('string');
+      }).should.throw(TypeError);
+    });
+
+    it('should pass new requests to the new callback', (done) => {
+      let cb = sinon.stub();
+
+      server.listen().then(() => {
+        return server.setHandler(cb);
+      }).then(() => {
+        server.instance.emit('request', request, response);
+        cb.should.have.been.calledOnce;
+        cb.should.have.been.calledWith(request, response);
+        return server.close();
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should pass new requests to the new callback after `#restart`', (done) => {
+      let cb = sinon.stub();
+
+      server.listen().then(() => {
+        return server.restart();
+      }).then(() => {
+        return server.setHandler(cb);
+      }).then(() => {
+        server.instance.emit('request', request, response);
+        cb.should.have.been.calledOnce;
+        return server.close();
       }).should.be.fulfilled.notify(done);
     });
   });
@@ -0,0 +1,165 @@
+/**
+ * @file Unit tests for lib/limits.js
+ */
+
+
+const chai      = require('chai');
+const sinon     = require('sinon');
+const sinonChai = require('sinon-chai');
+const stream    = require('stream');
+
+
+chai.use(sinonChai);
+chai.should();
+
+
+const mocks         = require('./mocks.js');
+const requestLimits = require('../../lib/limits.js');
+
+
+describe('Unit tests: requestLimits', () => {
+  let limit, response, server;
+
+  /**
+   * Creates a readable request with the specified properties.
+   * @param  {Object}          [properties]
+   * @return {stream.Readable}
+   */
+  function createRequest(properties) {
+    return Object.assign(new stream.Readable({ read() {} }), {
+      headers:          {},
+      httpVersionMajor: 1,
+      rawHeaders:       [ 'Host', 'example.com' ],
+      url:              '/'
+    }, properties);
+  }
+
+  beforeEach(() => {
+    server = { config: { maxBodySize: 10, maxHeadersCount: 2, maxUrlLength: 10 } };
+    limit = requestLimits(server);
+    response = new mocks.Response;
+    sinon.spy(response, 'end');
+    sinon.spy(response, 'setHeader');
+  });
+
+  it('should let requests within the limits through', () => {
+    limit(createRequest({ headers: { 'content-length': '10' }, url: '/123456789' }), response).should.be.false;
+    response.end.should.not.have.been.called;
+  });
+
+  it('should answer requests with URLs over `maxUrlLength` with `414`', () => {
+    limit(createRequest({ url: '/1234567890' }), response).should.be.true;
+    response.statusCode.should.equal(414);
+    response.setHeader.should.have.been.calledWith('Connection', 'close');
+    response.end.should.have.been.calledOnce;
+  });
+
+  it('should answer requests with more headers than `maxHeadersCount` with `431`', () => {
+    limit(createRequest({ rawHeaders: [ 'Host', 'example.com', 'Accept', '*/*', 'Accept', 'text/html' ] }), response).should.be.true;
+    response.statusCode.should.equal(431);
+  });
+
+  it('should not count the pseudo-headers of HTTP/2 requests, nor close their connections', () => {
+    const rawHeaders = [ ':method', 'GET', ':path', '/', ':scheme', 'https', ':authority', 'example.com', 'accept', '*/*' ];
+
+    limit(createRequest({ httpVersionMajor: 2, rawHeaders }), response).should.be.false;
+    limit(createRequest({ httpVersionMajor: 2, rawHeaders: rawHeaders.concat('a', '1', 'b', '2') }), response).should.be.true;
+    response.statusCode.should.equal(431);
+    response.setHeader.should.not.have.been.called;
+  });
+
+  it('should answer requests declaring bodies over `maxBodySize` with `413`', () => {
+    limit(createRequest({ headers: { 'content-length': '11' } }), response).should.be.true;
+    response.statusCode.should.equal(413);
+  });
+
+  it('should pass bodies within `maxBodySize` on as they arrive', (done) => {
+    const request = createRequest();
+    const chunks = [];
+
+    limit(request, response).should.be.false;
+    request.on('data', (chunk) => chunks.push(chunk));
+    request.on('end', () => {
+      Buffer.concat(chunks).toString().should.equal('0123456789');
+      response.end.should.not.have.been.called;
+      done();
+    });
+
+    request.push(Buffer.from('01234'));
+    request.push(Buffer.from('56789'));
+    request.push(null);
+  });
+
+  it('should fail requests once their body grows past `maxBodySize`, dropping the rest but ending them', () => {
+    const request = createRequest({ socket: { end: sinon.spy() } });
+    const error = sinon.spy();
+
+    request.on('error', error);
+    limit(request, response);
+
+    request.push(Buffer.from('01234')).should.be.true;
+    request.push(Buffer.from('567890')).should.be.false;
+    request.push(Buffer.from('more')).should.be.false;
+    request.push(null);
+
+    error.should.have.been.calledOnce;
+    error.args[0][0].should.include({ message: 'request entity too large', status: 413, statusCode: 413 });
+    response.end.should.not.have.been.called;
+    response.setHeader.should.not.have.been.called;
+
+    request.socket.end.should.not.have.been.called;
+    response.emit('finish');
+    request.socket.end.should.have.been.calledOnce;
+
+    return new Promise((resolve) => request.on('end', resolve).resume());
+  });
+
+  it('should keep the connections of HTTP/2 requests whose body grows past `maxBodySize` open', () => {
+    const request = createRequest({ httpVersionMajor: 2, socket: { end: sinon.spy() } });
+
+    request.on('error', () => {});
+    limit(request, response);
+    request.push(Buffer.from('01234567890'));
+    response.emit('finish');
+
+    request.socket.end.should.not.have.been.called;
+  });
+
+  it('should answer requests whose body grows past `maxBodySize` with `413` if nothing handles their errors, never ending them', () => {
+    const request = createRequest();
+    const end = sinon.spy();
+
+    sinon.spy(request, 'destroy');
+    limit(request, response);
+    request.on('end', end).resume();
+
+    request.push(Buffer.from('01234567890')).should.be.false;
+    request.push(null);
+    request.destroy.should.not.have.been.called;
+    response.statusCode.should.equal(413);
+    response.setHeader.should.have.been.calledWith('Connection', 'close');
+    response.end.should.have.been.calledOnce;
+
+    return new Promise((resolve) => setImmediate(resolve)).then(() => {
+      end.should.not.have.been.called;
+    });
+  });
+
+  it('should destroy requests whose body grows past `maxBodySize` once a response was sent', () => {
+    const request = createRequest();
+
+    sinon.spy(request, 'destroy');
+    request.on('error', () => {});
+    limit(request, response);
+    response.headersSent = true;
+
+    request.push(Buffer.from('01234567890'));
+    request.destroy.should.have.been.calledOnce;
+    response.end.should.not.have.been.called;
+  });
+
+  it('should apply changes to the limits of the server', () => {
+    server.config.maxUrlLength = null;
+    limit(createRequest({ url: '/1234567890' }), response).should.be.false;
+  });
+});
@@ -0,0 +1,252 @@
+/**
+ * @file Unit tests for lib/metrics.js
+ */
+
+
+const chai           = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const EventEmitter   = require('events');
+const proxyquire     = require('proxyquire').noPreserveCache();
+const sinon          = require('sinon');
+const sinonChai      = require('sinon-chai');
+
+
+chai.use(sinonChai);
+chai.use(chaiAsPromised);
+const should = chai.should();
+
+
+const mocks = require('./mocks.js');
+
+
+const stubs = {
+  http: {
+    createServer: (cb) => {
+      return new mocks.Server(cb);
+    }
+  }
+};
+
+
+const createMetrics = proxyquire('../../lib/metrics.js', stubs);
+
+
+describe('Unit tests: createMetrics', () => {
+  let server;
+
+  /**
+   * Emits a request on the server and finishes its response.
+   * @param {String} method
+   * @param {Number} statusCode
+   */
+  function respond(method, statusCode) {
+    let response = Object.assign(new mocks.Response, { statusCode });
+
+    server.emit('request', { method }, response);
+    response.emit('finish');
+    response.emit('close');
+  }
+
+  /**
+   * Passes a request to a function answering requests for metrics, resolving
+   * to the response once it ends.
+   * @param  {Function} answer
+   * @param  {Object}   request
+   * @return {Object}
+   */
+  function get(answer, request) {
+    let response = new mocks.Response;
+
+    response.headers = {};
+    response.setHeader = (name, value) => {
+      response.headers[name] = value;
+    };
+    response.end = (body) => {
+      response.body = body;
+    };
+    response.answered = answer(Object.assign({ method: 'GET' }, request), response);
+    return response;
+  }
+
+  beforeEach(() => {
+    server = Object.assign(new EventEmitter, {
+      config:   { metrics: true, Promise },
+      sessions: new Map,
+      sockets:  new Map,
+      upgrades: new Map
+    });
+  });
+
+  it('should export a function', () => {
+    createMetrics.should.be.a('function');
+  });
+
+  it('should return functions for answering requests, listening, and rendering metrics', () => {
+    createMetrics(server, () => {}).should.have.all.keys('answer', 'listen', 'metrics');
+  });
+
+  describe('metrics', () => {
+    it('should count requests by method and status class', () => {
+      let metrics = createMetrics(server, () => {});
+
+      respond('GET', 200);
+      respond('GET', 204);
+      respond('POST', 503);
+      respond('BREW', 418);
+
+      metrics.metrics().should.include([
+        '# HELP nicer_server_requests_total Requests answered, by method and status class.',
+        '# TYPE nicer_server_requests_total counter',
+        'nicer_server_requests_total{method="GET",status="2xx"} 2',
+        'nicer_server_requests_total{method="POST",status="5xx"} 1',
+        'nicer_server_requests_total{method="OTHER",status="4xx"} 1'
+      ].join('\n'));
+    });
+
+    it('should record request durations in cumulative buckets', () => {
+      let metrics;
+
+      server.config.metrics = { buckets: [ 60, 0 ] };
+      metrics = createMetrics(server, () => {});
+      respond('GET', 200);
+
+      metrics.metrics().should.include([
+        '# TYPE nicer_server_request_duration_seconds histogram',
+        'nicer_server_request_duration_seconds_bucket{le="0"} 0',
+        'nicer_server_request_duration_seconds_bucket{le="60"} 1',
+        'nicer_server_request_duration_seconds_bucket{le="+Inf"} 1'
+      ].join('\n'));
+      metrics.metrics().should.include('nicer_server_request_duration_seconds_count 1');
+    });
+
+    it('should count active, idle, and upgraded connections', () => {
+      let metrics = createMetrics(server, () => {});
+
+      server.sockets.set('active', { idle: false });
+      server.sockets.set('idle', { idle: true });
+      server.sessions.set('session', {});
+      server.upgrades.set('upgraded', { idle: false });
+
+      metrics.metrics().should.include('nicer_server_connections_active 2\n');
+      metrics.metrics().should.include('nicer_server_connections_idle 1\n');
+      metrics.metrics().should.include('nicer_server_connections_upgraded 1\n');
+    });
+
+    it('should count connections, TLS handshake failures, restarts, and destroyed sockets', () => {
+      let metrics = createMetrics(server, () => {});
+
+      server.emit('connection', {});
+      server.emit('connection', {});
+      server.emit('tlsClientError', new Error('wrong version number'), {});
+      server.emit('restarting', []);
+      server.emit('socketDestroyed', {}, 'timeout');
+      server.emit('socketDestroyed', {}, 'timeout');
+      server.emit('socketDestroyed', {}, 'limit');
+
+      metrics.metrics().should.include('nicer_server_connections_total 2\n');
+      metrics.metrics().should.include('nicer_server_tls_handshake_failures_total 1\n');
+      metrics.metrics().should.include('nicer_server_restarts_total 1\n');
+      metrics.metrics().should.include('nicer_server_sockets_destroyed_total{reason="timeout"} 2\n');
+      metrics.metrics().should.include('nicer_server_sockets_destroyed_total{reason="limit"} 1\n');
+    });
+  });
+
+  describe('answer', () => {
+    it('should answer requests for `/metrics` with the Prometheus text format', () => {
+      let metrics = createMetrics(server, () => {});
+      let response = get(metrics.answer, { url: '/metrics?name[]=requests_total' });
+
+      response.answered.should.be.true;
+      response.statusCode.should.equal(200);
+      response.headers['Content-Type'].should.equal('text/plain; version=0.0.4; charset=utf-8');
+      response.body.should.equal(metrics.metrics());
+    });
+
+    it('should not send a body for `HEAD` requests', () => {
+      let response = get(createMetrics(server, () => {}).answer, { method: 'HEAD', url: '/metrics' });
+
+      response.answered.should.be.true;
+      should.not.exist(response.body);
+    });
+
+    it('should not answer other paths or methods', () => {
+      let metrics = createMetrics(server, () => {});
+
+      get(metrics.answer, { url: '/' }).answered.should.be.false;
+      get(metrics.answer, { method: 'POST', url: '/metrics' }).answered.should.be.false;
+    });
+
+    it('should answer the path of `metrics` if specified', () => {
+      server.config.metrics = { path: '/stats' };
+
+      get(createMetrics(server, () => {}).answer, { url: '/stats' }).answered.should.be.true;
+    });
+
+    it('should leave requests of the server to the callback if `metrics` specifies a `port`', () => {
+      server.config.metrics = { port: 9100 };
+
+      get(createMetrics(server, () => {}).answer, { url: '/metrics' }).answered.should.be.false;
+    });
+  });
+
+  describe('listen', () => {
+    beforeEach(() => {
+      sinon.spy(stubs.http, 'createServer');
+    });
+
+    afterEach(() => {
+      stubs.http.createServer.restore();
+    });
+
+    it('should resolve to `null` unless `metrics` specifies a `port`', (done) => {
+      createMetrics(server, () => {}).listen().then((stop) => {
+        should.not.exist(stop);
+        stubs.http.createServer.should.not.have.been.called;
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should serve metrics on the port and host of `metrics`', (done) => {
+      let target;
+
+      server.config.metrics = { host: '127.0.0.1', port: 9100 };
+
+      createMetrics(server, () => {}).listen().then((stop) => {
+        let answered = new mocks.Response;
+        let missing = new mocks.Response;
+
+        target = stubs.http.createServer.returnValues[0];
+        sinon.spy(answered, 'setHeader');
+        target.emit('request', { method: 'GET', url: '/metrics' }, answered);
+        target.emit('request', { method: 'GET', url: '/' }, missing);
+        answered.setHeader.should.have.been.calledWith('Content-Type');
+        missing.statusCode.should.equal(404);
+        stop.should.be.a('function');
+        return stop;
+      }).then((stop) => {
+        let socket = new mocks.Socket;
+
+        sinon.spy(socket, 'destroy');
+        target.emit('connection', socket);
+        stop();
+        target.listening.should.be.false;
+        socket.destroy.should.have.been.calledOnce;
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should reject with an error naming the port if it fails to listen', (done) => {
+      server.config.metrics = { port: 9100 };
+      stubs.http.createServer.restore();
+      sinon.stub(stubs.http, 'createServer').callsFake(() => {
+        let target = new mocks.Server;
+
+        target.listen = () => target.emit('error', Object.assign(new Error('listen EADDRINUSE'), { code: 'EADDRINUSE' }));
+        return target;
+      });
+
+      createMetrics(server, () => {}).listen().should.be.rejectedWith('failed to serve metrics on port 9100: listen EADDRINUSE').then((error) => {
+        error.code.should.equal('EADDRINUSE');
+        error.port.should.equal(9100);
+      }).should.be.fulfilled.notify(done);
+    });
+  });
+});
@@ -7,28 +7,57 @@ const EventEmitter = require('events');
 
 
 module.exports.Server = class MockedServer extends EventEmitter {
-  constructor() {
+  constructor(cb) {
     super();
     this.listening = false;
+
+    if (cb) {
+      this.on('request', cb);
+    }
   }
 
   listen(port, cb) {
     this.listening = true;
-    this.on('listening', cb);
+
+    if (cb) {
+      this.once('listening', cb);
+    }
+
     this.emit('listening');
   }
 
+  address() {
+    return (this.listening) ? { address: '::', family: 'IPv6', port: 3000 } : null;
+  }
+
   close(cb) {
     this.listening = false;
-    this.on('close', cb);
+
+    if (cb) {
+      this.once('close', cb);
+    }
+
     this.emit('close');
   }
+
+  setSecureContext() {}
 };
 
 
 module.exports.Response = class MockedResponse extends EventEmitter {
   end() {}
   setHeader() {}
+  write() {}
+};
+
+
+module.exports.Session = class MockedSession extends EventEmitter {
+  constructor(socket) {
+    super();
+    this.socket = socket;
+  }
+  close() {}
+  destroy() {}
 };
 
 
@@ -36,7 +65,34 @@ module.exports.Socket = class MockedSocket extends EventEmitter {
   constructor() {
     super();
     this._handle = {};
+    this.writable = true;
   }
   setTimeout() {}
-  destroy() {}
+  destroy() {
+    this.destroyed = true;
+  }
+  end() {
+    this.writable = false;
+  }
+  pause() {}
+  resume() {}
+  unshift() {}
+  write() {}
+};
+
+
+module.exports.Worker = class MockedWorker extends EventEmitter {
+  constructor(id) {
+    super();
+    this.dead = false;
+    this.id = id;
+  }
+  isDead() {
+    return this.dead;
+  }
+  kill(signal) {
+    this.dead = true;
+    this.emit('exit', null, signal || 'SIGTERM');
+  }
+  send() {}
 };
@@ -0,0 +1,117 @@
+/**
+ * @file Unit tests for lib/mtls.js
+ */
+
+
+const chai = require('chai');
+
+
+const should = chai.should();
+
+
+const mtls = require('../../lib/mtls.js');
+
+
+describe('Unit tests: mtls', () => {
+  /**
+   * Creates a mocked TLS socket presenting a certificate.
+   * @param  {Boolean} authorized  Whether the certificate was verified
+   * @param  {Object}  certificate The peer certificate
+   * @return {Object}
+   */
+  function tlsSocket(authorized, certificate) {
+    return { authorized, getPeerCertificate: () => certificate };
+  }
+
+  const certificate = {
+    fingerprint:    '11:22',
+    fingerprint256: 'AA:BB',
+    issuer:         { CN: 'Example CA' },
+    serialNumber:   '01',
+    subject:        { CN: 'client', O: 'Example' },
+    subjectaltname: 'DNS:client.example.com, URI:spiffe://example.com/client, IP Address:10.0.0.1',
+    valid_to:       'Jan  1 00:00:00 2030 GMT'
+  };
+
+  describe('tlsOptions', () => {
+    it('should ask for and require client certificates by default', () => {
+      mtls.tlsOptions(true).should.deep.equal({ requestCert: true, rejectUnauthorized: true });
+      mtls.tlsOptions({}).should.deep.equal({ requestCert: true, rejectUnauthorized: true });
+    });
+
+    it('should not require client certificates if `required` is `false`', () => {
+      mtls.tlsOptions({ required: false }).should.deep.equal({ requestCert: true, rejectUnauthorized: false });
+    });
+  });
+
+  describe('identify', () => {
+    it('should return the identity of clients with verified certificates', () => {
+      mtls.identify(tlsSocket(true, certificate)).should.deep.equal({
+        fingerprint:  'AA:BB',
+        issuer:       { CN: 'Example CA' },
+        san:          [ 'DNS:client.example.com', 'URI:spiffe://example.com/client', 'IP Address:10.0.0.1' ],
+        serialNumber: '01',
+        subject:      { CN: 'client', O: 'Example' },
+        validTo:      'Jan  1 00:00:00 2030 GMT'
+      });
+    });
+
+    it('should return `null` for unverified certificates, missing certificates, and plain sockets', () => {
+      should.not.exist(mtls.identify(tlsSocket(false, certificate)));
+      should.not.exist(mtls.identify(tlsSocket(true, {})));
+      should.not.exist(mtls.identify({}));
+    });
+  });
+
+  describe('clientAuthorizer', () => {
+    /**
+     * Creates an authorizer for a `clientAuth` option.
+     * @param  {Boolean|Object} clientAuth
+     * @return {Function}
+     */
+    function authorizer(clientAuth) {
+      return mtls.clientAuthorizer({ config: { clientAuth } });
+    }
+
+    it('should set `client` on requests and allow verified clients', () => {
+      let request = { socket: tlsSocket(true, certificate) };
+
+      authorizer(true)(request).should.be.true;
+      request.client.subject.CN.should.equal('client');
+    });
+
+    it('should reject clients without verified certificates unless not `required`', () => {
+      let request = { socket: tlsSocket(false, certificate) };
+
+      authorizer(true)(request).should.be.false;
+      should.not.exist(request.client);
+      authorizer({ required: false })(request).should.be.true;
+    });
+
+    it('should leave the decision to `allow` if specified', () => {
+      let authorize = authorizer({ allow: (client, request) => client.subject.CN === 'client' && request.url === '/' });
+
+      authorize({ socket: tlsSocket(true, certificate), url: '/' }).should.be.true;
+      authorize({ socket: tlsSocket(true, certificate), url: '/admin' }).should.be.false;
+    });
+
+    it('should only allow clients `allow` returns `true` for', () => {
+      authorizer({ allow: () => 'yes' })({ socket: tlsSocket(true, certificate) }).should.be.false;
+    });
+
+    it('should look identities up once for each socket or HTTP/2 session', () => {
+      let authorize = authorizer(true);
+      let socket = tlsSocket(true, certificate);
+      let calls = 0;
+
+      socket.getPeerCertificate = () => {
+        calls++;
+        return certificate;
+      };
+
+      authorize({ socket });
+      authorize({ stream: { session: { socket } } });
+      calls.should.equal(1);
+    });
+  });
+});
@@ -0,0 +1,344 @@
+/**
+ * @file Unit tests for lib/proxy.js
+ */
+
+
+const chai         = require('chai');
+const EventEmitter = require('events');
+const sinon        = require('sinon');
+const sinonChai    = require('sinon-chai');
+
+
+chai.use(sinonChai);
+const should = chai.should();
+
+
+const mocks = require('./mocks.js');
+const proxy = require('../../lib/proxy.js');
+
+
+describe('Unit tests: proxy', () => {
+  /**
+   * Creates a mocked request from an address with the specified headers.
+   * @param  {String}  remoteAddress
+   * @param  {Object}  headers
+   * @param  {Boolean} [encrypted]
+   * @return {Object}
+   */
+  function request(remoteAddress, headers, encrypted) {
+    return { headers: Object.assign({ host: 'example.com:3000' }, headers), socket: { encrypted, remoteAddress } };
+  }
+
+  /**
+   * Builds a version 2 PROXY protocol header.
+   * @param  {Number} command The command, `0` for LOCAL or `1` for PROXY
+   * @param  {Number} family  The address family and protocol, e.g., `0x11` for TCP over IPv4
+   * @param  {Buffer} body    The addresses and any type-length-value fields
+   * @return {Buffer}
+   */
+  function v2(command, family, body) {
+    const header = Buffer.from([ 0x0d, 0x0a, 0x0d, 0x0a, 0x00, 0x0d, 0x0a, 0x51, 0x55, 0x49, 0x54, 0x0a, 0x20 | command, family, 0, 0 ]);
+
+    header.writeUInt16BE(body.length, 14);
+    return Buffer.concat([ header, body ]);
+  }
+
+  describe('createTrust', () => {
+    it('should trust every address if `true`', () => {
+      const trust = proxy.createTrust(true);
+
+      trust('203.0.113.1').should.be.true;
+      trust('2001:db8::1').should.be.true;
+    });
+
+    it('should trust addresses within CIDR ranges', () => {
+      const trust = proxy.createTrust([ '10.0.0.0/8', '2001:db8::/32', '192.0.2.1' ]);
+
+      trust('10.1.2.3').should.be.true;
+      trust('::ffff:10.1.2.3').should.be.true;
+      trust('11.0.0.1').should.be.false;
+      trust('2001:db8:1::1').should.be.true;
+      trust('2001:db9::1').should.be.false;
+      trust('192.0.2.1').should.be.true;
+      trust('192.0.2.2').should.be.false;
+      trust('unknown').should.be.false;
+    });
+
+    it('should trust named ranges', () => {
+      const trust = proxy.createTrust('loopback');
+
+      trust('127.0.0.1').should.be.true;
+      trust('::1').should.be.true;
+      trust('10.0.0.1').should.be.false;
+      proxy.createTrust('private')('172.20.0.1').should.be.true;
+      proxy.createTrust('private')('fd00::1').should.be.true;
+      proxy.createTrust('private')('172.32.0.1').should.be.false;
+    });
+
+    it('should return functions as they are', () => {
+      const trust = () => true;
+
+      proxy.createTrust(trust).should.equal(trust);
+    });
+
+    it('should throw on invalid ranges', () => {
+      (() => proxy.createTrust('10.0.0.0/33')).should.throw(TypeError, 'invalid address range: 10.0.0.0/33');
+      (() => proxy.createTrust([ 'example.com' ])).should.throw(TypeError);
+    });
+  });
+
+  describe('forwarded', () => {
+    const trust = proxy.createTrust('private');
+
+    it('should use the address, protocol, and host of requests not made through trusted proxies', () => {
+      proxy.forwarded(request('203.0.113.1', { 'x-forwarded-for': '198.51.100.1', 'x-forwarded-proto': 'https' }), trust).should.deep.equal({
+        hostname: 'example.com',
+        ip:       '203.0.113.1',
+        protocol: 'http'
+      });
+
+      proxy.forwarded(request('203.0.113.1', {}, true), trust).protocol.should.equal('https');
+    });
+
+    it('should follow `X-Forwarded-For` back through trusted proxies', () => {
+      const result = proxy.forwarded(request('10.0.0.1', {
+        'x-forwarded-for':   '198.51.100.7, 203.0.113.1, 10.0.0.2',
+        'x-forwarded-host':  'example.org',
+        'x-forwarded-proto': 'http, HTTPS'
+      }), trust);
+
+      result.should.deep.equal({ hostname: 'example.org', ip: '203.0.113.1', protocol: 'https' });
+    });
+
+    it('should use the first address if every proxy is trusted', () => {
+      proxy.forwarded(request('10.0.0.1', { 'x-forwarded-for': '10.0.0.3, 10.0.0.2' }), trust).ip.should.equal('10.0.0.3');
+    });
+
+    it('should prefer the `Forwarded` header', () => {
+      const result = proxy.forwarded(request('10.0.0.1', {
+        'forwarded':       'for=192.0.2.60;proto=https;host="example.org:8443", for="[2001:db8::1]:4711";by=10.0.0.1;proto=http;host=internal',
+        'x-forwarded-for': '198.51.100.1'
+      }), proxy.createTrust([ 'private', '2001:db8::/32' ]));
+
+      result.should.deep.equal({ hostname: 'example.org', ip: '192.0.2.60', protocol: 'https' });
+    });
+
+    it('should stop at obfuscated identifiers', () => {
+      proxy.forwarded(request('10.0.0.1', { forwarded: 'for=unknown, for=10.0.0.2' }), trust).ip.should.equal('10.0.0.2');
+      proxy.forwarded(request('10.0.0.1', { forwarded: 'for=_hidden' }), trust).ip.should.equal('10.0.0.1');
+    });
+
+    it('should strip ports from addresses and hosts', () => {
+      proxy.forwarded(request('10.0.0.1', { 'x-forwarded-for': '203.0.113.1:51000' }), trust).ip.should.equal('203.0.113.1');
+      proxy.forwarded(request('10.0.0.1', { host: '[::1]:3000' }), trust).hostname.should.equal('[::1]');
+    });
+
+    it('should call trust functions with the number of proxies trusted so far', () => {
+      const check = sinon.spy((address, hop) => hop < 2);
+
+      proxy.forwarded(request('10.0.0.1', { 'x-forwarded-for': '192.0.2.1, 192.0.2.2, 192.0.2.3' }), check).ip.should.equal('192.0.2.2');
+      check.should.have.been.calledThrice;
+      check.should.have.been.calledWith('10.0.0.1', 0);
+      check.should.have.been.calledWith('192.0.2.3', 1);
+      check.should.have.been.calledWith('192.0.2.2', 2);
+    });
+
+    it('should use the `:authority` of HTTP/2 requests', () => {
+      const req = request('10.0.0.1', { ':authority': 'example.com:8443' });
+
+      delete req.headers.host;
+      proxy.forwarded(req, trust).hostname.should.equal('example.com');
+    });
+  });
+
+  describe('parseHeader', () => {
+    it('should parse version 1 headers', () => {
+      proxy.parseHeader(Buffer.from('PROXY TCP4 192.0.2.1 10.0.0.1 51000 443\r\nGET / HTTP/1.1\r\n')).should.deep.equal({
+        destination: { address: '10.0.0.1', family: 'IPv4', port: 443 },
+        length:      41,
+        source:      { address: '192.0.2.1', family: 'IPv4', port: 51000 }
+      });
+
+      proxy.parseHeader(Buffer.from('PROXY TCP6 2001:db8::1 ::1 51000 443\r\n')).source.should.deep.equal({
+        address: '2001:db8::1',
+        family:  'IPv6',
+        port:    51000
+      });
+    });
+
+    it('should parse version 1 headers of unknown connections', () => {
+      proxy.parseHeader(Buffer.from('PROXY UNKNOWN\r\n')).should.deep.equal({ length: 15, source: null, destination: null });
+    });
+
+    it('should parse version 2 headers', () => {
+      const ipv4 = Buffer.from([ 192, 0, 2, 1, 10, 0, 0, 1, 0xc7, 0x38, 0x01, 0xbb ]);
+      const ipv6 = Buffer.alloc(36);
+
+      proxy.parseHeader(v2(1, 0x11, ipv4)).should.deep.equal({
+        destination: { address: '10.0.0.1', family: 'IPv4', port: 443 },
+        length:      28,
+        source:      { address: '192.0.2.1', family: 'IPv4', port: 51000 }
+      });
+
+      ipv6.writeUInt16BE(0x2001, 0);
+      ipv6.writeUInt16BE(0x0db8, 2);
+      ipv6[15] = 1;
+      ipv6[31] = 1;
+      ipv6.writeUInt16BE(51000, 32);
+      ipv6.writeUInt16BE(443, 34);
+
+      const result = proxy.parseHeader(Buffer.concat([ v2(1, 0x21, Buffer.concat([ ipv6, Buffer.from([ 0x04, 0, 1, 0 ]) ])), Buffer.from('GET') ]));
+
+      result.length.should.equal(56);
+      result.source.should.deep.equal({ address: '2001:db8::1', family: 'IPv6', port: 51000 });
+      result.destination.address.should.equal('::1');
+    });
+
+    it('should parse version 2 headers of connections made by the proxy itself', () => {
+      proxy.parseHeader(v2(0, 0x00, Buffer.alloc(0))).should.deep.equal({ length: 16, source: null, destination: null });
+    });
+
+    it('should return `null` for incomplete headers', () => {
+      should.not.exist(proxy.parseHeader(Buffer.from('PROX')));
+      should.not.exist(proxy.parseHeader(Buffer.from('PROXY TCP4 192.0.2.1')));
+      should.not.exist(proxy.parseHeader(v2(1, 0x11, Buffer.alloc(12)).slice(0, 20)));
+    });
+
+    it('should throw on invalid headers', () => {
+      (() => proxy.parseHeader(Buffer.from('GET / HTTP/1.1\r\n'))).should.throw('missing PROXY protocol header');
+      (() => proxy.parseHeader(Buffer.from('PROXY TCP4 192.0.2.1 ::1 51000 443\r\n'))).should.throw('invalid PROXY protocol header');
+      (() => proxy.parseHeader(Buffer.from(`PROXY ${'A'.repeat(120)}`))).should.throw('PROXY protocol header too long');
+      (() => proxy.parseHeader(v2(1, 0x11, Buffer.alloc(4)))).should.throw('invalid PROXY protocol header');
+    });
+  });
+
+  describe('acceptProxyProtocol', () => {
+    let clock, listener, server, socket, target;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers();
+      listener = sinon.spy();
+      server = new EventEmitter;
+      socket = Object.assign(new mocks.Socket, { remoteAddress: '10.0.0.1', remoteFamily: 'IPv4', remotePort: 40000 });
+      target = new mocks.Server;
+
+      [ 'destroy', 'resume', 'unshift' ].forEach((method) => sinon.spy(socket, method));
+      target.on('connection', listener);
+      proxy.acceptProxyProtocol(server, target, { ssl: false }, () => {});
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it('should defer `connection` listeners until the header has been read', () => {
+      target.emit('connection', socket);
+      listener.should.not.have.been.called;
+
+      socket.emit('data', Buffer.from('PROXY TCP4 192.0.2.1 '));
+      socket.emit('data', Buffer.from('10.0.0.1 51000 443\r\nGET'));
+
+      listener.should.have.been.calledOnce.and.calledWith(socket);
+      socket.unshift.should.have.been.calledWith(Buffer.from('GET'));
+      socket.resume.should.have.been.calledAfter(listener);
+      socket.listenerCount('data').should.equal(0);
+      socket.listenerCount('end').should.equal(0);
+      socket.listenerCount('error').should.equal(0);
+    });
+
+    it('should set the remote address of sockets to that of the client', () => {
+      target.emit('connection', socket);
+      socket.emit('data', Buffer.from('PROXY TCP4 192.0.2.1 10.0.0.1 51000 443\r\n'));
+
+      socket.remoteAddress.should.equal('192.0.2.1');
+      socket.remotePort.should.equal(51000);
+      socket.remoteFamily.should.equal('IPv4');
+      socket.proxyAddress.should.equal('10.0.0.1');
+    });
+
+    it('should keep the remote address of connections made by the proxy itself', () => {
+      target.emit('connection', socket);
+      socket.emit('data', Buffer.from('PROXY UNKNOWN\r\n'));
+
+      listener.should.have.been.calledOnce;
+      socket.remoteAddress.should.equal('10.0.0.1');
+      should.not.exist(socket.proxyAddress);
+    });
+
+    it('should destroy sockets sending invalid headers', () => {
+      const destroyed = sinon.spy();
+
+      server.on('socketDestroyed', destroyed);
+      target.emit('connection', socket);
+      socket.emit('data', Buffer.from('GET / HTTP/1.1\r\n\r\n'));
+
+      listener.should.not.have.been.called;
+      socket.destroy.should.have.been.calledOnce;
+      destroyed.should.have.been.calledWith(socket, 'proxy');
+    });
+
+    it('should destroy sockets failing before sending a header', () => {
+      const destroyed = sinon.spy();
+
+      server.on('socketDestroyed', destroyed);
+      target.emit('connection', socket);
+      socket.emit('data', Buffer.from('PROX'));
+      socket.emit('error', new Error('read ECONNRESET'));
+
+      listener.should.not.have.been.called;
+      socket.destroy.should.have.been.calledOnce;
+      destroyed.should.have.been.calledWith(socket, 'proxy');
+    });
+
+    it('should destroy sockets not sending a header in time', () => {
+      const destroyed = sinon.spy();
+
+      server.on('socketDestroyed', destroyed);
+      target.emit('connection', socket);
+      clock.tick(5000);
+
+      socket.destroy.should.have.been.calledOnce;
+      destroyed.should.have.been.calledWith(socket, 'proxy');
+    });
+
+    it('should close sockets ended before sending a header without reporting them again', () => {
+      const destroyed = sinon.spy();
+
+      server.on('socketDestroyed', destroyed);
+      target.emit('connection', socket);
+      socket.emit('data', Buffer.from('PROX'));
+      socket.emit('end');
+      socket.destroy.should.have.been.calledOnce;
+
+      socket.emit('close');
+      clock.tick(5000);
+      socket.destroy.should.have.been.calledOnce;
+      destroyed.should.not.have.been.called;
+    });
+
+    it('should leave reading to TLS servers', () => {
+      const secure = new mocks.Server;
+
+      secure.on('connection', listener);
+      proxy.acceptProxyProtocol(server, secure, { ssl: true }, () => {});
+      secure.emit('connection', socket);
+      socket.emit('data', Buffer.from('PROXY TCP4 192.0.2.1 10.0.0.1 51000 443\r\n'));
+
+      listener.should.have.been.calledOnce;
+      socket.resume.should.not.have.been.called;
+    });
+  });
+
+  describe('inheritAddress', () => {
+    it('should set the address of TLS sockets to that of the connection they wrap', () => {
+      const connection = { proxyAddress: '10.0.0.1', remoteAddress: '192.0.2.1', remoteFamily: 'IPv4', remotePort: 51000 };
+      const socket = { remoteAddress: '10.0.0.1', remotePort: 40000 };
+
+      proxy.inheritAddress(socket, connection);
+      socket.remoteAddress.should.equal('192.0.2.1');
+      socket.remoteFamily.should.equal('IPv4');
+      socket.remotePort.should.equal(51000);
+      socket.proxyAddress.should.equal('10.0.0.1');
+    });
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * @file Unit tests for lib/ratelimit.js
+ */
+
+
+const chai      = require('chai');
+const sinon     = require('sinon');
+const sinonChai = require('sinon-chai');
+
+
+chai.use(sinonChai);
+chai.should();
+
+
+const mocks      = require('./mocks.js');
+const throttling = require('../../lib/ratelimit.js');
+
+
+describe('Unit tests: ratelimit', () => {
+  describe('createMemoryStore', () => {
+    let clock;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers();
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it('should take tokens until the bucket of a key is empty', () => {
+      const store = throttling.createMemoryStore();
+
+      store.take('a', 2, 1000).should.deep.equal({ allowed: true, remaining: 1, reset: 500, retryAfter: 0 });
+      store.take('a', 2, 1000).should.deep.equal({ allowed: true, remaining: 0, reset: 1000, retryAfter: 0 });
+      store.take('a', 2, 1000).should.deep.equal({ allowed: false, remaining: 0, reset: 1000, retryAfter: 500 });
+      store.take('b', 2, 1000).allowed.should.be.true;
+    });
+
+    it('should refill buckets continuously', () => {
+      const store = throttling.createMemoryStore();
+
+      store.take('a', 2, 1000);
+      store.take('a', 2, 1000);
+      clock.tick(250);
+      store.take('a', 2, 1000).should.include({ allowed: false, retryAfter: 250 });
+      clock.tick(250);
+      store.take('a', 2, 1000).should.include({ allowed: true, remaining: 0 });
+      clock.tick(5000);
+      store.take('a', 2, 1000).should.include({ allowed: true, remaining: 1 });
+    });
+  });
+
+  describe('rateLimiter', () => {
+    let logger, next, response;
+
+    /**
+     * Creates a request from an address.
+     * @param  {String} remoteAddress
+     * @param  {Object} [headers]
+     * @return {Object}
+     */
+    function request(remoteAddress, headers) {
+      return { headers: headers || {}, socket: { remoteAddress } };
+    }
+
+    beforeEach(() => {
+      logger = sinon.spy();
+      next = sinon.spy();
+      response = new mocks.Response;
+      sinon.spy(response, 'end');
+      sinon.spy(response, 'setHeader');
+    });
+
+    it('should call back for allowed requests, setting `RateLimit-*` headers', () => {
+      const limit = throttling.rateLimiter({ config: { Promise, rateLimit: 10 } }, logger);
+
+      limit(request('10.0.0.1'), response, next);
+      next.should.have.been.calledOnce;
+      response.setHeader.should.have.been.calledWith('RateLimit-Limit', '10');
+      response.setHeader.should.have.been.calledWith('RateLimit-Remaining', '9');
+      response.setHeader.should.have.been.calledWith('RateLimit-Reset', '6');
+      response.end.should.not.have.been.called;
+    });
+
+    it('should answer `429` with `Retry-After` once a client runs out of tokens', () => {
+      const limit = throttling.rateLimiter({ config: { Promise, rateLimit: { interval: 10000, limit: 2 } } }, logger);
+
+      limit(request('10.0.0.1'), response, next);
+      limit(request('10.0.0.1'), response, next);
+      limit(request('10.0.0.2'), response, next);
+      next.should.have.been.calledThrice;
+
+      limit(request('10.0.0.1'), response, next);
+      next.should.have.been.calledThrice;
+      response.statusCode.should.equal(429);
+      response.setHeader.should.have.been.calledWith('Retry-After', '5');
+      response.end.should.have.been.calledOnce;
+    });
+
+    it('should default to 60 requests a minute', () => {
+      const limit = throttling.rateLimiter({ config: { Promise, rateLimit: true } }, logger);
+
+      for (let i = 0; i < 61; i++) {
+        limit(request('10.0.0.1'), response, next);
+      }
+
+      next.callCount.should.equal(60);
+      response.statusCode.should.equal(429);
+    });
+
+    it('should key clients by their `ip` if set', () => {
+      const limit = throttling.rateLimiter({ config: { Promise, rateLimit: 1 } }, logger);
+
+      limit(Object.assign(request('10.0.0.1'), { ip: '203.0.113.1' }), response, next);
+      limit(Object.assign(request('10.0.0.1'), { ip: '203.0.113.2' }), response, next);
+      next.should.have.been.calledTwice;
+    });
+
+    it('should key clients with the `key` function, not limiting requests it returns `null` for', () => {
+      const key = sinon.spy((req) => req.headers['x-api-key'] || null);
+      const limit = throttling.rateLimiter({ config: { Promise, rateLimit: { key, limit: 1 } } }, logger);
+
+      limit(request('10.0.0.1', { 'x-api-key': 'a' }), response, next);
+      limit(request('10.0.0.1', { 'x-api-key': 'b' }), response, next);
+      limit(request('10.0.0.1'), response, next);
+      limit(request('10.0.0.1'), response, next);
+      next.callCount.should.equal(4);
+      limit(request('10.0.0.2', { 'x-api-key': 'a' }), response, next);
+      next.callCount.should.equal(4);
+      key.should.have.callCount(5);
+    });
+
+    it('should take tokens from the `store` if specified', () => {
+      const store = { take: sinon.stub().returns({ allowed: false, remaining: 0, reset: 30000, retryAfter: 1500 }) };
+      const limit = throttling.rateLimiter({ config: { Promise, rateLimit: { interval: 30000, limit: 5, store } } }, logger);
+
+      limit(request('10.0.0.1'), response, next);
+      store.take.should.have.been.calledWith('10.0.0.1', 5, 30000);
+      response.setHeader.should.have.been.calledWith('Retry-After', '2');
+      response.setHeader.should.have.been.calledWith('RateLimit-Reset', '30');
+      next.should.not.have.been.called;
+    });
+
+    it('should wait for stores returning Promises', () => {
+      const store = { take: sinon.stub().resolves({ allowed: true, remaining: 4, reset: 6000, retryAfter: 0 }) };
+      const limit = throttling.rateLimiter({ config: { Promise, rateLimit: { store } } }, logger);
+
+      limit(request('10.0.0.1'), response, next);
+      next.should.not.have.been.called;
+
+      return new Promise((resolve) => setImmediate(resolve)).then(() => {
+        next.should.have.been.calledOnce;
+        response.setHeader.should.have.been.calledWith('RateLimit-Remaining', '4');
+      });
+    });
+
+    it('should let requests through if the store fails', () => {
+      const store = { take: sinon.stub().throws(new Error('unavailable')) };
+      const failing = { take: sinon.stub().rejects(new Error('unavailable')) };
+
+      throttling.rateLimiter({ config: { Promise, rateLimit: { store } } }, logger)(request('10.0.0.1'), response, next);
+      next.should.have.been.calledOnce;
+      logger.should.have.been.calledWithMatch(/unavailable/);
+
+      throttling.rateLimiter({ config: { Promise, rateLimit: { store: failing } } }, logger)(request('10.0.0.1'), response, next);
+
+      return new Promise((resolve) => setImmediate(resolve)).then(() => {
+        next.should.have.been.calledTwice;
+        response.setHeader.should.not.have.been.called;
+      });
+    });
+
+    it('should let requests through if the `key` function fails', () => {
+      const key = sinon.stub().throws(new Error('no key'));
+      const store = { take: sinon.spy() };
+
+      throttling.rateLimiter({ config: { Promise, rateLimit: { key, store } } }, logger)(request('10.0.0.1'), response, next);
+      next.should.have.been.calledOnce;
+      store.take.should.not.have.been.called;
+      response.setHeader.should.not.have.been.called;
+      logger.should.have.been.calledWithMatch(/no key/);
+    });
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * @file Unit tests for lib/reaper.js
+ */
+
+
+const chai           = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const EventEmitter   = require('events');
+const sinon          = require('sinon');
+const sinonChai      = require('sinon-chai');
+
+
+chai.use(sinonChai);
+chai.use(chaiAsPromised);
+const should = chai.should();
+
+
+const mocks           = require('./mocks.js');
+const reapIdleSockets = require('../../lib/reaper.js');
+
+
+describe('Unit tests: reapIdleSockets', () => {
+  let clock, server, stopReaping;
+
+  /**
+   * Adds a socket to the server's map of active sockets.
+   * @param  {String}       uuid
+   * @param  {Boolean}      idle
+   * @return {MockedSocket}
+   */
+  function connect(uuid, idle) {
+    let socket = Object.assign(new mocks.Socket, { idle, idleSince: Date.now(), uuid });
+
+    sinon.spy(socket, 'destroy');
+    server.sockets.set(uuid, socket);
+    return socket;
+  }
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers();
+    server = Object.assign(new EventEmitter, {
+      config:  { idleTimeout: 5000 },
+      sockets: new Map
+    });
+    stopReaping = reapIdleSockets(server, () => {});
+  });
+
+  afterEach(() => {
+    stopReaping();
+    clock.restore();
+  });
+
+  it('should export a function', () => {
+    reapIdleSockets.should.be.a('function');
+  });
+
+  it('should return a function', () => {
+    stopReaping.should.be.a('function');
+  });
+
+  it('should destroy sockets idle for longer than `idleTimeout`', () => {
+    let listener = sinon.spy();
+    let socket = connect('idle', true);
+
+    server.on('socketDestroyed', listener);
+    clock.tick(4000);
+    socket.destroy.should.not.have.been.called;
+    clock.tick(1000);
+    socket.destroy.should.have.been.calledOnce;
+    server.sockets.has('idle').should.be.false;
+    listener.should.have.been.calledWith(socket, 'idleTimeout');
+  });
+
+  it('should not destroy active sockets', () => {
+    let socket = connect('active', false);
+
+    clock.tick(10000);
+    socket.destroy.should.not.have.been.called;
+    server.sockets.has('active').should.be.true;
+  });
+
+  it('should measure idleness from the end of the last response', () => {
+    let socket = connect('reused', true);
+
+    clock.tick(4000);
+    socket.idleSince = Date.now();
+    clock.tick(4000);
+    socket.destroy.should.not.have.been.called;
+    clock.tick(1000);
+    socket.destroy.should.have.been.calledOnce;
+  });
+
+  describe('stopReaping', () => {
+    it('should stop destroying idle sockets', () => {
+      let socket = connect('idle', true);
+
+      stopReaping();
+      clock.tick(10000);
+      socket.destroy.should.not.have.been.called;
+    });
+  });
+});
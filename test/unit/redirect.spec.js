@@ -0,0 +1,82 @@
+/**
+ * @file Unit tests for lib/redirect.js
+ */
+
+
+const chai           = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const sinon          = require('sinon');
+const sinonChai      = require('sinon-chai');
+
+
+chai.use(sinonChai);
+chai.use(chaiAsPromised);
+const should = chai.should();
+
+
+const mocks    = require('./mocks.js');
+const redirect = require('../../lib/redirect.js');
+
+
+describe('Unit tests: redirect', () => {
+  describe('hstsHeader', () => {
+    it('should default `max-age` to one year', () => {
+      redirect.hstsHeader(true).should.equal('max-age=31536000');
+    });
+
+    it('should accept a `max-age` in seconds', () => {
+      redirect.hstsHeader(600).should.equal('max-age=600');
+    });
+
+    it('should add `includeSubDomains` and `preload` directives', () => {
+      redirect.hstsHeader({ maxAge: 600, includeSubDomains: true, preload: true }).should.equal('max-age=600; includeSubDomains; preload');
+    });
+
+    it('should default `max-age` to one year for objects without `maxAge`', () => {
+      redirect.hstsHeader({ includeSubDomains: true }).should.equal('max-age=31536000; includeSubDomains');
+    });
+  });
+
+  describe('redirectHandler', () => {
+    let response;
+
+    beforeEach(() => {
+      response = new mocks.Response;
+      sinon.spy(response, 'setHeader');
+      sinon.spy(response, 'end');
+    });
+
+    it('should return a function', () => {
+      redirect.redirectHandler(443).should.be.a('function');
+    });
+
+    it('should redirect `GET` requests with 301, keeping the path and query', () => {
+      redirect.redirectHandler(443)({ headers: { host: 'example.com' }, method: 'GET', url: '/a?b=c' }, response);
+      response.statusCode.should.equal(301);
+      response.setHeader.should.have.been.calledWith('Location', 'https://example.com/a?b=c');
+      response.end.should.have.been.calledOnce;
+    });
+
+    it('should redirect other requests with 308', () => {
+      redirect.redirectHandler(443)({ headers: { host: 'example.com' }, method: 'POST', url: '/' }, response);
+      response.statusCode.should.equal(308);
+    });
+
+    it('should replace the port of the `Host` header with the HTTPS port', () => {
+      redirect.redirectHandler(8443)({ headers: { host: 'example.com:8080' }, method: 'GET', url: '/' }, response);
+      response.setHeader.should.have.been.calledWith('Location', 'https://example.com:8443/');
+    });
+
+    it('should keep IPv6 addresses intact', () => {
+      redirect.redirectHandler(443)({ headers: { host: '[::1]:8080' }, method: 'GET', url: '/' }, response);
+      response.setHeader.should.have.been.calledWith('Location', 'https://[::1]/');
+    });
+
+    it('should respond with 400 if the `Host` header is missing', () => {
+      redirect.redirectHandler(443)({ headers: {}, method: 'GET', url: '/' }, response);
+      response.statusCode.should.equal(400);
+      response.setHeader.should.not.have.been.called;
+      response.end.should.have.been.calledOnce;
+    });
+  });
+});
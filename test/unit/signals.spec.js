@@ -0,0 +1,138 @@
+/**
+ * @file Unit tests for lib/signals.js
+ */
+
+
+const chai           = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const sinon          = require('sinon');
+const sinonChai      = require('sinon-chai');
+
+
+chai.use(sinonChai);
+chai.use(chaiAsPromised);
+const should = chai.should();
+
+
+const handleSignals = require('../../lib/signals.js');
+
+
+describe('Unit tests: handleSignals', () => {
+  let server, removeSignalHandlers;
+
+  beforeEach(() => {
+    server = {
+      close:   sinon.stub().resolves(),
+      config:  { Promise, signals: true },
+      restart: sinon.stub().resolves()
+    };
+  });
+
+  afterEach(() => {
+    removeSignalHandlers();
+  });
+
+  it('should export a function', () => {
+    handleSignals.should.be.a('function');
+    removeSignalHandlers = () => {};
+  });
+
+  it('should return a function', () => {
+    removeSignalHandlers = handleSignals(server, () => {});
+    removeSignalHandlers.should.be.a('function');
+  });
+
+  it('should register handlers for `SIGHUP`, `SIGINT`, and `SIGTERM` by default', () => {
+    let counts = [ 'SIGHUP', 'SIGINT', 'SIGTERM' ].map((s) => process.listenerCount(s));
+
+    removeSignalHandlers = handleSignals(server, () => {});
+    [ 'SIGHUP', 'SIGINT', 'SIGTERM' ].forEach((s, i) => {
+      process.listenerCount(s).should.equal(counts[i] + 1);
+    });
+  });
+
+  it('should register handlers for a custom map of signals', () => {
+    let counts = [ 'SIGUSR2', 'SIGTERM' ].map((s) => process.listenerCount(s));
+
+    server.config.signals = { SIGUSR2: 'restart' };
+    removeSignalHandlers = handleSignals(server, () => {});
+    process.listenerCount('SIGUSR2').should.equal(counts[0] + 1);
+    process.listenerCount('SIGTERM').should.equal(counts[1]);
+  });
+
+  it('should call `server#close` on `SIGTERM`', (done) => {
+    removeSignalHandlers = handleSignals(server, () => {});
+    process.emit('SIGTERM');
+
+    setImmediate(() => {
+      server.close.should.have.been.calledOnce;
+      done();
+    });
+  });
+
+  it('should call `server#restart` on `SIGHUP`', (done) => {
+    removeSignalHandlers = handleSignals(server, () => {});
+    process.emit('SIGHUP');
+
+    setImmediate(() => {
+      server.restart.should.have.been.calledOnce;
+      done();
+    });
+  });
+
+  it('should ignore `SIGHUP` while already restarting', (done) => {
+    server.restart = sinon.stub().returns(new Promise(() => {}));
+    removeSignalHandlers = handleSignals(server, () => {});
+    process.emit('SIGHUP');
+    process.emit('SIGHUP');
+
+    setImmediate(() => {
+      server.restart.should.have.been.calledOnce;
+      done();
+    });
+  });
+
+  it('should wait for a restart in progress before closing', (done) => {
+    let finishRestart;
+
+    server.restart = sinon.stub().returns(new Promise((resolve) => {
+      finishRestart = resolve;
+    }));
+    removeSignalHandlers = handleSignals(server, () => {});
+    process.emit('SIGHUP');
+    process.emit('SIGTERM');
+
+    setImmediate(() => {
+      server.close.should.not.have.been.called;
+      finishRestart();
+
+      setImmediate(() => {
+        server.close.should.have.been.calledOnce;
+        done();
+      });
+    });
+  });
+
+  it('should force an exit on a second signal while closing', () => {
+    sinon.stub(process, 'exit');
+    server.close = sinon.stub().returns(new Promise(() => {}));
+    removeSignalHandlers = handleSignals(server, () => {});
+    process.emit('SIGTERM');
+    process.emit('SIGTERM');
+    process.exit.should.have.been.calledOnce;
+    process.exit.should.have.been.calledWith(1);
+    process.exit.restore();
+  });
+
+  describe('removeSignalHandlers', () => {
+    it('should remove all registered handlers', () => {
+      let counts = [ 'SIGHUP', 'SIGINT', 'SIGTERM' ].map((s) => process.listenerCount(s));
+
+      handleSignals(server, () => {})();
+      [ 'SIGHUP', 'SIGINT', 'SIGTERM' ].forEach((s, i) => {
+        process.listenerCount(s).should.equal(counts[i]);
+      });
+      removeSignalHandlers = () => {};
+    });
+  });
+});
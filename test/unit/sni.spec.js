@@ -0,0 +1,129 @@
+/**
+ * @file Unit tests for lib/sni.js
+ */
+
+
+const chai           = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const proxyquire     = require('proxyquire').noPreserveCache();
+const sinon          = require('sinon');
+const sinonChai      = require('sinon-chai');
+
+
+chai.use(sinonChai);
+chai.use(chaiAsPromised);
+const should = chai.should();
+
+
+const stubs = {
+  tls: {
+    createSecureContext: (options) => {
+      return { options };
+    }
+  }
+};
+
+
+const sni = proxyquire('../../lib/sni.js', stubs);
+
+
+describe('Unit tests: sni', () => {
+  describe('isHostMap', () => {
+    it('should return `true` for a map with a `default` entry', () => {
+      sni.isHostMap({ default: { key: 'key', cert: 'cert' } }).should.be.true;
+    });
+
+    it('should return `false` for SSL options', () => {
+      sni.isHostMap({ key: 'key', cert: 'cert' }).should.be.false;
+    });
+
+    it('should return `false` for `null`', () => {
+      sni.isHostMap(null).should.be.false;
+    });
+  });
+
+  describe('createContexts', () => {
+    it('should create a secure context for each hostname', () => {
+      let contexts = sni.createContexts({
+        'Example.com': { key: 'a' },
+        default:       { key: 'b' }
+      });
+
+      contexts.should.be.a('Map');
+      contexts.get('example.com').should.deep.equal({ options: { key: 'a' } });
+      contexts.get('default').should.deep.equal({ options: { key: 'b' } });
+    });
+
+    it('should throw if any entry is invalid', () => {
+      sinon.stub(stubs.tls, 'createSecureContext').throws(new Error('bad PEM'));
+
+      (() => {
+        sni.createContexts({ default: { key: 'bad' } });
+      }).should.throw('bad PEM');
+
+      stubs.tls.createSecureContext.restore();
+    });
+  });
+
+  describe('findContext', () => {
+    let contexts = new Map([
+      [ 'example.com', 'exact' ],
+      [ '*.example.com', 'wildcard' ],
+      [ 'default', 'default' ]
+    ]);
+
+    it('should prefer an exact match', () => {
+      sni.findContext(contexts, 'example.com').should.equal('exact');
+    });
+
+    it('should match case-insensitively', () => {
+      sni.findContext(contexts, 'EXAMPLE.com').should.equal('exact');
+    });
+
+    it('should fall back to a wildcard matching the leftmost label', () => {
+      sni.findContext(contexts, 'www.example.com').should.equal('wildcard');
+    });
+
+    it('should not match wildcards against more than one label', () => {
+      sni.findContext(contexts, 'a.b.example.com').should.equal('default');
+    });
+
+    it('should fall back to the `default` entry', () => {
+      sni.findContext(contexts, 'example.org').should.equal('default');
+    });
+
+    it('should use the `default` entry if no hostname is requested', () => {
+      sni.findContext(contexts).should.equal('default');
+    });
+  });
+
+  describe('mergeHosts', () => {
+    let hosts = { 'example.com': { key: 'a' }, default: { key: 'b' } };
+
+    it('should replace entries of the same hostname', () => {
+      sni.mergeHosts(hosts, { 'example.com': { key: 'c' } }).should.deep.equal({
+        'example.com': { key: 'c' },
+        default:       { key: 'b' }
+      });
+    });
+
+    it('should add new entries', () => {
+      sni.mergeHosts(hosts, { 'example.org': { key: 'c' } }).should.have.all.keys('example.com', 'example.org', 'default');
+    });
+
+    it('should remove entries set to `null`', () => {
+      sni.mergeHosts(hosts, { 'example.com': null }).should.deep.equal({ default: { key: 'b' } });
+    });
+
+    it('should throw TypeError if the `default` entry is removed', () => {
+      (() => {
+        sni.mergeHosts(hosts, { default: null });
+      }).should.throw(TypeError);
+    });
+
+    it('should not modify the original map', () => {
+      sni.mergeHosts(hosts, { 'example.com': null });
+      hosts.should.have.all.keys('example.com', 'default');
+    });
+  });
+});
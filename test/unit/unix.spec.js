@@ -0,0 +1,111 @@
+/**
+ * @file Unit tests for lib/unix.js
+ */
+
+
+const chai           = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const EventEmitter   = require('events');
+const proxyquire     = require('proxyquire').noPreserveCache();
+const sinon          = require('sinon');
+const sinonChai      = require('sinon-chai');
+
+
+chai.use(sinonChai);
+chai.use(chaiAsPromised);
+const should = chai.should();
+
+
+const stubs = {
+  fs: {
+    stat:   (path, cb) => cb(null, { isSocket: () => true }),
+    unlink: (path, cb) => cb(null)
+  },
+  net: {
+    connect: () => {
+      let probe = new EventEmitter;
+
+      probe.destroy = () => {};
+      setImmediate(() => probe.emit('error', Object.assign(new Error('refused'), { code: 'ECONNREFUSED' })));
+      return probe;
+    }
+  }
+};
+
+
+const unix = proxyquire('../../lib/unix.js', stubs);
+
+
+describe('Unit tests: unix', () => {
+  describe('listenFds', () => {
+    it('should list file descriptors passed to this process', () => {
+      unix.listenFds({ LISTEN_PID: String(process.pid), LISTEN_FDS: '2' }).should.deep.equal([ 3, 4 ]);
+    });
+
+    it('should ignore file descriptors passed to another process', () => {
+      unix.listenFds({ LISTEN_PID: String(process.pid + 1), LISTEN_FDS: '2' }).should.deep.equal([]);
+    });
+
+    it('should return an empty array if no file descriptors were passed', () => {
+      unix.listenFds({}).should.deep.equal([]);
+    });
+
+    it('should read `process.env` by default', () => {
+      unix.listenFds().should.be.an('array');
+    });
+  });
+
+  describe('removeStaleSocket', () => {
+    beforeEach(() => {
+      sinon.spy(stubs.fs, 'unlink');
+    });
+
+    afterEach(() => {
+      stubs.fs.unlink.restore();
+    });
+
+    it('should remove a socket file that refuses connections', (done) => {
+      unix.removeStaleSocket('/tmp/server.sock', Promise).then((removed) => {
+        removed.should.be.true;
+        stubs.fs.unlink.should.have.been.calledOnce;
+        stubs.fs.unlink.should.have.been.calledWith('/tmp/server.sock');
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should not remove a socket file that accepts connections', (done) => {
+      let probe = new EventEmitter;
+
+      probe.destroy = sinon.spy();
+      sinon.stub(stubs.net, 'connect').callsFake(() => {
+        setImmediate(() => probe.emit('connect'));
+        return probe;
+      });
+
+      unix.removeStaleSocket('/tmp/server.sock', Promise).then((removed) => {
+        stubs.net.connect.restore();
+        removed.should.be.false;
+        probe.destroy.should.have.been.calledOnce;
+        stubs.fs.unlink.should.not.have.been.called;
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should not remove a file that is not a socket', (done) => {
+      sinon.stub(stubs.fs, 'stat').callsFake((path, cb) => cb(null, { isSocket: () => false }));
+
+      unix.removeStaleSocket('/tmp/server.sock', Promise).then((removed) => {
+        stubs.fs.stat.restore();
+        removed.should.be.false;
+        stubs.fs.unlink.should.not.have.been.called;
+      }).should.be.fulfilled.notify(done);
+    });
+
+    it('should resolve to `false` if the file does not exist', (done) => {
+      sinon.stub(stubs.fs, 'stat').callsFake((path, cb) => cb(Object.assign(new Error('missing'), { code: 'ENOENT' })));
+
+      unix.removeStaleSocket('/tmp/server.sock', Promise).then((removed) => {
+        stubs.fs.stat.restore();
+        removed.should.be.false;
+      }).should.be.fulfilled.notify(done);
+    });
+  });
+});
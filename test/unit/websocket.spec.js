@@ -0,0 +1,40 @@
+/**
+ * @file Unit tests for lib/websocket.js
+ */
+
+
+const chai = require('chai');
+
+
+const should = chai.should();
+
+
+const websocket = require('../../lib/websocket.js');
+
+
+describe('Unit tests: websocket', () => {
+  describe('closeFrame', () => {
+    it('should build an unmasked close frame with the status code and reason', () => {
+      websocket.closeFrame(1000, 'bye').should.deep.equal(Buffer.from([ 0x88, 5, 0x03, 0xe8, 0x62, 0x79, 0x65 ]));
+    });
+
+    it('should default to `1001 Going Away` without a reason', () => {
+      websocket.closeFrame().should.deep.equal(Buffer.from([ 0x88, 2, 0x03, 0xe9 ]));
+    });
+
+    it('should truncate reasons to fit within a control frame', () => {
+      let frame = websocket.closeFrame(websocket.GOING_AWAY, 'x'.repeat(200));
+
+      frame.length.should.equal(127);
+      frame[1].should.equal(125);
+    });
+  });
+
+  describe('isWebSocket', () => {
+    it('should return whether an upgrade request asks for the WebSocket protocol', () => {
+      websocket.isWebSocket({ headers: { upgrade: 'WebSocket' } }).should.be.true;
+      websocket.isWebSocket({ headers: { upgrade: 'h2c' } }).should.be.false;
+      websocket.isWebSocket({ headers: {} }).should.be.false;
+    });
+  });
+});